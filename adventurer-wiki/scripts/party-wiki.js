@@ -6,9 +6,10 @@
  * Real-time updates via sockets. Soft-lock indicators show who is editing.
  * Uses ApplicationV2 (Foundry v12+).
  *
- * NOTE: World-scoped settings require a GM to write. If no GM is connected,
- * saves are blocked and the editor stays open with a clear warning. This
- * prevents data loss that would occur with a local-queue approach.
+ * NOTE: Entries live in a GM-owned storage journal (one page per entry) and
+ * only a GM can write it. Player changes are relayed through the active GM as
+ * per-entry operations. If no GM is connected, player saves go to a
+ * browser-local outbox and replay when a GM joins.
  *
  * v2 additions:
  *   - Image upload via Foundry FilePicker (toolbar button)
@@ -17,23 +18,63 @@
  */
 
 const MODULE_ID    = "adventurer-wiki";
-const SETTING_KEY  = "wikiEntries";
+const SETTING_KEY  = "wikiEntries";   // legacy single-array storage, migrated on ready
 const SOCKET_EVENT = `module.${MODULE_ID}`;
 
+const STORAGE_JOURNALS = {
+  entries: "Adventurer Wiki Data",
+  history: "Adventurer Wiki History",
+};
+const HISTORY_SETTING_KEY = "historyLimit";
+const OUTBOX_SETTING_KEY  = "outbox";
+const RECAP_SETTING_KEY   = "recapSessions";
+const ACTIVITY_SETTING_KEY      = "activity";
+const ACTIVITY_READ_SETTING_KEY = "activityRead";
+const DRAFTS_SETTING_KEY        = "drafts";
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 const DEFAULT_CATEGORIES = [
   { id: "lore",      label: "Lore",          icon: "fa-book-open"        },
-  { id: "locations", label: "Locations",     icon: "fa-map-location-dot" },
+  { id: "locations", label: "Locations",     icon: "fa-map-location-dot", mapPins: true    },
   { id: "npcs",      label: "NPCs",          icon: "fa-person"           },
   { id: "factions",  label: "Factions",      icon: "fa-shield-halved"    },
-  { id: "quests",    label: "Quests",        icon: "fa-map-pin"          },
+  { id: "quests",    label: "Quests",        icon: "fa-map-pin",         questLog: true   },
   { id: "items",     label: "Items",         icon: "fa-gem"              },
-  { id: "notes",     label: "Session Notes", icon: "fa-scroll"           },
+  { id: "notes",     label: "Session Notes", icon: "fa-scroll",          sessionLog: true },
 ];
 
 const CATS_SETTING_KEY = "wikiCategories";
 
+/** Entry fields the editor owns; a save is rejected if one changed underneath it. */
+const GUARDED_FIELDS = ["title", "aliases", "category", "tags", "fields", "linkedDocument", "session", "quest", "content", "gmNotes", "hidden"];
+
+/** Foundry document types that can be dropped into the editor or linked to an entry. */
+const LINKABLE_DOCUMENTS = ["Actor", "Item", "Scene", "JournalEntry", "JournalEntryPage"];
+
+/** Per-entry access levels, modelled on Foundry's document ownership levels. */
+const ENTRY_PERMISSIONS = { NONE: 0, VIEW: 1, COMMENT: 2, EDIT: 3 };
+
+/** Entry fields only a GM may set. */
+const GM_ONLY_FIELDS = ["hidden", "gmNotes"];
+
+/**
+ * Entry fields a player's update may not carry: comments change only through
+ * the comment operations, `pendingDeleteBy` is set by the GM's writer, and
+ * the id, author and bookkeeping fields are fixed once the entry exists.
+ * (`parentId` may change, but only to a parent the player can see; see
+ * isOpPermitted().)
+ */
+const MANAGED_FIELDS = [
+  "comments", "pendingDeleteBy",
+  "id", "rev", "createdAt", "createdBy", "createdById",
+];
+
+/**
+ * Who holds the edit lock on each entry: entryId → Map(userId → userName).
+ * The active GM's copy is the lock itself; other clients mirror it (see
+ * serveLock()).
+ */
 const activeEditors = new Map();
 const openWikiApps  = new Set();
 let activeEditorApp = null;
@@ -43,6 +84,7 @@ let activeEditorApp = null;
 // ─────────────────────────────────────────────────────────────────────────────
 
 Hooks.once("init", () => {
+  // Legacy storage — read once by migrateLegacyEntries(), then emptied.
   game.settings.register(MODULE_ID, SETTING_KEY, {
     name:    "Wiki Entries",
     scope:   "world",
@@ -56,17 +98,88 @@ Hooks.once("init", () => {
     config:  false,
     default: DEFAULT_CATEGORIES,
   });
+
+  game.settings.register(MODULE_ID, HISTORY_SETTING_KEY, {
+    name:    "Revisions Kept per Entry",
+    hint:    "How many saved revisions of each wiki entry to keep. Older revisions are pruned on the next save.",
+    scope:   "world",
+    config:  true,
+    type:    Number,
+    range:   { min: 1, max: 200, step: 1 },
+    default: 25,
+  });
+
+  game.settings.register(MODULE_ID, RECAP_SETTING_KEY, {
+    name:    "Sessions in the Recap",
+    hint:    "How many of the latest session notes the \"Previously on…\" recap shows.",
+    scope:   "world",
+    config:  true,
+    type:    Number,
+    range:   { min: 1, max: 10, step: 1 },
+    default: 3,
+  });
+
+  CONFIG.Note.objectClass = wikiPinNoteClass(CONFIG.Note.objectClass);
+
+  game.modules.get(MODULE_ID).api = api;
+
+  // Offline outbox — see enqueueOutbox(). Browser-local, keyed per world/user.
+  game.settings.register(MODULE_ID, OUTBOX_SETTING_KEY, {
+    scope:   "client",
+    config:  false,
+    default: {},
+  });
+
+  // Editor drafts — see setDraft(). Browser-local, keyed per world/user.
+  game.settings.register(MODULE_ID, DRAFTS_SETTING_KEY, {
+    scope:   "client",
+    config:  false,
+    default: {},
+  });
+
+  // Activity feed — written by the GM (recordActivity()); read state is browser-local.
+  game.settings.register(MODULE_ID, ACTIVITY_SETTING_KEY, {
+    scope:   "world",
+    config:  false,
+    default: [],
+  });
+
+  game.settings.register(MODULE_ID, ACTIVITY_READ_SETTING_KEY, {
+    scope:   "client",
+    config:  false,
+    default: {},
+  });
 });
 
-Hooks.once("ready", () => {
+Hooks.once("ready", async () => {
   console.log("Adventurer Wiki | Module loaded successfully.");
 
   game.socket.on(SOCKET_EVENT, async (payload) => {
     switch (payload.action) {
       case "requestSave": {
-        if (!game.user.isGM) return;
-        await game.settings.set(MODULE_ID, SETTING_KEY, payload.entries);
-        game.socket.emit(SOCKET_EVENT, { action: "refresh" });
+        if (!isActiveGM()) return;
+        // The claimed id only routes the reply; a GM's id gets everything refused.
+        const ops = payload.ops ?? [];
+        const { conflicts, denied } = relayingUser(payload.userId)
+          ? await writeEntryOps(ops, payload.userId)
+          : { conflicts: [], denied: ops.map((op, index) => ({ id: op.id ?? op.entry?.id, index })) };
+        game.socket.emit(SOCKET_EVENT, {
+          action:    "saveResult",
+          requestId: payload.requestId,
+          userId:    payload.userId,
+          ok:        conflicts.length === 0 && denied.length === 0,
+          conflicts,
+          denied,
+        });
+        break;
+      }
+      case "saveResult": {
+        resolvePendingSave(payload);
+        break;
+      }
+      case "gmReady": {
+        flushOutbox();
+        resyncLocks();
         refreshAllWikiApps();
         break;
       }
@@ -78,20 +191,43 @@ Hooks.once("ready", () => {
         refreshAllWikiApps();
         break;
       }
-      case "editingStart": {
-        activeEditors.set(payload.entryId, {
-          userName: payload.userName,
-          userId:   payload.userId,
-        });
-        refreshAllWikiApps();
+      case "activity": {
+        if (payload.userIds?.includes(game.user.id)) notifyActivity(payload.event);
         break;
       }
-      case "editingStop": {
-        const cur = activeEditors.get(payload.entryId);
-        if (cur?.userId === payload.userId) {
-          activeEditors.delete(payload.entryId);
-          refreshAllWikiApps();
-        }
+      case "questStatus": {
+        notifyQuestStatus(payload.entryId, payload.status);
+        break;
+      }
+      case "showRecap": {
+        if (!game.users.get(payload.userId)?.isGM) return;
+        openWikiRecap(payload.count);
+        break;
+      }
+      case "lockAcquire":
+      case "lockHeartbeat":
+      case "lockRelease":
+      case "lockGrant":
+      case "lockBreak":
+      case "lockSync":
+      case "lockState":
+      case "lockLost":
+      case "lockRequest":
+      case "lockDeclined": {
+        onLockMessage(payload, true);
+        break;
+      }
+      case "collabJoin":
+      case "collabSteps":
+      case "collabSync":
+      case "collabLeave":
+      case "collabSaved":
+      case "collabInit":
+      case "collabApplied":
+      case "collabBase":
+      case "collabPeers":
+      case "collabCursor": {
+        onCollabMessage(payload, true);
         break;
       }
     }
@@ -99,43 +235,251 @@ Hooks.once("ready", () => {
 
   Hooks.on("updateSetting", (setting) => {
     const id = setting.id ?? setting._id ?? setting.key ?? "";
-    if (id === `${MODULE_ID}.${SETTING_KEY}`) refreshAllWikiApps();
+    if (id === `${MODULE_ID}.${CATS_SETTING_KEY}`) refreshAllWikiApps();
+    if (id === `${MODULE_ID}.${ACTIVITY_SETTING_KEY}`) scheduleRefresh();
   });
 
+  // Entry pages sync to every client through Foundry's document layer, so
+  // these hooks replace the old settings-based refresh broadcast.
+  for (const hook of ["createJournalEntryPage", "updateJournalEntryPage", "deleteJournalEntryPage"]) {
+    Hooks.on(hook, (page) => {
+      if (isStoragePage(page) || isStoragePage(page, "history")) scheduleRefresh();
+      if (isStoragePage(page)) refreshWikiPins();
+    });
+  }
+
+  Hooks.on("createJournalEntryPage", (page, _options, userId) => callEntryHook("entryCreated", page, userId));
+  Hooks.on("updateJournalEntryPage", (page, _changed, _options, userId) => callEntryHook("entryUpdated", page, userId));
+  Hooks.on("deleteJournalEntryPage", (page, _options, userId) => callEntryHook("entryDeleted", page, userId));
+
+  // Pins are listed in the viewer.
+  for (const hook of ["createNote", "updateNote", "deleteNote"]) {
+    Hooks.on(hook, (note) => {
+      if (note.getFlag(MODULE_ID, "entryId")) scheduleRefresh();
+    });
+  }
+
   Hooks.on("userConnected", (user, connected) => {
     if (!connected) {
-      for (const [id, session] of activeEditors) {
-        if (session.userId === user.id) activeEditors.delete(id);
+      if (isActiveGM()) {
+        dropCollabUser(user.id);
+        dropLockUser(user.id);
       }
+      for (const app of foundry.applications.instances.values()) {
+        if (app instanceof WikiEntryEditor) app._onUserDisconnected(user);
+      }
+      // The lock authority may have left (see resyncLocks()).
+      if (user.isGM) resyncLocks();
       refreshAllWikiApps();
     }
   });
 
+  await initActivityRead();
+
   addWikiButton();
   setTimeout(addWikiButton, 300);
   setTimeout(addWikiButton, 1000);
+
+  if (isActiveGM()) {
+    await ensureStorageJournal();
+    await ensureStorageJournal("history");
+    await migrateLegacyEntries();
+  }
+
+  // Expire locks whose editor stopped sending heartbeats, and learn the
+  // locks already held.
+  if (game.user.isGM) setInterval(() => isActiveGM() && expireLocks(), LOCK_HEARTBEAT_MS);
+  lockAuthorityId = game.users.activeGM?.id ?? null;
+  if (!isActiveGM()) game.socket.emit(SOCKET_EVENT, { action: "lockSync", userId: game.user.id });
+
+  // GMs announce themselves once their socket handler is live, so players
+  // replay their outbox; players already joined to a live GM replay now.
+  if (game.user.isGM) game.socket.emit(SOCKET_EVENT, { action: "gmReady" });
+  else flushOutbox();
 });
 
 Hooks.on("renderSceneControls", () => addWikiButton());
 
+// ── "Open wiki page" on documents an entry is linked to ──────────────────
+// ApplicationV2 actor sheets, then legacy (Application v1) ones.
+Hooks.on("getHeaderControlsActorSheetV2", (app, controls) => {
+  const actor = app.document;
+  if (!actor || !getEntriesLinkedTo(actor).length) return;
+  controls.push({
+    icon:    "fas fa-book-open",
+    label:   "Open Wiki Page",
+    action:  "adventurerWikiOpen",
+    onClick: () => openLinkedEntry(actor),
+  });
+});
+
+Hooks.on("getActorSheetHeaderButtons", (app, buttons) => {
+  const actor = app.document ?? app.actor;
+  if (!actor || !getEntriesLinkedTo(actor).length) return;
+  buttons.unshift({
+    label:   "Wiki",
+    class:   "adventurer-wiki-open",
+    icon:    "fas fa-book-open",
+    onclick: () => openLinkedEntry(actor),
+  });
+});
+
+// Dropping a wiki entry from the sidebar onto the canvas pins it there.
+Hooks.on("dropCanvasData", (_canvas, data) => {
+  if (data.type !== "AdventurerWikiEntry") return;
+  placeEntryPin(data.id, data.x, data.y);
+  return false;
+});
+
+Hooks.on("getSceneContextOptions", (_app, options) => {
+  const sceneFor = (li) => game.scenes.get(li.dataset.entryId ?? li.dataset.documentId);
+  options.push({
+    name:      "Open Wiki Page",
+    icon:      '<i class="fas fa-book-open"></i>',
+    condition: (li) => { const scene = sceneFor(li); return !!scene && getEntriesLinkedTo(scene).length > 0; },
+    callback:  (li) => openLinkedEntry(sceneFor(li)),
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Module-level utility functions
 // ─────────────────────────────────────────────────────────────────────────────
 
-function processEntryLinks(html, allEntries) {
+/**
+ * Turn [[links]] into clickable anchors. Links with a single target get its
+ * id, ambiguous ones carry every candidate for the disambiguation prompt, and
+ * a #Section becomes `data-section` for the viewer to scroll to.
+ * @param {string}   html
+ * @param {object[]} allEntries
+ * @param {object}   [self]  The entry being rendered — target of [[#Section]].
+ */
+function processEntryLinks(html, allEntries, self) {
   if (!html) return html;
-  return html.replace(/\[\[([^\]]+)\]\]/g, (_match, rawTitle) => {
-    const title  = rawTitle.trim();
-    const linked = allEntries.find(e => e.title.toLowerCase() === title.toLowerCase());
-    if (linked) {
-      return `<a class="wiki-entry-link" data-id="${linked.id}">${title}</a>`;
+  const attr = (s) => s.replace(/"/g, "&quot;");
+  return html.replace(ENTRY_LINK_RE, (_match, raw) => {
+    const { target, section, label } = parseEntryLink(raw);
+    const matches = target ? resolveEntryLinks(target, allEntries) : (self ? [self] : []);
+    const text    = label ?? [target, section].filter(Boolean).join(" › ");
+    const anchor  = section ? ` data-section="${attr(slugifyHeading(section))}"` : "";
+
+    if (matches.length === 1) {
+      return `<a class="wiki-entry-link" data-id="${attr(matches[0].id)}"${anchor}>${text}</a>`;
+    }
+    if (matches.length > 1) {
+      return `<a class="wiki-entry-link wiki-entry-link-ambiguous" data-ids="${attr(matches.map(e => e.id).join(","))}"${anchor} ` +
+             `title="${matches.length} entries match &quot;${attr(target)}&quot;">${text}</a>`;
     }
-    return `<a class="wiki-entry-link wiki-entry-link-missing" title="No entry found: ${title}">${title}</a>`;
+    return `<a class="wiki-entry-link wiki-entry-link-missing" data-title="${attr(target)}" ` +
+           `title="No entry found: ${attr(target)}">${text}</a>`;
   });
 }
 
-function getEntries() {
-  return foundry.utils.deepClone(game.settings.get(MODULE_ID, SETTING_KEY) || []);
+/** Matches [[Target]], [[Target|text]], [[Target#Section]] and [[Target#Section|text]]. */
+const ENTRY_LINK_RE = /\[\[([^\]]+)\]\]/g;
+
+/**
+ * Split the inside of a [[link]] into its parts. An empty target
+ * ([[#Section]]) points into the entry the link is in.
+ * @param {string} raw
+ * @returns {{target: string, section: string|null, label: string|null}}
+ */
+function parseEntryLink(raw) {
+  const pipe = raw.indexOf("|");
+  const ref  = pipe < 0 ? raw : raw.slice(0, pipe);
+  const hash = ref.indexOf("#");
+  return {
+    target:  (hash < 0 ? ref : ref.slice(0, hash)).trim(),
+    section: hash < 0 ? null : (ref.slice(hash + 1).trim() || null),
+    label:   pipe < 0 ? null : (raw.slice(pipe + 1).trim() || null),
+  };
+}
+
+/**
+ * Every entry a link target names (case-insensitive). Exact titles win over
+ * aliases; more than one result means the link is ambiguous.
+ * @returns {object[]}
+ */
+function resolveEntryLinks(target, entries) {
+  const key = target.trim().toLowerCase();
+  if (!key) return [];
+  const byTitle = entries.filter(e => e.title.toLowerCase() === key);
+  if (byTitle.length) return byTitle;
+  return entries.filter(e => (e.aliases ?? []).some(a => a.toLowerCase() === key));
+}
+
+/** Anchor key for a heading — what a [[Title#Section]] link is matched on. */
+function slugifyHeading(text) {
+  return text.replace(/&[#\w]+;/g, " ")    // link text is raw HTML; headings are textContent
+    .trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Clean up the editor's comma-separated alias list: trimmed, de-duplicated
+ * (case-insensitive) and never repeating the title itself.
+ * @param {string} raw
+ * @param {string} title
+ * @returns {string[]}
+ */
+function parseAliases(raw, title) {
+  const seen = new Set([title.trim().toLowerCase()]);
+  const aliases = [];
+  for (const alias of (raw ?? "").split(",").map(a => a.trim()).filter(Boolean)) {
+    const key = alias.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    aliases.push(alias);
+  }
+  return aliases;
+}
+
+/**
+ * Index every [[link]] in the given entries. Uses the same resolution as
+ * processEntryLinks(), so "broken" here is exactly what renders as missing.
+ * @param {object[]} entries
+ * @returns {{backlinks: Map<string, object[]>, broken: {source: object, title: string}[]}}
+ *   `backlinks` maps a target id to the entries linking to it (each once,
+ *   self-links skipped); `broken` lists each unresolved title once per source.
+ */
+function buildLinkIndex(entries) {
+  const backlinks = new Map();
+  const broken    = [];
+
+  for (const source of entries) {
+    const seen = new Set();
+    for (const [, raw] of (source.content ?? "").matchAll(ENTRY_LINK_RE)) {
+      const { target } = parseEntryLink(raw);
+      if (!target) continue;    // [[#Section]] — points into the source itself
+
+      const matches = resolveEntryLinks(target, entries);
+      if (!matches.length) {
+        const key = `missing:${target.toLowerCase()}`;
+        if (!seen.has(key)) broken.push({ source, title: target });
+        seen.add(key);
+        continue;
+      }
+      // An ambiguous link counts as a backlink on every candidate.
+      for (const match of matches) {
+        if (match.id === source.id || seen.has(match.id)) continue;
+        seen.add(match.id);
+        if (!backlinks.has(match.id)) backlinks.set(match.id, []);
+        backlinks.get(match.id).push(source);
+      }
+    }
+  }
+  return { backlinks, broken };
+}
+
+/**
+ * Point every [[Old Title]] link in some HTML at a new title, keeping any
+ * #Section and |display text. Links by alias are left alone.
+ * @returns {string}
+ */
+function rewriteEntryLinks(html, oldTitle, newTitle) {
+  const key = oldTitle.trim().toLowerCase();
+  return (html ?? "").replace(ENTRY_LINK_RE, (match, raw) => {
+    if (parseEntryLink(raw).target.toLowerCase() !== key) return match;
+    return `[[${newTitle}${raw.match(/[#|][\s\S]*$/)?.[0] ?? ""}]]`;
+  });
 }
 
 function getCategories() {
@@ -147,31 +491,68 @@ function getCategories() {
   }
 }
 
-async function saveEntries(entries) {
-  if (game.user.isGM) {
-    await game.settings.set(MODULE_ID, SETTING_KEY, entries);
-    game.socket.emit(SOCKET_EVENT, { action: "refresh" });
-    refreshAllWikiApps();
-    return true;
-  }
-
-  const activeGM = game.users.find(u => u.isGM && u.active);
-  if (!activeGM) {
-    ui.notifications.warn(
-      "Adventurer Wiki: A GM must be connected to save. " +
-      "Your work is still in the editor — please try again once a GM joins."
-    );
-    return false;
-  }
-
-  game.socket.emit(SOCKET_EVENT, { action: "requestSave", entries });
-  return true;
+/** A category id from its label — a slug, as Category Settings makes them. */
+function categoryIdFor(label) {
+  return label
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "") || `cat-${Date.now()}`;
 }
 
 function generateId() {
   return `entry_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
 }
 
+function formatTimestamp(ts) {
+  return new Date(ts).toLocaleString(undefined, {
+    month:  "short",
+    day:    "numeric",
+    year:   "numeric",
+    hour:   "numeric",
+    minute: "2-digit",
+  });
+}
+
+/** GMs and the entry's author may restore older revisions. */
+function canRestoreRevisions(entry, user = game.user) {
+  return user.isGM || isEntryAuthor(entry, user);
+}
+
+/** Did this user create the entry? Older entries only recorded the author's name. */
+function isEntryAuthor(entry, user = game.user) {
+  if (entry.createdById) return entry.createdById === user.id;
+  return entry.createdBy === user.name;
+}
+
+/**
+ * A user's access level for an entry (see ENTRY_PERMISSIONS). GMs always have
+ * EDIT; a hidden entry is NONE for every player; the author keeps EDIT.
+ * Otherwise the user's own level in `entry.ownership`, then its `default`,
+ * then EDIT for entries that never had permissions set.
+ * @param {object} entry
+ * @param {User}   [user=game.user]
+ * @returns {number}
+ */
+function getEntryPermission(entry, user = game.user) {
+  if (!entry || !user) return ENTRY_PERMISSIONS.NONE;
+  if (user.isGM) return ENTRY_PERMISSIONS.EDIT;
+  if (entry.hidden) return ENTRY_PERMISSIONS.NONE;
+  if (isEntryAuthor(entry, user)) return ENTRY_PERMISSIONS.EDIT;
+  const ownership = entry.ownership ?? {};
+  return ownership[user.id] ?? ownership.default ?? ENTRY_PERMISSIONS.EDIT;
+}
+
+function canAccessEntry(entry, level, user = game.user) {
+  return getEntryPermission(entry, user) >= level;
+}
+
+/** GMs and the entry's author may change who can see and edit it. */
+function canConfigurePermissions(entry, user = game.user) {
+  return user.isGM || isEntryAuthor(entry, user);
+}
+
 function refreshAllWikiApps() {
   const renders = Array.from(openWikiApps).map(app => app.render({ force: true }));
   if (activeEditorApp) {
@@ -180,6 +561,96 @@ function refreshAllWikiApps() {
   }
 }
 
+/**
+ * Add (userName) or remove (null) a holder of an entry's edit lock.
+ * @returns {boolean}  Whether anything changed.
+ */
+function setEditing(entryId, userId, userName) {
+  const users = activeEditors.get(entryId) ?? new Map();
+  if (userName) {
+    activeEditors.set(entryId, users.set(userId, userName));
+    return true;
+  }
+  if (!users.delete(userId)) return false;
+  if (!users.size) activeEditors.delete(entryId);
+  return true;
+}
+
+/** Names of the users editing an entry, e.g. "Ann and Bob", or null. */
+function describeEditing(entryId) {
+  const names = [...(activeEditors.get(entryId)?.values() ?? [])];
+  if (!names.length) return null;
+  return names.length === 1 ? names[0] : `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`;
+}
+
+/** This client's editor window for an entry, if one is open. */
+function getEntryEditor(entryId) {
+  return entryId ? foundry.applications.instances.get(`party-wiki-editor-${entryId}`) ?? null : null;
+}
+
+/**
+ * Open the editor on an entry — or bring its open editor forward. New
+ * entries (no id yet) always get a window of their own.
+ * @param {object}       entry
+ * @param {PartyWikiApp} wikiApp
+ * @returns {WikiEntryEditor}
+ */
+function openEntryEditor(entry, wikiApp) {
+  const open = getEntryEditor(entry?.id);
+  if (open) {
+    (open.bringToFront ?? open.bringToTop)?.call(open);
+    return open;
+  }
+  const editor = new WikiEntryEditor(entry, wikiApp);
+  editor.render(true);
+  return editor;
+}
+
+/**
+ * Open the wiki on an entry, reusing an open wiki window if there is one.
+ * @param {string} entryId
+ * @returns {PartyWikiApp|null}
+ */
+function openWikiEntry(entryId) {
+  const entry = getEntry(entryId);
+  if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW)) {
+    ui.notifications.warn("Adventurer Wiki: That wiki page doesn't exist or you can't view it.");
+    return null;
+  }
+  const app = openWikiApps.values().next().value ?? new PartyWikiApp();
+  app.showEntry(entry);
+  return app;
+}
+
+/** Coalesces the burst of page hooks a single batch write produces. */
+const scheduleRefresh = foundry.utils.debounce(refreshAllWikiApps, 50);
+
+/** True on exactly one connected GM client — the one that performs relayed writes. */
+function isActiveGM() {
+  return game.user.isGM && (game.users.activeGM?.id ?? game.user.id) === game.user.id;
+}
+
+/**
+ * The player a socket message says it came from. GMs act directly and never
+ * relay, so a GM's id in a message is someone posing as one: no user.
+ * @param {string} userId
+ * @returns {User|null}
+ */
+function relayingUser(userId) {
+  const user = game.users.get(userId);
+  return user && !user.isGM ? user : null;
+}
+
+/**
+ * Does this client take part in edit locks and live sessions? Players and
+ * the active GM do. Another GM's lock messages would be refused as someone
+ * posing as a GM (see relayingUser()), so it edits on its own — GM writes
+ * aren't held back by locks anyway — and merges on save.
+ */
+function usesEditLocks() {
+  return !game.user.isGM || isActiveGM();
+}
+
 function addWikiButton() {
   if (document.querySelector(".party-wiki-control-btn")) return;
 
@@ -225,956 +696,7293 @@ function addWikiButton() {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// PartyWikiApp — main viewer
+// Linked documents — an entry's `linkedDocument` is the UUID of the Foundry
+// document it describes (an NPC's Actor, a location's Scene…).
 // ─────────────────────────────────────────────────────────────────────────────
 
-class PartyWikiApp extends HandlebarsApplicationMixin(ApplicationV2) {
-  static DEFAULT_OPTIONS = {
-    id:       "party-wiki-app",
-    classes:  ["party-wiki"],
-    window:   { title: "Adventurer Wiki", resizable: true },
-    position: { width: 820, height: 620 },
-  };
-
-  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/wiki.html` } };
-
-  _activeCat     = DEFAULT_CATEGORIES[0].id;
-  _selectedEntry = null;
-  _searchQuery   = "";
+/**
+ * Entries the user can view whose linked document is this one. A token's
+ * synthetic actor also matches entries linked to its base actor.
+ * @param {foundry.abstract.Document} doc
+ * @returns {object[]}
+ */
+function getEntriesLinkedTo(doc) {
+  const uuids = new Set([doc.uuid]);
+  if (doc.documentName === "Actor" && doc.isToken) {
+    const base = game.actors.get(doc.id);
+    if (base) uuids.add(base.uuid);
+  }
+  return getEntries().filter(e =>
+    e.linkedDocument && uuids.has(e.linkedDocument) && canAccessEntry(e, ENTRY_PERMISSIONS.VIEW)
+  );
+}
 
-  // ── Context helpers ──────────────────────────────────────────────────────
+/** Open the entry linked to a document, asking which when several are. */
+async function openLinkedEntry(doc) {
+  const entries = getEntriesLinkedTo(doc);
+  if (!entries.length) {
+    ui.notifications.info(`Adventurer Wiki: No wiki page is linked to ${doc.name}.`);
+    return;
+  }
 
-  /**
-   * Filter entries by visibility, search query, or active category.
-   * @param {object[]} entries  All raw entries from settings.
-   * @param {boolean}  isGM     Whether the current user is a GM.
-   * @returns {object[]}
-   */
-  _filterEntries(entries, isGM) {
-    const q = this._searchQuery.toLowerCase();
-    return entries.filter(e => {
-      if (e.hidden && !isGM) return false;
-      if (q) {
-        const titleHit = e.title.toLowerCase().includes(q);
-        const bodyText = e.content ? e.content.replace(/<[^>]*>/g, " ").toLowerCase() : "";
-        return titleHit || bodyText.includes(q);
-      }
-      return e.category === this._activeCat;
+  let id = entries[0].id;
+  if (entries.length > 1) {
+    const { escapeHTML } = foundry.utils;
+    id = await foundry.applications.api.DialogV2.wait({
+      window:  { title: "Open Wiki Page" },
+      content: `<p>Several wiki pages are linked to <strong>${escapeHTML(doc.name)}</strong>:</p>`,
+      buttons: entries.map(e => ({ action: e.id, label: e.title, icon: "fas fa-book-open" })),
+      rejectClose: false,
     });
+    if (!id) return;
   }
+  openWikiEntry(id);
+}
 
-  /**
-   * Map raw comment objects to display-ready format.
-   * @param {object[]} comments  Raw comment array from an entry.
-   * @param {boolean}  isGM      Whether the current user is a GM.
-   * @returns {object[]}
-   */
-  _formatComments(comments, isGM) {
-    return comments.map(c => ({
-      ...c,
-      createdAtFormatted: new Date(c.createdAt).toLocaleString(undefined, {
-        month:  "short",
-        day:    "numeric",
-        year:   "numeric",
-        hour:   "numeric",
-        minute: "2-digit",
-      }),
-      canDelete: isGM || c.userId === game.user.id,
-    }));
-  }
+/**
+ * Name and sidebar icon of a linked document, read synchronously (world
+ * documents, or a compendium's index entry).
+ * @param {string} uuid
+ * @returns {{uuid: string, name: string, icon: string, missing: boolean}}
+ */
+function describeLinkedDocument(uuid) {
+  const doc  = fromUuidSync(uuid);
+  const type = doc?.documentName ?? foundry.utils.parseUuid(uuid)?.type;
+  return {
+    uuid,
+    name:    doc?.name ?? "Missing document",
+    icon:    CONFIG[type]?.sidebarIcon ?? "fas fa-file",
+    missing: !doc,
+  };
+}
 
-  // ── _prepareContext ──────────────────────────────────────────────────────
+// ─────────────────────────────────────────────────────────────────────────────
+// Map pins — scene Notes pointing at a wiki entry through
+// `flags.adventurer-wiki.entryId`. They carry no JournalEntry: the storage
+// journal is closed to players, and Foundry hides a note whose journal the
+// user can't observe.
+// ─────────────────────────────────────────────────────────────────────────────
 
-  async _prepareContext(_options) {
-    const entries = getEntries();
-    const isGM    = game.user.isGM;
-    const q       = this._searchQuery.toLowerCase();
-    const cats    = getCategories();
+const PIN_ICON = "icons/svg/book.svg";
 
-    // ── Validate active category ─────
-    if (!cats.find(c => c.id === this._activeCat)) {
-      this._activeCat = cats[0]?.id ?? null;
+/** Whether a category's entries can be pinned — flagged `mapPins` (by default Locations). */
+function isPinCategory(cat) {
+  return !!(cat?.mapPins ?? cat?.id === "locations");
+}
+
+/**
+ * The canvas Note class with wiki pins mixed in: a pin shows only to users
+ * who can view its entry, so hidden entries stay off the players' map, and
+ * double-clicking it opens the wiki instead of a journal sheet.
+ * `activateNote` still fires first, with `{ wikiEntryId }` in its options.
+ * @param {typeof foundry.canvas.placeables.Note} Base
+ */
+function wikiPinNoteClass(Base) {
+  return class WikiPinNote extends Base {
+    get wikiEntryId() {
+      return this.document.getFlag(MODULE_ID, "entryId") ?? null;
     }
 
-    // ── Filter entries ───────────────
-    const filtered = this._filterEntries(entries, isGM);
+    get isVisible() {
+      const id = this.wikiEntryId;
+      if (id && !game.user.isGM) {
+        // Read straight from the page — this runs on every canvas refresh,
+        // too often to clone every entry through getEntry().
+        const entry = findEntryPage(getStorageJournal(), id)?.flags[MODULE_ID].entry;
+        if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW)) return false;
+      }
+      return super.isVisible;
+    }
 
-    // ── Validate selected entry ──────
-    if (this._selectedEntry) {
-      const sel = entries.find(e => e.id === this._selectedEntry);
-      if (!sel || (sel.hidden && !isGM)) this._selectedEntry = null;
+    _onClickLeft2(event) {
+      const id = this.wikiEntryId;
+      if (!id) return super._onClickLeft2(event);
+      if (Hooks.call("activateNote", this, { wikiEntryId: id }) === false) return;
+      openWikiEntry(id);
     }
+  };
+}
 
-    // ── Resolve current entry ────────
-    const current = this._selectedEntry
-      ? (entries.find(e => e.id === this._selectedEntry) ?? null)
-      : null;
+/**
+ * Create a pin for an entry on the viewed scene.
+ * @param {string} entryId
+ * @param {number} x  Canvas coordinates.
+ * @param {number} y
+ */
+async function placeEntryPin(entryId, x, y) {
+  const entry = getEntry(entryId);
+  if (!entry || !canvas.scene) return;
+  if (!isPinCategory(getCategories().find(c => c.id === entry.category))) {
+    ui.notifications.warn("Adventurer Wiki: Only location entries can be pinned on the map.");
+    return;
+  }
+  if (!game.user.can("NOTE_CREATE")) {
+    ui.notifications.warn("Adventurer Wiki: You don't have permission to place map notes.");
+    return;
+  }
+  await canvas.scene.createEmbeddedDocuments("Note", [{
+    x, y,
+    text:    entry.title,
+    texture: { src: PIN_ICON },
+    flags:   { [MODULE_ID]: { entryId } },
+  }]);
+  ui.notifications.info(`Adventurer Wiki: Pinned "${entry.title}" on ${canvas.scene.name}.`);
+}
 
-    // ── Enrich HTML content ──────────
-    const _TextEditor = foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
-    const enrichedContent = current?.content
-      ? await _TextEditor.enrichHTML(current.content, { async: true })
-      : null;
+/**
+ * Every pin pointing at an entry on a scene the user can see.
+ * @param {string} entryId
+ * @returns {{sceneId: string, sceneName: string, noteId: string, label: string}[]}
+ */
+function getEntryPins(entryId) {
+  const pins = [];
+  for (const scene of game.scenes) {
+    if (!game.user.isGM && !scene.visible && !scene.active) continue;
+    for (const note of scene.notes) {
+      if (note.getFlag(MODULE_ID, "entryId") !== entryId) continue;
+      pins.push({ sceneId: scene.id, sceneName: scene.name, noteId: note.id, label: note.text });
+    }
+  }
+  return pins;
+}
 
-    const enrichedContentLinked = processEntryLinks(enrichedContent, entries);
+/**
+ * Remove deleted entries' pins from every scene. GM only.
+ * @param {string[]} entryIds
+ */
+async function removeEntryPins(entryIds) {
+  const ids = new Set(entryIds);
+  if (!ids.size) return;
+  for (const scene of game.scenes) {
+    const notes = scene.notes.filter(n => ids.has(n.getFlag(MODULE_ID, "entryId"))).map(n => n.id);
+    if (notes.length) await scene.deleteEmbeddedDocuments("Note", notes);
+  }
+}
 
-    // ── Annotate filtered entries ────
-    const entriesWithStatus = filtered.map(e => {
-      let bodyMatch = false;
-      if (q) {
-        const titleHit = e.title.toLowerCase().includes(q);
-        if (!titleHit) {
-          const bodyText = e.content ? e.content.replace(/<[^>]*>/g, " ").toLowerCase() : "";
-          bodyMatch = bodyText.includes(q);
-        }
-      }
-      return {
-        ...e,
-        beingEditedBy:  activeEditors.get(e.id)?.userName ?? null,
-        categoryLabel:  q ? (cats.find(c => c.id === e.category)?.label ?? e.category) : null,
-        bodyMatch,
-      };
-    });
+/** Re-check pin visibility after entries change (hidden, permissions, deletes). */
+function refreshWikiPins() {
+  for (const note of canvas?.notes?.placeables ?? []) {
+    if (note.document.getFlag(MODULE_ID, "entryId")) note.renderFlags.set({ refresh: true });
+  }
+}
 
-    // ── Category counts ──────────────
-    const categoriesWithCount = cats.map(cat => ({
-      ...cat,
-      count: entries.filter(e => e.category === cat.id).length,
-    }));
+// ─────────────────────────────────────────────────────────────────────────────
+// Entry tree — sub-pages via `parentId`, sibling order via `sort`
+// Trees never cross categories: an entry whose parent is missing, hidden from
+// the user or in another category sits at the top level of its category.
+// ─────────────────────────────────────────────────────────────────────────────
 
-    // ── Current-entry metadata ───────
-    const currentEditor = current
-      ? (activeEditors.get(current.id)?.userName ?? null)
-      : null;
-
-    const updatedAtFormatted = current?.updatedAt
-      ? new Date(current.updatedAt).toLocaleString(undefined, {
-          month:  "short",
-          day:    "numeric",
-          year:   "numeric",
-          hour:   "numeric",
-          minute: "2-digit",
-        })
-      : null;
-
-    const gmNotes = isGM ? (current?.gmNotes ?? null) : null;
-
-    const formattedComments = this._formatComments(current?.comments ?? [], isGM);
+/** Gap left between sort keys when an entry is dropped at either end. */
+const SORT_STEP = 1000;
 
-    const pendingDeletions = entries.filter(e => e.pendingDelete).length;
+/** Sibling order: `sort` when set, else creation time (the old list order). */
+function entrySortKey(entry) {
+  return entry.sort ?? entry.createdAt ?? 0;
+}
 
-    const gmOnline = game.user.isGM || !!game.users.find(u => u.isGM && u.active);
+/**
+ * The entry this one shows under, or null at the top level.
+ * @param {object}              entry
+ * @param {Map<string, object>} byId  The entries the tree is built from.
+ */
+function getTreeParent(entry, byId) {
+  const parent = entry.parentId ? byId.get(entry.parentId) : null;
+  return parent && parent.id !== entry.id && parent.category === entry.category ? parent : null;
+}
 
-    // ── Assemble context ─────────────
-    return {
-      categories:       categoriesWithCount,
-      activeCat:        this._activeCat,
-      entries:          entriesWithStatus,
-      current,
-      currentEditor,
-      enrichedContent:  enrichedContentLinked,
-      gmNotes,
-      formattedComments,
-      hasComments:      formattedComments.length > 0,
-      isGM,
-      gmOnline,
-      searchQuery:      this._searchQuery,
-      isSearching:      !!this._searchQuery,
-      noEntries:        filtered.length === 0,
-      pendingDeletions,
-      updatedAtFormatted,
-    };
+/** An entry's ancestors, top level first. Stops if the chain loops. */
+function getEntryAncestors(entry, entries) {
+  const byId  = new Map(entries.map(e => [e.id, e]));
+  const chain = [];
+  const seen  = new Set([entry.id]);
+  for (let p = getTreeParent(entry, byId); p && !seen.has(p.id); p = getTreeParent(p, byId)) {
+    seen.add(p.id);
+    chain.unshift(p);
   }
+  return chain;
+}
 
-  // ── Render lifecycle ─────────────────────────────────────────────────────
-
-  _onRender(_context, _options) {
-    openWikiApps.add(this);
-    this._attachDelegatedListeners();
+/** An entry's direct sub-pages, in sibling order. */
+function getEntryChildren(entry, entries) {
+  const byId = new Map(entries.map(e => [e.id, e]));
+  return entries
+    .filter(e => getTreeParent(e, byId)?.id === entry.id)
+    .sort((a, b) => entrySortKey(a) - entrySortKey(b));
+}
 
-    if (this._searchQuery) {
-      const searchEl = this.element.querySelector(".wiki-search");
-      if (searchEl) {
-        searchEl.focus();
-        const len = searchEl.value.length;
-        searchEl.setSelectionRange(len, len);
-      }
+/** Every sub-page below an entry, depth-first. */
+function getEntryDescendants(entry, entries) {
+  const out  = [];
+  const seen = new Set([entry.id]);
+  const walk = (parent) => {
+    for (const child of getEntryChildren(parent, entries)) {
+      if (seen.has(child.id)) continue;
+      seen.add(child.id);
+      out.push(child);
+      walk(child);
     }
-  }
+  };
+  walk(entry);
+  return out;
+}
 
-  // ── Click handler helpers ────────────────────────────────────────────────
+/**
+ * A sort key between two siblings (either may be missing), or null when
+ * they are too close together to fit one in.
+ */
+function sortKeyBetween(prev, next) {
+  if (!prev && !next) return Date.now();
+  if (!next) return entrySortKey(prev) + SORT_STEP;
+  if (!prev) return entrySortKey(next) - SORT_STEP;
+  const a = entrySortKey(prev), b = entrySortKey(next);
+  const mid = (a + b) / 2;
+  return (mid > a && mid < b) ? mid : null;
+}
 
-  async _onClickCatTab(el) {
-    this._activeCat    = el.dataset.cat;
-    this._selectedEntry = null;
-    this.render({ force: true });
-  }
+// ─────────────────────────────────────────────────────────────────────────────
+// Tags
+// ─────────────────────────────────────────────────────────────────────────────
 
-  async _onClickEntryItem(el) {
-    this._selectedEntry = el.dataset.id;
-    this.render({ force: true });
-  }
+/** Tidy one tag: no leading #, no commas, single spaces. */
+function normalizeTag(tag) {
+  return (tag ?? "").replace(/,/g, " ").replace(/\s+/g, " ").trim().replace(/^#+\s*/, "");
+}
 
-  async _onClickToggleHidden() {
-    if (!this._selectedEntry || !game.user.isGM) return;
-    const entries = getEntries();
-    const idx     = entries.findIndex(en => en.id === this._selectedEntry);
-    if (idx === -1) return;
-    entries[idx] = { ...entries[idx], hidden: !entries[idx].hidden };
-    await saveEntries(entries);
+/**
+ * Turn a comma-separated list into clean tags, de-duplicated
+ * case-insensitively (the first spelling wins).
+ * @param {string} raw
+ * @returns {string[]}
+ */
+function parseTags(raw) {
+  const seen = new Set();
+  const tags = [];
+  for (const tag of (raw ?? "").split(",").map(normalizeTag).filter(Boolean)) {
+    const key = tag.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    tags.push(tag);
   }
+  return tags;
+}
 
-  async _onClickNew() {
-    new WikiEntryEditor({ category: this._activeCat }, this).render(true);
+/**
+ * Every tag used by these entries with its entry count, sorted by name.
+ * Tags differing only in case are one tag, shown with its first spelling.
+ * @param {object[]} entries
+ * @returns {{tag: string, key: string, count: number}[]}
+ */
+function collectTags(entries) {
+  const tags = new Map();
+  for (const entry of entries) {
+    for (const tag of entry.tags ?? []) {
+      const key = tag.toLowerCase();
+      if (!tags.has(key)) tags.set(key, { tag, key, count: 0 });
+      tags.get(key).count++;
+    }
   }
+  return Array.from(tags.values()).sort((a, b) => a.tag.localeCompare(b.tag));
+}
 
-  async _onClickEdit() {
-    if (!this._selectedEntry) return;
-    const entry = getEntries().find(en => en.id === this._selectedEntry);
-    if (entry) new WikiEntryEditor(entry, this).render(true);
-  }
+/**
+ * Rename a tag on every entry that has it. Renaming onto an existing tag
+ * merges the two. GM only — one batch of guarded updates.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<{updated: number, conflicts: number}>}
+ */
+async function renameTag(from, to) {
+  const fromKey = from.toLowerCase();
+  const now     = Date.now();
+  const ops     = getEntries()
+    .filter(e => (e.tags ?? []).some(t => t.toLowerCase() === fromKey))
+    .map(e => ({
+      type:    "update",
+      id:      e.id,
+      changes: {
+        tags:      parseTags(e.tags.map(t => t.toLowerCase() === fromKey ? to : t).join(",")),
+        updatedAt: now,
+        updatedBy: game.user.name,
+      },
+      baseRev: e.rev ?? 0,
+      base:    { tags: e.tags },
+    }));
+  if (!ops.length) return { updated: 0, conflicts: 0 };
 
-  async _onClickRequestDelete() {
-    if (!this._selectedEntry) return;
-    const ok = await foundry.applications.api.DialogV2.confirm({
-      window:  { title: "Request Deletion" },
-      content: "<p>Flag this entry for deletion? The GM will need to approve it.</p>",
-    });
-    if (!ok) return;
-    const entries = getEntries().map(en =>
-      en.id === this._selectedEntry ? { ...en, pendingDelete: true } : en
-    );
-    await saveEntries(entries);
-  }
+  const { conflicts } = await commitEntryOps(ops);
+  return { updated: ops.length - conflicts.length, conflicts: conflicts.length };
+}
 
-  async _onClickCancelDelete() {
-    if (!this._selectedEntry) return;
-    const entries = getEntries().map(en =>
-      en.id === this._selectedEntry ? { ...en, pendingDelete: false } : en
-    );
-    await saveEntries(entries);
-  }
+// ─────────────────────────────────────────────────────────────────────────────
+// Category fields — per-category schemas of structured entry fields
+// A category may carry `fields: [{ id, label, type, options? }]`; entries keep
+// their values in `entry.fields`, keyed by field id.
+// ─────────────────────────────────────────────────────────────────────────────
 
-  async _onClickGmDelete() {
-    if (!this._selectedEntry) return;
-    const ok = await foundry.applications.api.DialogV2.confirm({
-      window:  { title: "Delete Entry" },
-      content: "<p>Permanently delete this entry? This cannot be undone.</p>",
-    });
-    if (!ok) return;
-    const entries = getEntries().filter(en => en.id !== this._selectedEntry);
-    this._selectedEntry = null;
-    await saveEntries(entries);
+/** Field types a category schema may use, with their labels. */
+const FIELD_TYPES = {
+  text:   "Text",
+  number: "Number",
+  select: "Dropdown",
+  entry:  "Entry link",
+  actor:  "Actor link",
+};
+
+/** The field schema of a category; [] when it has none. */
+function getCategoryFields(categoryId, cats = getCategories()) {
+  return cats.find(c => c.id === categoryId)?.fields ?? [];
+}
+
+/**
+ * A new field id for a label: a slug, unique within the category and never
+ * one of the built-in search filter keys.
+ * @param {string}   label
+ * @param {object[]} fields  The category's existing fields.
+ */
+function fieldIdFor(label, fields) {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "field";
+  let id = SEARCH_FILTERS.includes(base) ? `${base}-field` : base;
+  for (let n = 2; fields.some(f => f.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Display text of a field value — a linked entry's title, an actor's name —
+ * or "" when unset or the link target is gone.
+ * @param {object}   field
+ * @param {*}        value
+ * @param {object[]} entries  The entries this user can view.
+ */
+function formatFieldValue(field, value, entries) {
+  if (value === undefined || value === null || value === "") return "";
+  switch (field.type) {
+    case "entry": return entries.find(e => e.id === value)?.title ?? "";
+    case "actor": return fromUuidSync(value)?.name ?? "";
+    default:      return String(value);
   }
+}
 
-  async _onClickEntryLink(el) {
-    this._selectedEntry = el.dataset.id;
-    this.render({ force: true });
+/**
+ * An entry's field values by id, as display text, under its category's
+ * schema. Values of fields the category no longer has are ignored.
+ * @returns {Object<string, string>}
+ */
+function getEntryFieldText(entry, cats, entries) {
+  const text = {};
+  for (const field of getCategoryFields(entry.category, cats)) {
+    const value = formatFieldValue(field, entry.fields?.[field.id], entries);
+    if (value) text[field.id] = value;
   }
+  return text;
+}
 
-  // ── Delegated listener setup ─────────────────────────────────────────────
+/** Compare two field values for sorting; empty values go last. */
+function compareFieldValues(field, a, b) {
+  if (a === b) return 0;
+  if (a === "") return 1;
+  if (b === "") return -1;
+  if (field.type === "number") return Number(a) - Number(b);
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+}
 
-  _attachDelegatedListeners() {
-    if (this._listenersReady) return;
-    this._listenersReady = true;
+// ─────────────────────────────────────────────────────────────────────────────
+// Session log — categories flagged `sessionLog` (by default "Session Notes")
+// Each entry carries `session: { number, date }`; the list runs in session
+// order and the "Previously on…" recap shows the latest few sessions.
+// ─────────────────────────────────────────────────────────────────────────────
 
-    const inApp = (e) => !!(this.element?.contains(e.target));
+/** Heading of the section a new session carries over from the last one. */
+const OPEN_QUESTS_HEADING = "Open Quests";
 
-    const _click = async (e) => {
-      if (!inApp(e)) return;
+/** Session logs are flagged on the category; worlds from before the flag fall back to "notes". */
+function isSessionCategory(cat) {
+  return !!(cat?.sessionLog ?? cat?.id === "notes");
+}
 
-      const catTab = e.target.closest(".wiki-cat-tab");
-      if (catTab) return this._onClickCatTab(catTab);
+/** Sessions in order: by number, unnumbered ones last, ties by creation time. */
+function compareSessions(a, b) {
+  return (a.session?.number ?? Infinity) - (b.session?.number ?? Infinity)
+    || (a.createdAt ?? 0) - (b.createdAt ?? 0);
+}
 
-      const entryItem = e.target.closest(".wiki-entry-item");
-      if (entryItem) return this._onClickEntryItem(entryItem);
+/**
+ * Every entry in a session-log category, oldest session first.
+ * @param {object[]} entries
+ * @param {object[]} [cats]
+ * @returns {object[]}
+ */
+function getSessions(entries, cats = getCategories()) {
+  const ids = new Set(cats.filter(isSessionCategory).map(c => c.id));
+  return entries.filter(e => ids.has(e.category)).sort(compareSessions);
+}
 
-      if (e.target.closest(".wiki-btn-toggle-hidden")) return this._onClickToggleHidden();
+/** Today as YYYY-MM-DD, in local time — the format of `session.date`. */
+function todayIsoDate() {
+  const d   = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
 
-      if (e.target.closest(".wiki-btn-new")) return this._onClickNew();
+/** "#12 · 3/14/2026" — the session badge shown in the list and the recap. */
+function formatSession(session) {
+  if (!session) return "";
+  const date = session.date ? new Date(`${session.date}T00:00`).toLocaleDateString() : "";
+  return [session.number ? `#${session.number}` : "", date].filter(Boolean).join(" · ");
+}
 
-      if (e.target.closest(".wiki-btn-settings")) {
-        new WikiCategorySettings().render(true);
-        return;
-      }
+/**
+ * The HTML under a heading, up to the next heading of the same or a higher
+ * level. Null when the heading is missing or the section has no text.
+ * @param {string} html
+ * @param {string} title  Heading text, matched on its slug.
+ * @returns {string|null}
+ */
+function extractSection(html, title) {
+  const template = htmlTemplate(html);
+  const slug     = slugifyHeading(title);
+  const heading  = Array.from(template.content.querySelectorAll("h1, h2, h3, h4, h5, h6"))
+    .find(h => slugifyHeading(h.textContent) === slug);
+  if (!heading) return null;
+
+  const level = Number(heading.tagName[1]);
+  const parts = [];
+  let text    = "";
+  for (let node = heading.nextSibling; node; node = node.nextSibling) {
+    if (/^H[1-6]$/.test(node.nodeName) && Number(node.nodeName[1]) <= level) break;
+    parts.push(node.outerHTML ?? node.textContent);
+    text += node.textContent;
+  }
+  return text.trim() ? parts.join("") : null;
+}
 
-      if (e.target.closest(".wiki-btn-edit")) return this._onClickEdit();
+/**
+ * The open quests a new session starts with: the last session's own list
+ * when it kept one, otherwise a [[link]] to each active or on-hold quest.
+ * Session notes are for the whole party, so only quests every player can
+ * view are listed — never a hidden one, even when a GM starts the session.
+ * @param {object|undefined} last  The previous session entry.
+ * @param {object[]}         entries
+ * @returns {string}
+ */
+function openQuestsHtml(last, entries) {
+  const carried = last ? extractSection(last.content, OPEN_QUESTS_HEADING) : null;
+  if (carried) return carried;
+  const { escapeHTML } = foundry.utils;
+  const players = game.users.filter(u => !u.isGM);
+  const quests  = getQuests(entries)
+    .filter(e => getQuestStatus(e).open && !e.hidden && players.every(u => canAccessEntry(e, ENTRY_PERMISSIONS.VIEW, u)))
+    .sort((a, b) => a.title.localeCompare(b.title));
+  return quests.length
+    ? `<ul>${quests.map(q => `<li><p>[[${escapeHTML(q.title)}]]</p></li>`).join("")}</ul>`
+    : "<p></p>";
+}
 
-      if (e.target.closest(".wiki-btn-request-delete")) return this._onClickRequestDelete();
+/**
+ * A new session entry for the editor: the next number in the category,
+ * today's date and the previous session's open quests.
+ * @param {string}   category
+ * @param {object[]} entries  The entries this user can view.
+ * @returns {object}
+ */
+function newSessionDraft(category, entries) {
+  const sessions = getSessions(entries).filter(e => e.category === category);
+  const last     = sessions.findLast(e => e.session?.number) ?? sessions.at(-1);
+  const number   = (last?.session?.number ?? 0) + 1;
+  return {
+    title:    `Session ${number}`,
+    category,
+    session:  { number, date: todayIsoDate() },
+    content:  `<h2>Summary</h2><p></p><h2>${OPEN_QUESTS_HEADING}</h2>${openQuestsHtml(last, entries)}`,
+  };
+}
 
-      if (e.target.closest(".wiki-btn-cancel-delete")) return this._onClickCancelDelete();
+/**
+ * Open the "Previously on…" recap, reusing an open wiki window if there is
+ * one. Also how players receive a recap the GM pushes.
+ * @param {number} [count]  Sessions to show; defaults to the world setting.
+ * @returns {PartyWikiApp}
+ */
+function openWikiRecap(count) {
+  const app = openWikiApps.values().next().value ?? new PartyWikiApp();
+  app.showRecap(count);
+  return app;
+}
 
-      if (e.target.closest(".wiki-btn-delete")) return this._onClickGmDelete();
+/** Show the recap of the last `count` sessions on every connected client (GM only). */
+function pushRecapToPlayers(count) {
+  if (!game.user.isGM) return;
+  game.socket.emit(SOCKET_EVENT, { action: "showRecap", count, userId: game.user.id });
+  ui.notifications.info("Adventurer Wiki: Recap shown to all players.");
+}
 
-      const entryLink = e.target.closest(".wiki-entry-link[data-id]");
-      if (entryLink) {
-        e.preventDefault();
-        return this._onClickEntryLink(entryLink);
-      }
+// ─────────────────────────────────────────────────────────────────────────────
+// Quest tracker — categories flagged `questLog` (by default "Quests")
+// Each entry carries `quest: { status, giver, location, rewards, objectives }`.
+// Objectives marked `hidden` are GM-only: redactEntry() drops them for
+// players and mergeQuestObjectives() puts them back when a player saves. Like
+// secrets, they are hidden by the wiki, not kept off player clients.
+// ─────────────────────────────────────────────────────────────────────────────
 
-      const missingLink = e.target.closest(".wiki-entry-link-missing");
-      if (missingLink) {
-        e.preventDefault();
-        ui.notifications.warn(`Adventurer Wiki: No entry found named "${missingLink.textContent}".`);
-        return;
-      }
+const QUEST_STATUSES = [
+  { id: "active",    label: "Active",    icon: "fa-circle-play",  open: true  },
+  { id: "onhold",    label: "On Hold",   icon: "fa-circle-pause", open: true  },
+  { id: "completed", label: "Completed", icon: "fa-circle-check", open: false },
+  { id: "failed",    label: "Failed",    icon: "fa-circle-xmark", open: false },
+];
 
-      if (e.target.closest(".wiki-comment-submit")) {
-        await this._submitComment();
-        return;
-      }
+/** Quest logs are flagged on the category; worlds from before the flag fall back to "quests". */
+function isQuestCategory(cat) {
+  return !!(cat?.questLog ?? cat?.id === "quests");
+}
 
-      const commentDelBtn = e.target.closest(".wiki-comment-delete");
-      if (commentDelBtn) {
-        await this._deleteComment(commentDelBtn.dataset.commentId);
-        return;
-      }
-    };
+/** An entry's quest status; entries without one count as active. */
+function getQuestStatus(entry) {
+  return QUEST_STATUSES.find(s => s.id === entry?.quest?.status) ?? QUEST_STATUSES[0];
+}
 
-    const _input = (e) => {
-      if (!inApp(e)) return;
-      if (!e.target.matches(".wiki-search")) return;
-      this._searchQuery = e.target.value;
-      this.render({ force: true });
-    };
+/**
+ * Every entry in a quest-log category.
+ * @param {object[]} entries
+ * @param {object[]} [cats]
+ * @returns {object[]}
+ */
+function getQuests(entries, cats = getCategories()) {
+  const ids = new Set(cats.filter(isQuestCategory).map(c => c.id));
+  return entries.filter(e => ids.has(e.category));
+}
 
-    const _keydown = (e) => {
-      if (!inApp(e)) return;
-      if (!e.target.matches(".wiki-comment-input")) return;
-      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
-        e.preventDefault();
-        this._submitComment();
-      }
-    };
+/** The quest as a player may see it: hidden objectives left out. */
+function redactQuest(quest) {
+  return { ...quest, objectives: (quest.objectives ?? []).filter(o => !o.hidden) };
+}
 
-    document.addEventListener("click",   _click,   { capture: true });
-    document.addEventListener("input",   _input,   { capture: true });
-    document.addEventListener("keydown", _keydown, { capture: true });
-    this._docListeners = { _click, _input, _keydown };
+/**
+ * Put the stored quest's hidden objectives back into a list a player saved,
+ * each after the objective it followed. Players can't hide objectives, so
+ * incoming ones are made visible. GM only.
+ * @param {object[]} stored    The objectives as stored.
+ * @param {object[]} incoming  The player's objectives.
+ * @returns {object[]}
+ */
+function mergeQuestObjectives(stored = [], incoming = []) {
+  const hidden = stored.filter(o => o.hidden);
+  const out    = incoming
+    .filter(o => !hidden.some(h => h.id === o.id))
+    .map(o => ({ ...o, hidden: false }));
+  for (const objective of hidden) {
+    const before = stored.slice(0, stored.indexOf(objective)).reverse().find(o => out.some(k => k.id === o.id));
+    out.splice(before ? out.findIndex(k => k.id === before.id) + 1 : 0, 0, objective);
   }
+  return out;
+}
 
-  // ── Comment actions ──────────────────────────────────────────────────────
-
-  async _submitComment() {
-    if (!this._selectedEntry) return;
+/**
+ * Tell every client a quest's status changed. GM only, after the write;
+ * each client decides for itself whether it may see the quest.
+ * @param {string} entryId
+ * @param {string} status
+ */
+function announceQuestStatus(entryId, status) {
+  game.socket.emit(SOCKET_EVENT, { action: "questStatus", entryId, status });
+  notifyQuestStatus(entryId, status);
+}
 
-    const commentInput = this.element?.querySelector(".wiki-comment-input");
-    const text         = commentInput?.value?.trim();
-    if (!text) return;
+/** Show a quest status change, if this user can view the quest. */
+function notifyQuestStatus(entryId, status) {
+  const entry = getEntry(entryId);
+  if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW)) return;
+  const { label } = QUEST_STATUSES.find(s => s.id === status) ?? QUEST_STATUSES[0];
+  ui.notifications.info(`Adventurer Wiki: Quest "${entry.title}" is now ${label}.`);
+}
 
-    const entries  = getEntries();
-    const entryIdx = entries.findIndex(e => e.id === this._selectedEntry);
-    if (entryIdx === -1) return;
+// ─────────────────────────────────────────────────────────────────────────────
+// Comments — threads of one level: replies hang off a top-level comment and
+// share its visibility. A thread can be GM-only, and resolved, which folds it
+// away and closes it to replies. @mentions and [[links]] are found in the
+// plain text when it's shown, so an edit keeps them current.
+// ─────────────────────────────────────────────────────────────────────────────
 
-    const comment = {
-      id:         generateId(),
-      authorName: game.user.name,
-      userId:     game.user.id,
-      text,
-      createdAt:  Date.now(),
-    };
+/** Longest comment, in characters. */
+const COMMENT_MAX_LENGTH = 2000;
 
-    if (!entries[entryIdx].comments) entries[entryIdx].comments = [];
-    entries[entryIdx].comments.push(comment);
+function isValidCommentText(text) {
+  return typeof text === "string" && !!text.trim() && text.length <= COMMENT_MAX_LENGTH;
+}
 
-    const saved = await saveEntries(entries);
-    if (saved !== false && commentInput) commentInput.value = "";
+/**
+ * The @mentions in a comment. Each "@" takes the longest user name that
+ * follows it, so "@Ann Lee" isn't read as "@Ann".
+ * @param {string} text
+ * @returns {{index: number, length: number, user: User}[]}
+ */
+function findMentions(text) {
+  if (!text?.includes("@")) return [];
+  const users = [...game.users].sort((a, b) => b.name.length - a.name.length);
+  const found = [];
+  for (let i = text.indexOf("@"); i !== -1; i = text.indexOf("@", i + 1)) {
+    if (/\w/.test(text[i - 1] ?? "")) continue;   // an address, not a mention
+    const rest = text.slice(i + 1).toLowerCase();
+    const user = users.find(u => u.name && rest.startsWith(u.name.toLowerCase()) && !/\w/.test(rest[u.name.length] ?? ""));
+    if (user) found.push({ index: i, length: user.name.length + 1, user });
   }
+  return found;
+}
 
-  async _deleteComment(commentId) {
-    if (!this._selectedEntry) return;
-
-    const entries  = getEntries();
-    const entryIdx = entries.findIndex(e => e.id === this._selectedEntry);
-    if (entryIdx === -1) return;
+/** Ids of the users a comment mentions. */
+function mentionedUserIds(text) {
+  return [...new Set(findMentions(text).map(m => m.user.id))];
+}
 
-    entries[entryIdx].comments = (entries[entryIdx].comments ?? []).filter(c => c.id !== commentId);
-    await saveEntries(entries);
+/**
+ * A comment's plain text as HTML: escaped, mentions highlighted and
+ * [[links]] resolved like the entry body's.
+ * @param {string}   text
+ * @param {object[]} entries  Entries links may resolve to.
+ * @param {object}   self     The entry the comment is on.
+ * @returns {string}
+ */
+function formatCommentText(text, entries, self) {
+  const { escapeHTML } = foundry.utils;
+  let html = "";
+  let last = 0;
+  for (const { index, length, user } of findMentions(text)) {
+    const cls = user.id === game.user.id ? "wiki-mention self" : "wiki-mention";
+    html += escapeHTML(text.slice(last, index)) + `<span class="${cls}">${escapeHTML(text.slice(index, index + length))}</span>`;
+    last  = index + length;
   }
+  return processEntryLinks(html + escapeHTML(text.slice(last)), entries, self);
+}
 
-  // ── Close ────────────────────────────────────────────────────────────────
-
-  async close(options) {
-    if (this._docListeners) {
-      const { _click, _input, _keydown } = this._docListeners;
-      document.removeEventListener("click",   _click,   { capture: true });
-      document.removeEventListener("input",   _input,   { capture: true });
-      document.removeEventListener("keydown", _keydown, { capture: true });
-      this._docListeners    = null;
-      this._listenersReady  = false;
-    }
-    openWikiApps.delete(this);
-    return super.close(options);
-  }
+/**
+ * Group comments into threads, oldest first.
+ * @param {object[]} comments
+ * @returns {{root: object, replies: object[]}[]}
+ */
+function getCommentThreads(comments = []) {
+  return comments.filter(c => !c.parentId).map(root => ({
+    root,
+    replies: comments.filter(c => c.parentId === root.id),
+  }));
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// WikiEntryEditor — creates / edits wiki entries
+// Activity feed — who changed which entry, newest first
+// The GM records events as it writes (writeEntryOps() → recordActivity()) in
+// a world setting, and sends targeted notifications to users watching the
+// entry and to the player whose deletion request was settled. Read state is
+// a client setting, so unread markers are per browser. The world setting
+// syncs to every client, so getActivity() hides GM-only events and hidden
+// entries' titles from players in the UI only.
 // ─────────────────────────────────────────────────────────────────────────────
 
-class WikiEntryEditor extends HandlebarsApplicationMixin(ApplicationV2) {
-  static DEFAULT_OPTIONS = {
-    id:       "party-wiki-editor",
-    classes:  ["party-wiki", "party-wiki-editor"],
+/** Events kept in the feed; older ones drop off. */
+const ACTIVITY_LIMIT = 200;
+
+/** Edits by the same user to the same entry within this window share one event. */
+const ACTIVITY_MERGE_MS = 10 * 60 * 1000;
+
+/** User flag holding the ids of the entries a user watches. */
+const WATCH_FLAG = "watching";
+
+const ACTIVITY_TYPES = {
+  created:        { icon: "fa-file-circle-plus", verb: "created"              },
+  edited:         { icon: "fa-pen",              verb: "edited"               },
+  commented:      { icon: "fa-comment",          verb: "commented on"         },
+  resolved:       { icon: "fa-circle-check",     verb: "resolved a thread on" },
+  revealed:       { icon: "fa-eye",              verb: "revealed"             },
+  deleted:        { icon: "fa-trash",            verb: "deleted"              },
+  deleteApproved: { icon: "fa-trash",            verb: "approved deleting"    },
+  deleteDeclined: { icon: "fa-rotate-left",      verb: "declined deleting"    },
+};
+
+/**
+ * The events this user may see, newest first. Events on an existing entry
+ * follow its current visibility; a deleted entry's events follow `viewers`,
+ * the users who could view it when it went. Events in GM-only comment
+ * threads are for GMs. Filtered here, on the client: the full log is in the
+ * world setting every client receives.
+ * @returns {object[]}
+ */
+function getActivity() {
+  const log = game.settings.get(MODULE_ID, ACTIVITY_SETTING_KEY) ?? [];
+  if (game.user.isGM) return foundry.utils.deepClone(log);
+  return foundry.utils.deepClone(log.filter(event => {
+    if (event.gmOnly) return false;
+    const entry = getEntry(event.entryId);
+    return entry ? canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW) : !!event.viewers?.includes(game.user.id);
+  }));
+}
+
+/**
+ * The events for a write to one entry, comparing it before and after. GM only.
+ * @param {object|null} before  The entry as stored before the write (null when created).
+ * @param {object|null} after   The entry as written (null when deleted).
+ * @param {User}        user    Who made the change.
+ * @returns {object[]}
+ */
+function diffActivity(before, after, user) {
+  const entry  = after ?? before;
+  const base   = { entryId: entry.id, title: entry.title, userId: user?.id ?? null, userName: user?.name ?? "Someone", at: Date.now() };
+  const events = [];
+  const add    = (type, extra = {}) => events.push({ id: foundry.utils.randomID(), type, ...base, ...extra });
+
+  if (!before) {
+    add("created");
+  } else if (!after) {
+    // Players who could see the entry keep seeing its deletion.
+    const viewers = game.users.filter(u => canAccessEntry(before, ENTRY_PERMISSIONS.VIEW, u)).map(u => u.id);
+    if (before.pendingDelete) add("deleteApproved", { viewers, requesterId: before.pendingDeleteBy ?? null });
+    else add("deleted", { viewers });
+  } else {
+    if (before.hidden && !after.hidden) add("revealed");
+    if (before.pendingDelete && !after.pendingDelete && user?.isGM) {
+      add("deleteDeclined", { requesterId: before.pendingDeleteBy ?? null });
+    }
+    if (REVISION_FIELDS.some(k => (before[k] ?? "") !== (after[k] ?? ""))) add("edited");
+    const prior = new Map((before.comments ?? []).map(c => [c.id, c]));
+    for (const comment of after.comments ?? []) {
+      const was    = prior.get(comment.id);
+      const gmOnly = comment.gmOnly || undefined;
+      // An edit only notifies the users it newly mentions.
+      const mentions = mentionedUserIds(comment.text).filter(id => !was || !mentionedUserIds(was.text).includes(id));
+      if (!was || (was.text !== comment.text && mentions.length)) {
+        add("commented", { userId: comment.userId, userName: comment.authorName, gmOnly, mentions });
+      }
+      if (was && !was.resolvedAt && comment.resolvedAt) add("resolved", { gmOnly });
+    }
+  }
+  return events;
+}
+
+/**
+ * Add events to the feed and notify the users they concern. GM only.
+ * @param {{event: object, entry: object}[]} items  Each event with the entry as stored.
+ */
+async function recordActivity(items) {
+  if (!items.length) return;
+  const log = foundry.utils.deepClone(game.settings.get(MODULE_ID, ACTIVITY_SETTING_KEY) ?? []);
+  for (const { event } of items) {
+    if (event.type === "edited") {
+      const index = log.findIndex(e => e.type === "edited" && e.entryId === event.entryId
+        && e.userId === event.userId && event.at - e.at < ACTIVITY_MERGE_MS);
+      if (index !== -1) log.splice(index, 1);
+    }
+    log.unshift(event);
+  }
+  await game.settings.set(MODULE_ID, ACTIVITY_SETTING_KEY, log.slice(0, ACTIVITY_LIMIT));
+
+  for (const { event, entry } of items) {
+    const userIds = activityRecipients(event, entry);
+    if (!userIds.length) continue;
+    game.socket.emit(SOCKET_EVENT, { action: "activity", userIds, event });
+    if (userIds.includes(game.user.id)) notifyActivity(event);
+  }
+}
+
+/**
+ * Who gets a notification for an event: connected users watching the entry,
+ * users a comment mentions, and the player whose deletion request it
+ * settles — never the user who caused it, and only users who may see it.
+ * @returns {string[]}
+ */
+function activityRecipients(event, entry) {
+  return game.users.filter(user => {
+    if (!user.active || user.id === event.userId) return false;
+    if (event.gmOnly && !user.isGM) return false;
+    const canView = event.viewers ? event.viewers.includes(user.id) : canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW, user);
+    if (!canView) return false;
+    return user.id === event.requesterId || !!event.mentions?.includes(user.id)
+      || (user.getFlag(MODULE_ID, WATCH_FLAG) ?? []).includes(event.entryId);
+  }).map(user => user.id);
+}
+
+/** One line describing an event, addressed to the user where it concerns them. */
+function describeActivity(event) {
+  if (event.requesterId === game.user.id) {
+    if (event.type === "deleteApproved") return `Your deletion request for "${event.title}" was approved.`;
+    if (event.type === "deleteDeclined") return `Your deletion request for "${event.title}" was declined.`;
+  }
+  if (event.mentions?.includes(game.user.id)) return `${event.userName} mentioned you in a comment on "${event.title}".`;
+  return `${event.userName} ${ACTIVITY_TYPES[event.type]?.verb ?? event.type} "${event.title}".`;
+}
+
+function notifyActivity(event) {
+  ui.notifications.info(`Adventurer Wiki: ${describeActivity(event)}`);
+}
+
+// ── Watching ─────────────────────────────────────────────────────────────
+
+function isWatching(entryId) {
+  return (game.user.getFlag(MODULE_ID, WATCH_FLAG) ?? []).includes(entryId);
+}
+
+async function toggleWatch(entryId) {
+  const list = game.user.getFlag(MODULE_ID, WATCH_FLAG) ?? [];
+  await game.user.setFlag(MODULE_ID, WATCH_FLAG, list.includes(entryId) ? list.filter(id => id !== entryId) : [...list, entryId]);
+}
+
+// ── Read state ───────────────────────────────────────────────────────────
+// { since, feed, entries: { [entryId]: readAt } } — events by others after
+// an entry's read time (or `since`) make it unread; after `feed`, the feed.
+
+function getActivityRead() {
+  const all = game.settings.get(MODULE_ID, ACTIVITY_READ_SETTING_KEY) ?? {};
+  return foundry.utils.deepClone(all[clientStorageKey()] ?? { since: 0, feed: 0, entries: {} });
+}
+
+async function setActivityRead(read) {
+  const all = foundry.utils.deepClone(game.settings.get(MODULE_ID, ACTIVITY_READ_SETTING_KEY) ?? {});
+  all[clientStorageKey()] = read;
+  await game.settings.set(MODULE_ID, ACTIVITY_READ_SETTING_KEY, all);
+}
+
+/** A first visit starts with nothing unread rather than the whole backlog. */
+async function initActivityRead() {
+  const all = game.settings.get(MODULE_ID, ACTIVITY_READ_SETTING_KEY) ?? {};
+  if (!all[clientStorageKey()]) await setActivityRead({ since: Date.now(), feed: Date.now(), entries: {} });
+}
+
+/**
+ * Ids of the entries with events by other users since this user last read them.
+ * @param {object[]} events  From getActivity().
+ * @param {object}   read    From getActivityRead().
+ * @returns {Set<string>}
+ */
+function getUnreadEntryIds(events, read) {
+  const unread = new Set();
+  for (const event of events) {
+    if (event.userId === game.user.id) continue;
+    if (event.at > (read.entries[event.entryId] ?? read.since)) unread.add(event.entryId);
+  }
+  return unread;
+}
+
+/** Mark an entry read; read times older than the oldest event are pruned. */
+async function markEntryRead(entryId) {
+  const read   = getActivityRead();
+  const oldest = (game.settings.get(MODULE_ID, ACTIVITY_SETTING_KEY) ?? []).at(-1)?.at ?? Date.now();
+  read.entries = Object.fromEntries(Object.entries(read.entries).filter(([, at]) => at >= oldest));
+  read.entries[entryId] = Date.now();
+  await setActivityRead(read);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Search
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** `key:value` filters understood by the search box. */
+const SEARCH_FILTERS = ["cat", "tag", "author", "hidden"];
+
+/** A search token: optional `key:`, then a "quoted phrase" or a bare word. */
+const SEARCH_TOKEN_RE = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+
+/** Characters of context kept either side of a snippet's first match. */
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Searchable form of each entry, by id: lower-cased title, aliases, tags,
+ * authors and plain body text. indexEntries() keeps it current.
+ * @type {Map<string, object>}
+ */
+const searchIndex = new Map();
+
+/** Plain text of some entry HTML, whitespace collapsed. */
+function htmlToText(html) {
+  if (!html) return "";
+  const text = new DOMParser().parseFromString(html.replace(/<[^>]*>/g, " "), "text/html").body.textContent;
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Bring the search index up to date with these entries. Only entries whose
+ * `rev`/`updatedAt` changed are re-indexed; ids no longer present are dropped.
+ * @param {object[]} entries
+ */
+function indexEntries(entries) {
+  const live = new Set();
+  for (const e of entries) {
+    live.add(e.id);
+    const stamp = `${e.rev ?? 0}:${e.updatedAt ?? 0}`;
+    if (searchIndex.get(e.id)?.stamp === stamp) continue;
+
+    const text = htmlToText(e.content);
+    searchIndex.set(e.id, {
+      stamp,
+      text,
+      body:    text.toLowerCase(),
+      title:   e.title.toLowerCase(),
+      aliases: (e.aliases ?? []).map(a => a.toLowerCase()),
+      tags:    (e.tags ?? []).map(t => t.toLowerCase()),
+      authors: [e.createdBy, e.updatedBy].filter(Boolean).map(a => a.toLowerCase()),
+    });
+  }
+  for (const id of searchIndex.keys()) {
+    if (!live.has(id)) searchIndex.delete(id);
+  }
+}
+
+/**
+ * Split a search-box query into lower-cased terms (words and "quoted
+ * phrases") and filters. `key:value` tokens whose key is a category field id
+ * filter on that field; other unknown keys are plain terms.
+ * @param {string}      query
+ * @param {Set<string>} [fieldKeys]  Field ids defined by any category.
+ * @returns {{terms: string[], filters: {cat: string[], tag: string[], author: string[], hidden: boolean|null, fields: {key: string, value: string}[]}}}
+ */
+function parseSearchQuery(query, fieldKeys = new Set()) {
+  const terms   = [];
+  const filters = { cat: [], tag: [], author: [], hidden: null, fields: [] };
+
+  for (const [token, rawKey, quoted, bare] of query.matchAll(SEARCH_TOKEN_RE)) {
+    const key   = rawKey?.toLowerCase();
+    const value = (quoted ?? bare ?? "").trim().toLowerCase();
+
+    if (SEARCH_FILTERS.includes(key)) {
+      if (key === "hidden") filters.hidden = ["yes", "true", "1"].includes(value) ? true
+                                           : ["no", "false", "0"].includes(value) ? false : null;
+      else if (value) filters[key].push(value);
+      continue;
+    }
+    if (fieldKeys.has(key)) {
+      if (value) filters.fields.push({ key, value });
+      continue;
+    }
+    // A filter still being typed ("cat:") shouldn't hide every result.
+    const typing = !key && bare?.endsWith(":") && bare.slice(0, -1).toLowerCase();
+    if (typing && (SEARCH_FILTERS.includes(typing) || fieldKeys.has(typing))) continue;
+
+    const term = rawKey ? token.toLowerCase().replace(/"/g, "") : value;
+    if (term) terms.push(term);
+  }
+  return { terms, filters };
+}
+
+/**
+ * Does an entry pass the query's filters? Several `cat:` or `author:` values
+ * match any of them; several `tag:` values must all be present, as must every
+ * field filter (a substring of the field's text, or equal for numbers).
+ * `hidden:` is ignored for players.
+ */
+function matchesSearchFilters(entry, doc, filters, cats, fieldText) {
+  const { cat, tag, author, hidden, fields } = filters;
+  if (cat.length) {
+    const label = cats.find(c => c.id === entry.category)?.label.toLowerCase() ?? "";
+    if (!cat.some(v => entry.category.toLowerCase().startsWith(v) || label.startsWith(v))) return false;
+  }
+  if (tag.length && !tag.every(v => doc.tags.includes(v))) return false;
+  if (author.length && !author.some(v => doc.authors.some(a => a.includes(v)))) return false;
+  if (hidden !== null && game.user.isGM && !!entry.hidden !== hidden) return false;
+  for (const { key, value } of fields) {
+    const text = fieldText[key]?.toLowerCase();
+    if (!text) return false;
+    const field = getCategoryFields(entry.category, cats).find(f => f.id === key);
+    if (field.type === "number" ? Number(text) !== Number(value) : !text.includes(value)) return false;
+  }
+  return true;
+}
+
+/**
+ * Score one term against an indexed entry and its field text (lower-cased,
+ * joined); 0 means it doesn't match.
+ */
+function scoreSearchTerm(doc, term, fieldText) {
+  let score = 0;
+  if (doc.title === term)                          score += 100;
+  else if (doc.title.startsWith(term))             score += 40;
+  else if (doc.title.includes(term))               score += 25;
+  else if (doc.aliases.some(a => a.includes(term))) score += 20;
+  if (fieldText.includes(term))                    score += 10;
+
+  // Body hits add up to five occurrences' worth.
+  for (let i = doc.body.indexOf(term), hits = 0; i >= 0 && hits < 5; i = doc.body.indexOf(term, i + term.length), hits++) {
+    score += 3;
+  }
+  return score;
+}
+
+/** Escape text for HTML, wrapping every occurrence of any term in <mark>. */
+function highlightTerms(text, terms) {
+  const { escapeHTML } = foundry.utils;
+  const lower  = text.toLowerCase();
+  const marked = new Array(text.length).fill(false);
+  for (const term of terms) {
+    for (let i = lower.indexOf(term); i >= 0; i = lower.indexOf(term, i + term.length)) {
+      marked.fill(true, i, i + term.length);
+    }
+  }
+
+  let html = "";
+  for (let i = 0, j; i < text.length; i = j) {
+    for (j = i; j < text.length && marked[j] === marked[i]; j++);
+    const chunk = escapeHTML(text.slice(i, j));
+    html += marked[i] ? `<mark>${chunk}</mark>` : chunk;
+  }
+  return html;
+}
+
+/** A highlighted excerpt around the first body match, or null. */
+function buildSnippet(doc, terms) {
+  const positions = terms.map(t => doc.body.indexOf(t)).filter(i => i >= 0);
+  if (!positions.length) return null;
+
+  const first = Math.min(...positions);
+  let start   = Math.max(0, first - SNIPPET_RADIUS);
+  if (start > 0) start = Math.min(first, doc.text.indexOf(" ", start) + 1 || start);   // whole words
+  let end     = Math.min(doc.text.length, first + SNIPPET_RADIUS * 2);
+  if (end < doc.text.length) end = Math.max(first + SNIPPET_RADIUS, doc.text.lastIndexOf(" ", end));
+
+  return (start > 0 ? "…" : "") + highlightTerms(doc.text.slice(start, end), terms) +
+         (end < doc.text.length ? "…" : "");
+}
+
+/**
+ * Rank entries against a search-box query. Every term must appear in the
+ * title, an alias, a field or the body; titles outrank aliases outrank
+ * fields outrank body text, and
+ * recently edited entries get a small boost (which alone orders a
+ * filters-only query).
+ * @param {object[]} entries  The entries this user can view.
+ * @param {string}   query
+ * @returns {{entry: object, score: number, snippet: string|null, titleHtml: string|null}[]}  Best first.
+ */
+function searchEntries(entries, query) {
+  indexEntries(entries);
+  const cats      = getCategories();
+  const fieldKeys = new Set(cats.flatMap(c => (c.fields ?? []).map(f => f.id)));
+  const { terms, filters } = parseSearchQuery(query, fieldKeys);
+  const now       = Date.now();
+  const results   = [];
+
+  for (const entry of entries) {
+    // Field text isn't indexed: linked titles and actor names can change
+    // without the entry changing, and a category has only a few fields.
+    const doc       = searchIndex.get(entry.id);
+    const fieldText = getEntryFieldText(entry, cats, entries);
+    if (!matchesSearchFilters(entry, doc, filters, cats, fieldText)) continue;
+
+    const joined = Object.values(fieldText).join("\n").toLowerCase();
+    const scores = terms.map(t => scoreSearchTerm(doc, t, joined));
+    if (scores.includes(0)) continue;
+
+    // Up to 5 points for recency, halving every 30 days.
+    const ageDays = Math.max(0, now - (entry.updatedAt ?? 0)) / 86400000;
+    const score   = scores.reduce((a, b) => a + b, 0) + 5 * 0.5 ** (ageDays / 30);
+
+    results.push({
+      entry,
+      score,
+      snippet:   terms.length ? buildSnippet(doc, terms) : null,
+      titleHtml: terms.length ? highlightTerms(entry.title, terms) : null,
+    });
+  }
+  return results.sort((a, b) => b.score - a.score || (b.entry.updatedAt ?? 0) - (a.entry.updatedAt ?? 0));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Entry storage — one JournalEntryPage per wiki entry
+// The entry object lives in the page's `flags.adventurer-wiki.entry`; the page
+// name mirrors the title so the journal stays readable in Foundry's own UI.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {"entries"|"history"} [kind]  Which storage journal — see STORAGE_JOURNALS.
+ */
+function getStorageJournal(kind = "entries") {
+  return game.journal?.find(j => j.getFlag(MODULE_ID, "storage") === kind) ?? null;
+}
+
+function isStoragePage(page, kind = "entries") {
+  return page?.parent?.getFlag(MODULE_ID, "storage") === kind;
+}
+
+/**
+ * Create a storage journal if it does not exist yet. GM only. Ownership is
+ * NONE so the journal stays out of players' Journal sidebar; the wiki reads it
+ * directly.
+ * @param {"entries"|"history"} [kind]
+ */
+async function ensureStorageJournal(kind = "entries") {
+  const existing = getStorageJournal(kind);
+  if (existing) return existing;
+  return JournalEntry.implementation.create({
+    name:      STORAGE_JOURNALS[kind],
+    ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+    flags:     { [MODULE_ID]: { storage: kind } },
+  });
+}
+
+function findEntryPage(journal, id) {
+  return journal?.pages.find(p => p.flags?.[MODULE_ID]?.entry?.id === id) ?? null;
+}
+
+/**
+ * All entries in sidebar order. Always returns deep clones — mutate freely.
+ * Player clients get them redacted (see redactEntry()).
+ * @returns {object[]}
+ */
+function getEntries() {
+  const journal = getStorageJournal();
+  const stored  = journal
+    ? journal.pages.contents
+      .filter(p => p.flags?.[MODULE_ID]?.entry)
+      .sort((a, b) => a.sort - b.sort)
+      .map(p => foundry.utils.deepClone(p.flags[MODULE_ID].entry))
+    : [];
+  if (game.user.isGM) return stored;
+  return overlayOutbox(stored.map(redactEntry));
+}
+
+/**
+ * A single entry by id, or null.
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getEntry(id) {
+  if (!game.user.isGM) return getEntries().find(e => e.id === id) ?? null;
+  const page = findEntryPage(getStorageJournal(), id);
+  return page ? foundry.utils.deepClone(page.flags[MODULE_ID].entry) : null;
+}
+
+/**
+ * Apply one non-create operation to an entry and return the result. Guards
+ * are not checked here — see isUpdateCurrent(). Used by the GM writer and by
+ * the player's outbox overlay so both fold operations identically.
+ * @param {object} entry
+ * @param {object} op
+ * @returns {object}
+ */
+function foldEntryOp(entry, op) {
+  switch (op.type) {
+    case "update":
+      return { ...entry, ...op.changes, id: entry.id };
+    case "addComment": {
+      const comments = entry.comments ?? [];
+      if (!op.comment || comments.some(c => c.id === op.comment.id)) return entry;   // replayed
+      const comment = { ...op.comment };
+      if (comment.parentId) {
+        // Replies hang off the thread's top comment and share its visibility.
+        const parent = comments.find(c => c.id === comment.parentId);
+        const root   = parent?.parentId ? comments.find(c => c.id === parent.parentId) : parent;
+        if (!root) return entry;
+        comment.parentId = root.id;
+        if (root.gmOnly) comment.gmOnly = true;
+        else delete comment.gmOnly;
+      }
+      return { ...entry, comments: [...comments, comment] };
+    }
+    case "editComment":
+      return {
+        ...entry,
+        comments: (entry.comments ?? []).map(c => c.id === op.commentId ? { ...c, text: op.text, editedAt: op.editedAt } : c),
+      };
+    case "resolveComment":
+      return {
+        ...entry,
+        comments: (entry.comments ?? []).map(c => {
+          if (c.id !== op.commentId) return c;
+          const { resolvedBy, resolvedAt, ...rest } = c;
+          return op.resolved ? { ...rest, resolvedBy: op.by, resolvedAt: op.at } : rest;
+        }),
+      };
+    case "deleteComment":
+      // Deleting a thread's top comment takes its replies with it.
+      return { ...entry, comments: (entry.comments ?? []).filter(c => c.id !== op.commentId && c.parentId !== op.commentId) };
+    case "setQuestStatus":
+      return { ...entry, quest: { ...entry.quest, status: op.status } };
+    case "setObjective":
+      return {
+        ...entry,
+        quest: {
+          ...entry.quest,
+          objectives: (entry.quest?.objectives ?? []).map(o => o.id === op.objectiveId ? { ...o, done: !!op.done } : o),
+        },
+      };
+    default:
+      return entry;
+  }
+}
+
+function createEntry(entry) {
+  return commitEntryOps([{ type: "create", entry }]);
+}
+
+/**
+ * @param {string} id
+ * @param {object} changes
+ * @param {object} [guard]          Optional stale-write guard.
+ * @param {number} [guard.baseRev]  The entry's `rev` when the caller read it.
+ * @param {object} [guard.base]     The caller's original values of the guarded fields.
+ */
+function updateEntry(id, changes, guard = {}) {
+  return commitEntryOps([{ type: "update", id, changes, ...guard }]);
+}
+
+function deleteEntry(id) {
+  return commitEntryOps([{ type: "delete", id }]);
+}
+
+/** Pending player save requests awaiting the GM's `saveResult`: requestId → resolve. */
+const pendingSaves = new Map();
+
+const SAVE_TIMEOUT_MS = 15000;
+
+/**
+ * Commit a batch of per-entry operations. GM clients write the storage journal
+ * directly. Player clients relay the batch through the active GM and wait for
+ * its verdict; when no GM answers, the batch goes to the offline outbox and
+ * is replayed once a GM connects.
+ *
+ * Operations:
+ *   { type: "create", entry }
+ *   { type: "update", id, changes, baseRev?, base?, restoreOf? }  — shallow merge of top-level fields;
+ *                                                   `restoreOf` marks a revision restore
+ *   { type: "delete", id }
+ *   { type: "addComment", id, comment }             — `comment.parentId` makes it a reply
+ *   { type: "editComment", id, commentId, text, editedAt }
+ *   { type: "resolveComment", id, commentId, resolved, by, at }
+ *   { type: "deleteComment", id, commentId }         — a thread's top comment takes its replies
+ *   { type: "setQuestStatus", id, status }
+ *   { type: "setObjective", id, objectiveId, done }
+ *
+ * @param {object[]} ops
+ * @returns {Promise<{ok: boolean, queued?: boolean, conflicts: object[], denied: object[]}>}
+ *   `ok` is false when any guarded update was rejected or any op was refused
+ *   for lack of permission; `conflicts` holds `{ id, index, current }` per
+ *   rejection, `denied` holds `{ id, index, locked? }` per refusal. `queued` is true
+ *   when the batch went to the outbox instead.
+ */
+async function commitEntryOps(ops) {
+  if (!ops.length) return { ok: true, conflicts: [], denied: [] };
+
+  let result;
+  if (game.user.isGM) {
+    result = await writeEntryOps(ops, game.user.id);
+  } else {
+    // Queued ops go first so the GM sees this user's changes in order.
+    await flushOutbox();
+
+    result = await relayEntryOps(ops);
+    if (!result.delivered) {
+      await enqueueOutbox(ops);
+      ui.notifications.info(
+        "Adventurer Wiki: No GM is connected — your change was saved to your outbox " +
+        "and will sync automatically when a GM joins."
+      );
+      return { ok: true, queued: true, conflicts: [], denied: [] };
+    }
+  }
+
+  const { conflicts, denied } = result;
+  if (denied.some(d => d.locked)) {
+    ui.notifications.warn("Adventurer Wiki: Someone else is editing that entry — try again when they're done.");
+  } else if (denied.length) {
+    ui.notifications.warn("Adventurer Wiki: You don't have permission to make that change.");
+  }
+  return { ok: conflicts.length === 0 && denied.length === 0, conflicts, denied };
+}
+
+/**
+ * Send a batch to the active GM and wait for `saveResult`.
+ * @param {object[]} ops
+ * @returns {Promise<{delivered: boolean, conflicts: object[], denied: object[]}>}
+ *   `delivered` is false when no GM is online or none answered in time.
+ */
+async function relayEntryOps(ops) {
+  const activeGM = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+  if (!activeGM) return { delivered: false, conflicts: [], denied: [] };
+
+  const requestId = foundry.utils.randomID();
+  const result    = new Promise((resolve) => {
+    pendingSaves.set(requestId, resolve);
+    setTimeout(() => {
+      if (!pendingSaves.delete(requestId)) return;
+      resolve({ delivered: false, conflicts: [], denied: [] });
+    }, SAVE_TIMEOUT_MS);
+  });
+
+  game.socket.emit(SOCKET_EVENT, { action: "requestSave", requestId, ops, userId: game.user.id });
+  return result;
+}
+
+/** Player side of the relay: settle the matching relayEntryOps() promise. */
+function resolvePendingSave(payload) {
+  if (payload.userId !== game.user.id) return;
+  const resolve = pendingSaves.get(payload.requestId);
+  if (!resolve) return;
+  pendingSaves.delete(payload.requestId);
+  resolve({ delivered: true, conflicts: payload.conflicts ?? [], denied: payload.denied ?? [] });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Offline outbox — player operations queued while no GM is connected
+// Kept in a client setting (browser storage), keyed per world and user. Items
+// are { id, op, queuedAt, conflict? }; `conflict` holds the stored entry when
+// the GM rejected the replayed op, and such items wait for the user's review.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Key for per-world, per-user entries in client settings (outbox, drafts, activity read state). */
+function clientStorageKey() {
+  return `${game.world.id}/${game.user.id}`;
+}
+
+/** @returns {object[]} */
+function getOutbox() {
+  try {
+    const all = game.settings.get(MODULE_ID, OUTBOX_SETTING_KEY) ?? {};
+    return foundry.utils.deepClone(all[clientStorageKey()] ?? []);
+  } catch {
+    return [];
+  }
+}
+
+async function setOutbox(items) {
+  const all = foundry.utils.deepClone(game.settings.get(MODULE_ID, OUTBOX_SETTING_KEY) ?? {});
+  if (items.length) all[clientStorageKey()] = items;
+  else delete all[clientStorageKey()];
+  await game.settings.set(MODULE_ID, OUTBOX_SETTING_KEY, all);
+  refreshAllWikiApps();
+}
+
+async function enqueueOutbox(ops) {
+  const now = Date.now();
+  await setOutbox([...getOutbox(), ...ops.map(op => ({ id: foundry.utils.randomID(), op, queuedAt: now }))]);
+}
+
+async function removeOutboxItem(itemId) {
+  await setOutbox(getOutbox().filter(i => i.id !== itemId));
+}
+
+/**
+ * Show the player their own queued changes on top of the stored entries.
+ * Conflicted items are left out — the stored version wins until reviewed.
+ * @param {object[]} entries
+ * @returns {object[]}
+ */
+function overlayOutbox(entries) {
+  if (game.user.isGM) return entries;
+  const queued = getOutbox().filter(i => !i.conflict);
+  if (!queued.length) return entries;
+
+  let list = entries;
+  for (const { op } of queued) {
+    if (op.type === "create") {
+      if (!list.some(e => e.id === op.entry.id)) list = [...list, { ...foundry.utils.deepClone(op.entry), queued: true }];
+    } else if (op.type === "delete") {
+      list = list.filter(e => e.id !== op.id);
+    } else {
+      list = list.map(e => e.id === op.id ? { ...foundry.utils.deepClone(foldEntryOp(e, op)), queued: true } : e);
+    }
+  }
+  return list;
+}
+
+let flushingOutbox = false;
+
+/**
+ * Replay queued operations through the GM. Applied items leave the outbox;
+ * rejected guarded updates stay, marked with the stored entry for review.
+ */
+async function flushOutbox() {
+  if (game.user.isGM || flushingOutbox) return;
+  const pending = getOutbox().filter(i => !i.conflict);
+  if (!pending.length) return;
+
+  flushingOutbox = true;
+  try {
+    const { delivered, conflicts, denied } = await relayEntryOps(pending.map(i => i.op));
+    if (!delivered) return;
+
+    // Ops refused because someone holds the entry's edit lock stay queued
+    // and go again when the lock is released (see applyLockState()).
+    const rejected = new Map(conflicts.map(c => [pending[c.index]?.id, c.current]));
+    const locked   = new Set(denied.filter(d => d.locked).map(d => pending[d.index]?.id));
+    const sent     = new Set(pending.map(i => i.id).filter(id => !locked.has(id)));
+    const remaining = getOutbox()
+      .filter(i => !sent.has(i.id) || rejected.has(i.id))
+      .map(i => rejected.has(i.id) ? { ...i, conflict: rejected.get(i.id) } : i);
+    await setOutbox(remaining);
+
+    // Other refused ops leave the outbox too — retrying can't succeed.
+    const dropped = denied.length - locked.size;
+    const applied = pending.length - rejected.size - denied.length;
+    if (applied) ui.notifications.info(`Adventurer Wiki: Synced ${applied} queued change${applied === 1 ? "" : "s"}.`);
+    if (dropped) {
+      ui.notifications.warn(
+        `Adventurer Wiki: ${dropped} queued change${dropped === 1 ? " was" : "s were"} dropped — ` +
+        "you no longer have permission to make them."
+      );
+    }
+    if (locked.size) {
+      ui.notifications.info(
+        `Adventurer Wiki: ${locked.size} queued change${locked.size === 1 ? "" : "s"} will sync once ` +
+        "others finish editing."
+      );
+    }
+    if (rejected.size) {
+      ui.notifications.warn(
+        `Adventurer Wiki: ${rejected.size} queued change${rejected.size === 1 ? "" : "s"} clashed with newer edits ` +
+        "and need your review — see the banner in the wiki."
+      );
+    }
+  } finally {
+    flushingOutbox = false;
+  }
+}
+
+/**
+ * Does a guarded update still apply to the current entry? It does when nobody
+ * wrote since `baseRev`, when every guarded field still holds the caller's
+ * original value (someone changed something else — a comment, the hidden
+ * flag), or when the entry already holds exactly the incoming values (a
+ * retried save).
+ */
+function isUpdateCurrent(entry, op) {
+  if (op.baseRev === undefined) return true;
+  if ((entry.rev ?? 0) === op.baseRev) return true;
+
+  const same = sameFieldValue;
+  if (op.base && Object.keys(op.base).every(k => same(entry[k], op.base[k]))) return true;
+  return Object.keys(op.changes ?? {}).every(k => k.startsWith("updated") || same(entry[k], op.changes[k]));
+}
+
+/** Do two values of an entry field match? Missing and null are the same. */
+function sameFieldValue(a, b) {
+  return (a && typeof a === "object") ? foundry.utils.objectsEqual(a, b ?? {}) : (a ?? null) === (b ?? null);
+}
+
+/**
+ * May this user apply this operation? The GM checks every relayed op against
+ * the entry as stored — the player-side UI checks are only a convenience.
+ * @param {object|null} entry  The entry as stored (null for creates).
+ * @param {object}      op
+ * @param {User}        user
+ * @returns {boolean}
+ */
+function isOpPermitted(entry, op, user) {
+  if (!user) return false;
+  if (user.isGM) return true;
+
+  const { EDIT, COMMENT, VIEW } = ENTRY_PERMISSIONS;
+  switch (op.type) {
+    case "create":
+      return op.entry?.createdById === user.id && !GM_ONLY_FIELDS.some(k => op.entry[k])
+        && !op.entry.comments?.length && !op.entry.pendingDeleteBy;
+    case "update": {
+      const keys = Object.keys(op.changes ?? {});
+      if (!canAccessEntry(entry, EDIT, user)) return false;
+      if (keys.some(k => GM_ONLY_FIELDS.includes(k) || MANAGED_FIELDS.includes(k))) return false;
+      if (op.restoreOf && !canRestoreRevisions(entry, user)) return false;
+      if (op.changes.parentId) {
+        // Moving in the tree: under an entry of the same category they can see.
+        const parent = findEntryPage(getStorageJournal(), op.changes.parentId)?.flags[MODULE_ID].entry;
+        if (!parent || parent.id === entry.id || parent.category !== (op.changes.category ?? entry.category)) return false;
+        if (!canAccessEntry(parent, VIEW, user)) return false;
+      }
+      return !keys.includes("ownership") || canConfigurePermissions(entry, user);
+    }
+    case "addComment": {
+      const comment = op.comment;
+      if (!comment || comment.userId !== user.id || comment.gmOnly) return false;
+      if (!canAccessEntry(entry, COMMENT, user) || !isValidCommentText(comment.text)) return false;
+      if (!comment.parentId) return true;
+      const parent = entry.comments?.find(c => c.id === comment.parentId);
+      const root   = parent?.parentId ? entry.comments.find(c => c.id === parent.parentId) : parent;
+      return !!root && !root.gmOnly && !root.resolvedAt;
+    }
+    case "editComment": {
+      const comment = entry.comments?.find(c => c.id === op.commentId);
+      return canAccessEntry(entry, COMMENT, user) && comment?.userId === user.id && !comment.gmOnly
+        && isValidCommentText(op.text);
+    }
+    case "resolveComment": {
+      // The thread's starter or anyone who can edit the entry.
+      const comment = entry.comments?.find(c => c.id === op.commentId);
+      if (!comment || comment.parentId || comment.gmOnly) return false;
+      return canAccessEntry(entry, EDIT, user) || (comment.userId === user.id && canAccessEntry(entry, COMMENT, user));
+    }
+    case "deleteComment": {
+      // Not a thread others have replied to — that would delete their replies.
+      const comment = entry.comments?.find(c => c.id === op.commentId);
+      return canAccessEntry(entry, VIEW, user) && comment?.userId === user.id
+        && !entry.comments.some(c => c.parentId === comment.id && c.userId !== user.id);
+    }
+    case "setQuestStatus":
+      return canAccessEntry(entry, EDIT, user);
+    case "setObjective": {
+      const objective = entry.quest?.objectives?.find(o => o.id === op.objectiveId);
+      return canAccessEntry(entry, EDIT, user) && !!objective && !objective.hidden;
+    }
+    default:
+      return false;   // delete is GM-only
+  }
+}
+
+/**
+ * Apply operations to the storage journal. GM only. Operations that touch the
+ * same entry are folded together so each page is written at most once, and
+ * every write bumps the entry's `rev`. Writes that change an entry's text
+ * also record a revision in the history journal.
+ * Operations the user isn't permitted to make (see isOpPermitted()) are
+ * skipped and reported in `denied`, as are edits to an entry someone else
+ * holds the edit lock on (flagged `locked`; see isLockedAgainst()).
+ * @param {object[]} ops
+ * @param {string}   userId  The user the operations came from.
+ * @param {object}   [options]
+ * @param {boolean}  [options.quiet=false]  Leave the activity feed alone (see migrateLegacyEntries()).
+ * @returns {Promise<{conflicts: object[], denied: object[]}>}
+ */
+async function writeEntryOps(ops, userId, { quiet = false } = {}) {
+  const journal   = await ensureStorageJournal();
+  const working   = new Map();   // entryId → { page, entry, created, deleted, dirty }
+  const conflicts = [];
+  const denied    = [];
+  const user      = game.users.get(userId);
+
+  const load = (id) => {
+    if (!working.has(id)) {
+      const page = findEntryPage(journal, id);
+      working.set(id, {
+        page,
+        entry:   page ? foundry.utils.deepClone(page.flags[MODULE_ID].entry) : null,
+        created: false,
+        deleted: false,
+        dirty:   false,
+      });
+    }
+    return working.get(id);
+  };
+
+  for (const [index, op] of ops.entries()) {
+    // Ops on a missing (or already deleted) entry fall through as no-ops.
+    const stored = op.type === "create" ? null : load(op.id);
+    const live   = op.type === "create" || (stored.entry && !stored.deleted);
+    if (live && !isOpPermitted(stored?.entry ?? null, op, user)) {
+      denied.push({ id: op.id ?? op.entry?.id, index });
+      continue;
+    }
+    if (live && isLockedAgainst(op, user)) {
+      denied.push({ id: op.id, index, locked: true });
+      continue;
+    }
+
+    switch (op.type) {
+      case "create": {
+        if (!op.entry?.id) break;
+        const slot = load(op.entry.id);
+        if (slot.entry) break;   // duplicate relay — already exists
+        slot.entry   = { ...foundry.utils.deepClone(op.entry), rev: 1 };
+        if (!user?.isGM) slot.entry.content = mergeSecrets("", slot.entry.content);
+        if (!user?.isGM && slot.entry.quest) {
+          slot.entry.quest.objectives = mergeQuestObjectives([], slot.entry.quest.objectives);
+        }
+        slot.created = true;
+        break;
+      }
+      case "update": {
+        const slot = load(op.id);
+        if (!slot.entry || slot.deleted) break;
+        // Players compare against — and get back — the entry as they see it.
+        const seen = user?.isGM ? slot.entry : redactEntry(slot.entry);
+        if (!isUpdateCurrent(seen, op)) {
+          conflicts.push({ id: op.id, index, current: foundry.utils.deepClone(seen) });
+          break;
+        }
+        const changes = { ...op.changes };
+        if (!user?.isGM && "content" in changes) changes.content = mergeSecrets(slot.entry.content, changes.content);
+        if (!user?.isGM && changes.quest) {
+          changes.quest = {
+            ...changes.quest,
+            objectives: mergeQuestObjectives(slot.entry.quest?.objectives, changes.quest.objectives),
+          };
+        }
+        slot.entry = foldEntryOp(slot.entry, { ...op, changes });
+        slot.dirty = true;
+        break;
+      }
+      case "addComment":
+      case "editComment":
+      case "resolveComment":
+      case "deleteComment":
+      case "setQuestStatus":
+      case "setObjective": {
+        const slot = load(op.id);
+        if (!slot.entry || slot.deleted) break;
+        let applied = op;
+        if (op.type === "addComment" && !user?.isGM) {
+          // A player's comment goes in under their own name, unresolved and unedited.
+          const { resolvedAt, resolvedBy, editedAt, ...comment } = op.comment;
+          applied = { ...op, comment: { ...comment, authorName: user.name } };
+        }
+        slot.entry = foldEntryOp(slot.entry, applied);
+        slot.dirty = true;
+        break;
+      }
+      case "delete": {
+        const slot = load(op.id);
+        slot.deleted = true;
+        break;
+      }
+    }
+  }
+
+  const creates   = [];
+  const updates   = [];
+  const deletes   = [];
+  const revisions = [];
+  const statuses  = [];   // quests whose status changed: [entryId, status]
+  const activity  = [];   // feed events: { event, entry }
+  const author    = game.users.get(userId);
+  let sort = Math.max(0, ...journal.pages.map(p => p.sort));
+
+  const track = (before, after) => {
+    for (const event of diffActivity(before, after, author)) activity.push({ event, entry: after ?? before });
+  };
+
+  for (const slot of working.values()) {
+    if (slot.deleted) {
+      if (!slot.page) continue;
+      deletes.push(slot.page.id);
+      track(slot.page.flags[MODULE_ID].entry, null);
+      // The history outlives the entry; make sure it holds the last state.
+      const last = slot.page.flags[MODULE_ID].entry;
+      if (!getEntryHistory(last.id).length) revisions.push(makeRevision(last, null));
+    } else if (slot.created) {
+      sort += CONST.SORT_INTEGER_DENSITY;
+      creates.push({
+        name:  slot.entry.title || "Untitled",
+        type:  "text",
+        sort,
+        flags: { [MODULE_ID]: { entry: slot.entry } },
+      });
+      revisions.push(makeRevision(slot.entry, author));
+      track(null, slot.entry);
+    } else if (slot.page && slot.dirty) {
+      const before = slot.page.flags[MODULE_ID].entry;
+      slot.entry.rev = (slot.entry.rev ?? 0) + 1;
+      // Remember who asked for a deletion, so they hear how it was settled.
+      if (slot.entry.pendingDelete && !before.pendingDelete) slot.entry.pendingDeleteBy = userId;
+      if (!slot.entry.pendingDelete) delete slot.entry.pendingDeleteBy;
+      track(before, slot.entry);
+      if (getQuestStatus(before).id !== getQuestStatus(slot.entry).id) statuses.push([slot.entry.id, getQuestStatus(slot.entry).id]);
+      if (REVISION_FIELDS.some(k => (before[k] ?? "") !== (slot.entry[k] ?? ""))) {
+        // Entries from before history existed get their prior state recorded
+        // first, so the very first edit can still be undone.
+        if (!getEntryHistory(before.id).length) revisions.push(makeRevision(before, null));
+        revisions.push(makeRevision(slot.entry, author));
+      }
+      // "==" forces replacement so fields removed from the entry don't linger.
+      updates.push({
+        _id:  slot.page.id,
+        name: slot.entry.title || "Untitled",
+        [`flags.${MODULE_ID}.==entry`]: slot.entry,
+      });
+    }
+  }
+
+  if (creates.length) await journal.createEmbeddedDocuments("JournalEntryPage", creates);
+  if (updates.length) await journal.updateEmbeddedDocuments("JournalEntryPage", updates);
+  if (deletes.length) await journal.deleteEmbeddedDocuments("JournalEntryPage", deletes);
+  await removeEntryPins([...working.entries()].filter(([, slot]) => slot.deleted && slot.page).map(([id]) => id));
+
+  await writeHistory(revisions);
+
+  for (const [id, status] of statuses) announceQuestStatus(id, status);
+  if (!quiet) await recordActivity(activity);
+
+  return { conflicts, denied };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GM secrets — <section class="secret"> blocks inside entry content
+// The wiki never shows or searches unrevealed secrets for players:
+// getEntries() hands them redacted entries where each one is an empty
+// placeholder with the same id, and the GM puts the real sections back when a
+// player saves. The stored page still syncs to every client with the secret
+// text in its flags — Foundry has no GM-only store for module data.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const HIDDEN_SECRET_SELECTOR = "section.secret:not(.revealed)";
+
+function htmlTemplate(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html ?? "";
+  return template;
+}
+
+/**
+ * Empty every unrevealed secret section, keeping only its id as a placeholder.
+ * @param {string} html
+ * @returns {string}
+ */
+function stripSecrets(html) {
+  if (!html?.includes("secret")) return html;
+  const template = htmlTemplate(html);
+  for (const el of template.content.querySelectorAll(HIDDEN_SECRET_SELECTOR)) {
+    if (!template.content.contains(el)) continue;   // nested in one already emptied
+    if (el.id) el.replaceChildren();
+    else el.remove();
+  }
+  return template.innerHTML;
+}
+
+/** The entry as a player client may see it: secrets emptied, GM notes, hidden objectives and GM-only comments dropped. */
+function redactEntry(entry) {
+  const redacted = { ...entry, content: stripSecrets(entry.content) };
+  delete redacted.gmNotes;
+  if (entry.quest) redacted.quest = redactQuest(entry.quest);
+  if (entry.comments?.some(c => c.gmOnly)) redacted.comments = entry.comments.filter(c => !c.gmOnly);
+  return redacted;
+}
+
+/**
+ * Put the stored entry's unrevealed secrets back into content a player saved.
+ * Placeholders are swapped for the real sections by id; secrets whose
+ * placeholder the player removed are appended, so a player can't delete
+ * them. Players can't create secrets — unknown ones are dropped, text and
+ * all, since they may be a GM's secret that reached a player. GM only.
+ * @param {string} storedHtml    The entry's content as stored.
+ * @param {string} incomingHtml  The player's content.
+ * @returns {string}
+ */
+function mergeSecrets(storedHtml, incomingHtml) {
+  const hidden = new Map();
+  for (const el of htmlTemplate(storedHtml).content.querySelectorAll(HIDDEN_SECRET_SELECTOR)) {
+    if (el.id && !hidden.has(el.id)) hidden.set(el.id, el);
+  }
+
+  const incoming = htmlTemplate(incomingHtml);
+  for (const el of incoming.content.querySelectorAll(HIDDEN_SECRET_SELECTOR)) {
+    if (!incoming.content.contains(el)) continue;   // nested in one already replaced
+    const original = hidden.get(el.id);
+    if (original) {
+      el.replaceWith(original);
+      hidden.delete(el.id);
+    } else {
+      el.remove();
+    }
+  }
+  incoming.content.append(...hidden.values());
+  return incoming.innerHTML;
+}
+
+/**
+ * Whether content still holds the text of an unrevealed secret — as the GM
+ * stores it, rather than stripped down to placeholders.
+ * @param {string} html
+ * @returns {boolean}
+ */
+function hasSecretText(html) {
+  if (!html?.includes("secret")) return false;
+  return [...htmlTemplate(html).content.querySelectorAll(HIDDEN_SECRET_SELECTOR)].some(el => el.textContent.trim());
+}
+
+/**
+ * Set one secret section's revealed state.
+ * @param {string}  html
+ * @param {string}  secretId
+ * @param {boolean} revealed
+ * @returns {string}
+ */
+function setSecretRevealed(html, secretId, revealed) {
+  const template = htmlTemplate(html);
+  const el = [...template.content.querySelectorAll("section.secret")].find(s => s.id === secretId);
+  el?.classList.toggle("revealed", revealed);
+  return template.innerHTML;
+}
+
+/**
+ * Add a reveal toggle to each secret section of enriched content. GM view only.
+ * @param {string} html
+ * @returns {string}
+ */
+function addSecretToggles(html) {
+  if (!html?.includes("secret")) return html;
+  const template = htmlTemplate(html);
+  for (const el of template.content.querySelectorAll("section.secret[id]")) {
+    const revealed = el.classList.contains("revealed");
+    const button   = document.createElement("button");
+    button.type             = "button";
+    button.className        = "wiki-secret-toggle";
+    button.dataset.secretId = el.id;
+    button.title            = revealed
+      ? "Players can see this section — click to hide it"
+      : "Only GMs can see this section — click to reveal it to players";
+    button.innerHTML        = revealed
+      ? `<i class="fas fa-eye"></i> Revealed`
+      : `<i class="fas fa-eye-slash"></i> GM secret`;
+    el.prepend(button);
+  }
+  return template.innerHTML;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Revision history — one page per revision in the history journal
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Entry fields captured in each revision; a change to any of them records one. */
+const REVISION_FIELDS = ["title", "category", "content"];
+
+/**
+ * Snapshot an entry as a revision record.
+ * @param {object}    entry
+ * @param {User|null} author  The saving user, or null for a baseline snapshot
+ *                            (attributed to the entry's last editor).
+ */
+function makeRevision(entry, author) {
+  return {
+    id:         generateId(),
+    entryId:    entry.id,
+    rev:        entry.rev ?? 0,
+    title:      entry.title ?? "",
+    category:   entry.category ?? "",
+    content:    entry.content ?? "",
+    authorName: author?.name ?? entry.updatedBy ?? entry.createdBy ?? "Unknown",
+    userId:     author?.id ?? null,
+    savedAt:    author ? Date.now() : (entry.updatedAt ?? entry.createdAt ?? Date.now()),
+  };
+}
+
+/**
+ * Revisions of one entry, newest first.
+ * @param {string} entryId
+ * @returns {object[]}
+ */
+function getEntryHistory(entryId) {
+  const journal = getStorageJournal("history");
+  if (!journal) return [];
+  return journal.pages.contents
+    .map(p => p.flags?.[MODULE_ID]?.revision)
+    .filter(r => r?.entryId === entryId)
+    .sort((a, b) => (b.rev - a.rev) || (b.savedAt - a.savedAt))
+    .map(r => game.user.isGM ? foundry.utils.deepClone(r) : { ...r, content: stripSecrets(r.content) });
+}
+
+/**
+ * Record new revisions and prune each touched entry down to the retention
+ * limit. A deleted entry's history is kept. GM only.
+ * @param {object[]} revisions
+ */
+async function writeHistory(revisions) {
+  if (!revisions.length) return;
+  const journal = await ensureStorageJournal("history");
+
+  if (revisions.length) {
+    await journal.createEmbeddedDocuments("JournalEntryPage", revisions.map(r => ({
+      name:  `${r.title || "Untitled"} (r${r.rev})`,
+      type:  "text",
+      flags: { [MODULE_ID]: { revision: r } },
+    })));
+  }
+
+  const limit   = game.settings.get(MODULE_ID, HISTORY_SETTING_KEY);
+  const touched = new Set(revisions.map(r => r.entryId));
+  const byEntry = new Map();
+
+  for (const page of journal.pages) {
+    const rev = page.flags?.[MODULE_ID]?.revision;
+    if (!rev) continue;
+    if (!byEntry.has(rev.entryId)) byEntry.set(rev.entryId, []);
+    byEntry.get(rev.entryId).push(page);
+  }
+
+  const prune = [];
+  for (const [entryId, pages] of byEntry) {
+    if (touched.has(entryId) && pages.length > limit) {
+      const rev = (p) => p.flags[MODULE_ID].revision;
+      pages.sort((a, b) => (rev(b).rev - rev(a).rev) || (rev(b).savedAt - rev(a).savedAt));
+      prune.push(...pages.slice(limit).map(p => p.id));
+    }
+  }
+  if (prune.length) await journal.deleteEmbeddedDocuments("JournalEntryPage", prune);
+}
+
+/**
+ * Split HTML into diffable tokens: tags, words and whitespace runs.
+ * @param {string} html
+ * @returns {string[]}
+ */
+function tokenizeHtml(html) {
+  return (html ?? "").match(/<[^>]+>|[^\s<]+|\s+/g) ?? [];
+}
+
+/** Tags that carry content of their own and so diff like words. */
+const VOID_TAG_RE = /^<(img|br|hr)\b/i;
+
+/**
+ * HTML-aware word diff. Returns the new HTML with removed words wrapped in
+ * `<del>` and added words in `<ins>`. Structural tags follow the new version;
+ * removed tags are dropped (except void tags such as images, which are shown
+ * struck through).
+ * @param {string} oldHtml
+ * @param {string} newHtml
+ * @returns {string}
+ */
+function diffHtml(oldHtml, newHtml) {
+  const a = tokenizeHtml(oldHtml);
+  const b = tokenizeHtml(newHtml);
+
+  // Trim the common prefix and suffix — most edits touch a small region.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops  = [];   // [kind, token] with kind "=", "-", "+"
+
+  if (midA.length * midB.length > 4_000_000) {
+    // Too large for a word-level LCS — show the region as replaced.
+    midA.forEach(t => ops.push(["-", t]));
+    midB.forEach(t => ops.push(["+", t]));
+  } else {
+    // Classic LCS table over the middle region, walked forwards.
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j])                 { ops.push(["=", midA[i]]); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) { ops.push(["-", midA[i]]); i++; }
+      else                                     { ops.push(["+", midB[j]]); j++; }
+    }
+    while (i < n) ops.push(["-", midA[i++]]);
+    while (j < m) ops.push(["+", midB[j++]]);
+  }
+
+  let out  = a.slice(0, start).join("");
+  let open = null;   // currently open wrapper: "-" | "+"
+  const close = () => { if (open) out += open === "-" ? "</del>" : "</ins>"; open = null; };
+
+  for (const [kind, token] of ops) {
+    const isTag = token.startsWith("<") && !VOID_TAG_RE.test(token);
+    if (kind === "=") { close(); out += token; continue; }
+    if (isTag) {
+      // Structure follows the new version; wrappers never span a tag.
+      close();
+      if (kind === "+") out += token;
+      continue;
+    }
+    if (open !== kind) {
+      close();
+      out += kind === "-" ? '<del class="wiki-diff-del">' : '<ins class="wiki-diff-ins">';
+      open = kind;
+    }
+    out += token;
+  }
+  close();
+  return out + a.slice(endA).join("");
+}
+
+/**
+ * Pair up equal items of two lists along their longest common subsequence.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number[]}  For each item of `a`, the index of its partner in `b`, or -1.
+ */
+function matchLcs(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const match = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j])                       { match[i++] = j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { i++; }
+    else                                     { j++; }
+  }
+  return match;
+}
+
+/**
+ * Three-way merge of HTML by top-level block (paragraph, heading, list…).
+ * Where only one side changed a stretch of blocks since the base, that
+ * side's version wins; blocks both sides added at the same spot are all
+ * kept, theirs first; where both changed a stretch differently, the merge
+ * fails.
+ * @param {string} baseHtml   The version both sides started from.
+ * @param {string} theirHtml  The version saved meanwhile.
+ * @param {string} myHtml     The version being saved.
+ * @returns {string|null}  The merged HTML, or null on a conflict.
+ */
+function mergeHtml(baseHtml, theirHtml, myHtml) {
+  const { escapeHTML } = foundry.utils;
+  const blocks = (html) => [...htmlTemplate(html).content.childNodes]
+    .map(n => n.outerHTML ?? escapeHTML(n.textContent))
+    .filter(html => html.trim());
+  const base   = blocks(baseHtml);
+  const theirs = blocks(theirHtml);
+  const mine   = blocks(myHtml);
+  if (base.length * Math.max(theirs.length, mine.length) > 1_000_000) return null;
+
+  const toTheirs = matchLcs(base, theirs);
+  const toMine   = matchLcs(base, mine);
+  const same     = (x, y) => x.length === y.length && x.every((block, i) => block === y[i]);
+  const out      = [];
+  let [o, t, m]  = [0, 0, 0];
+
+  // Walk from one block all three versions kept to the next, merging the
+  // stretch in between.
+  for (;;) {
+    let next = o;
+    while (next < base.length && (toTheirs[next] === -1 || toMine[next] === -1)) next++;
+    const endT = next < base.length ? toTheirs[next] : theirs.length;
+    const endM = next < base.length ? toMine[next] : mine.length;
+
+    const was = base.slice(o, next);
+    const a   = theirs.slice(t, endT);
+    const b   = mine.slice(m, endM);
+    if (same(a, was) || same(a, b)) out.push(...b);
+    else if (same(b, was))          out.push(...a);
+    else if (!was.length)           out.push(...a, ...b);   // both only added here: keep both
+    else return null;
+
+    if (next >= base.length) break;
+    out.push(base[next]);
+    [o, t, m] = [next + 1, endT + 1, endM + 1];
+  }
+  return out.join("");
+}
+
+/**
+ * One-time move of the legacy `wikiEntries` setting array into per-entry
+ * pages. Runs on the active GM at ready; the setting is emptied afterwards so
+ * it never runs twice.
+ */
+async function migrateLegacyEntries() {
+  let legacy;
+  try {
+    legacy = game.settings.get(MODULE_ID, SETTING_KEY);
+  } catch {
+    return;
+  }
+  if (!Array.isArray(legacy) || !legacy.length) return;
+
+  console.log(`Adventurer Wiki | Migrating ${legacy.length} entries to per-entry storage.`);
+  // Quiet, or the feed would bury everything else under one "created" per entry.
+  await writeEntryOps(legacy.map(entry => ({ type: "create", entry })), game.user.id, { quiet: true });
+  await game.settings.set(MODULE_ID, SETTING_KEY, []);
+  ui.notifications.info(`Adventurer Wiki: Moved ${legacy.length} entries to per-entry storage.`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export & import — GM tools (WikiTransfer). The JSON bundle is the round-trip
+// format; the Markdown folder and the HTML site are written from the same
+// bundle into the world's data folder.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EXPORT_FORMAT  = "adventurer-wiki";
+const EXPORT_VERSION = 1;
+
+/** Matches Foundry content links, `@UUID[…]` with an optional `{label}`. */
+const CONTENT_LINK_RE = /@UUID\[([^\]]+)\](?:\{([^}]*)\})?/g;
+
+/**
+ * Create a data-folder directory and any missing parents. Foundry answers
+ * with an error when a directory already exists; those are ignored.
+ * @param {string} path
+ */
+async function ensureDataDirectory(path) {
+  const FP    = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+  const parts = path.split("/").filter(Boolean);
+  for (let i = 1; i <= parts.length; i++) {
+    try {
+      await FP.createDirectory("data", parts.slice(0, i).join("/"));
+    } catch (e) {
+      if (!e?.message?.toLowerCase().includes("already")) {
+        console.warn(`Adventurer Wiki | Could not create ${parts.slice(0, i).join("/")}:`, e);
+      }
+    }
+  }
+}
+
+/** Local image paths (uploads, doodles) referenced by entry HTML. */
+function collectImagePaths(entries) {
+  const paths = new Set();
+  for (const entry of entries) {
+    for (const html of [entry.content, entry.gmNotes]) {
+      for (const [, src] of (html ?? "").matchAll(/<img[^>]+src="([^"]+)"/g)) {
+        if (!/^(?:[a-z]+:)?\/\//i.test(src) && !src.startsWith("data:")) paths.add(src);
+      }
+    }
+  }
+  return [...paths];
+}
+
+/** @returns {Promise<string|null>}  The file as a data URL, or null if it can't be read. */
+async function fileToDataUrl(path) {
+  try {
+    const res = await fetch(path);
+    if (!res.ok) return null;
+    const blob = await res.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload  = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (err) {
+    console.warn(`Adventurer Wiki | Could not read ${path}:`, err);
+    return null;
+  }
+}
+
+/** Replace every `src="old"` in entry HTML with its new path. */
+function rewriteImagePaths(html, pathMap) {
+  if (!html || !pathMap.size) return html;
+  return html.replace(/(<img[^>]+src=")([^"]+)"/g, (m, head, src) => pathMap.has(src) ? `${head}${pathMap.get(src)}"` : m);
+}
+
+/**
+ * Everything the wiki holds, as a versioned bundle — the JSON export, and
+ * the source the Markdown and HTML exports are written from.
+ * @param {object}  [options]
+ * @param {boolean} [options.gmContent=false]  Keep GM notes and GM secret sections.
+ * @param {boolean} [options.hidden=true]      Keep hidden entries.
+ * @param {boolean} [options.images=true]      Embed referenced images as data URLs.
+ * @returns {Promise<object>}
+ */
+async function buildExportBundle({ gmContent = false, hidden = true, images = true } = {}) {
+  const entries = getEntries()
+    .filter(e => hidden || !e.hidden)
+    .map(({ rev, ...entry }) => {
+      if (gmContent) return entry;
+      const { gmNotes, ...rest } = entry;
+      return { ...rest, content: stripSecrets(rest.content ?? ""), comments: (rest.comments ?? []).filter(c => !c.gmOnly) };
+    });
+
+  const embedded = {};
+  if (images) {
+    for (const path of collectImagePaths(entries)) {
+      const data = await fileToDataUrl(path);
+      if (data) embedded[path] = data;
+    }
+  }
+
+  return {
+    format:        EXPORT_FORMAT,
+    version:       EXPORT_VERSION,
+    moduleVersion: game.modules.get(MODULE_ID)?.version ?? null,
+    exportedAt:    Date.now(),
+    world:         { id: game.world.id, title: game.world.title },
+    categories:    getCategories(),
+    entries,
+    images:        embedded,
+  };
+}
+
+/**
+ * A file name for each entry — its slugged title, numbered when two collide.
+ * @returns {Map<string, string>}  entry id → name without extension
+ */
+function exportFileNames(entries) {
+  const used  = new Set();
+  const names = new Map();
+  for (const entry of entries) {
+    const base = slugifyHeading(entry.title) || "entry";
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+    names.set(entry.id, name);
+  }
+  return names;
+}
+
+/** Content links become their label — there's no Foundry to open them in. */
+function flattenContentLinks(html) {
+  return (html ?? "").replace(CONTENT_LINK_RE, (_m, uuid, label) => label || fromUuidSync(uuid)?.name || uuid);
+}
+
+/**
+ * Convert entry HTML to Markdown. Covers what the wiki's editor produces —
+ * headings, paragraphs, inline marks, lists, quotes, code, tables, images,
+ * links; anything else keeps only its text. `[[links]]` pass through as-is.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+  const inline = (node) => Array.from(node.childNodes, convert).join("");
+  const block  = (text) => `\n\n${text.trim()}\n\n`;
+  const indent = (text, pad) => text.split("\n").map((line, i) => (i && line ? pad + line : line)).join("\n");
+
+  function list(node, ordered) {
+    const items = Array.from(node.children).filter(li => li.tagName === "LI");
+    return "\n\n" + items.map((li, i) => {
+      const marker = ordered ? `${i + 1}. ` : "- ";
+      const body   = inline(li).replace(/\n{3,}/g, "\n\n").trim();
+      return marker + indent(body, " ".repeat(marker.length));
+    }).join("\n") + "\n\n";
+  }
+
+  function table(node) {
+    const rows = Array.from(node.querySelectorAll("tr"), tr =>
+      `| ${Array.from(tr.children, cell => inline(cell).trim().replace(/\|/g, "\\|").replace(/\n+/g, " ")).join(" | ")} |`
+    );
+    if (!rows.length) return "";
+    const cols = node.querySelector("tr").children.length;
+    rows.splice(1, 0, `|${" --- |".repeat(cols)}`);
+    return `\n\n${rows.join("\n")}\n\n`;
+  }
+
+  function convert(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, " ");
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    const tag = node.tagName.toLowerCase();
+    switch (tag) {
+      case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+        return block(`${"#".repeat(Number(tag[1]))} ${inline(node).trim()}`);
+      case "p":          return block(inline(node));
+      case "br":         return "  \n";
+      case "hr":         return block("---");
+      case "strong":
+      case "b":          return `**${inline(node)}**`;
+      case "em":
+      case "i":          return `*${inline(node)}*`;
+      case "s":
+      case "del":        return `~~${inline(node)}~~`;
+      case "code":       return `\`${node.textContent}\``;
+      case "pre":        return block("```\n" + node.textContent.replace(/\n$/, "") + "\n```");
+      case "a":          return node.getAttribute("href") ? `[${inline(node)}](${node.getAttribute("href")})` : inline(node);
+      case "img":        return `![${node.getAttribute("alt") ?? ""}](${node.getAttribute("src") ?? ""})`;
+      case "blockquote": return block(inline(node).trim().replace(/\n{3,}/g, "\n\n").split("\n").map(l => `> ${l}`.trimEnd()).join("\n"));
+      case "ul":         return list(node, false);
+      case "ol":         return list(node, true);
+      case "table":      return table(node);
+      case "div":
+      case "section":    return block(inline(node));
+      default:           return inline(node);
+    }
+  }
+
+  return inline(htmlTemplate(flattenContentLinks(html)).content)
+    .replace(/(?<! ) \n|[ \t]{3,}\n/g, "\n")   // stray spaces, but not a <br>'s two
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/** YAML front-matter. JSON values are valid YAML, which keeps this simple and safe. */
+function frontMatter(data) {
+  const lines = Object.entries(data)
+    .filter(([, v]) => v !== undefined && v !== null && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => `${k}: ${JSON.stringify(v)}`);
+  return `---\n${lines.join("\n")}\n---\n`;
+}
+
+/** A data URL as a Blob, for upload. */
+async function dataUrlToBlob(dataUrl) {
+  return (await fetch(dataUrl)).blob();
+}
+
+/**
+ * Images of a bundle as files under `images/`, with the relative path each
+ * old path maps to from a file `depth` folders below the export root.
+ */
+async function bundleImageFiles(bundle) {
+  const files = [];
+  const names = new Map();   // old path → file name
+  for (const [path, data] of Object.entries(bundle.images ?? {})) {
+    let name = path.split("/").pop() || "image";
+    while ([...names.values()].includes(name)) name = `${foundry.utils.randomID(4)}-${name}`;
+    names.set(path, name);
+    files.push({ path: `images/${name}`, content: await dataUrlToBlob(data) });
+  }
+  const pathsFrom = (depth) => new Map([...names].map(([old, name]) => [old, `${"../".repeat(depth)}images/${name}`]));
+  return { files, pathsFrom };
+}
+
+/**
+ * The Markdown folder: `index.md`, one folder per category holding one file
+ * per entry (front-matter, then the body, comments and GM notes), `images/`.
+ * @param {object} bundle
+ * @returns {Promise<{path: string, content: string|Blob}[]>}
+ */
+async function buildMarkdownExport(bundle) {
+  const { files, pathsFrom } = await bundleImageFiles(bundle);
+  const paths   = pathsFrom(1);
+  const names   = exportFileNames(bundle.entries);
+  const byId    = new Map(bundle.entries.map(e => [e.id, e]));
+  const cats    = bundle.categories;
+  const catDir  = (id) => slugifyHeading(cats.find(c => c.id === id)?.label ?? id) || id;
+
+  for (const entry of bundle.entries) {
+    const meta = frontMatter({
+      id:             entry.id,
+      title:          entry.title,
+      aliases:        entry.aliases,
+      category:       entry.category,
+      tags:           entry.tags,
+      fields:         Object.keys(entry.fields ?? {}).length ? entry.fields : undefined,
+      parent:         entry.parentId ? byId.get(entry.parentId)?.title : undefined,
+      linkedDocument: entry.linkedDocument,
+      session:        entry.session,
+      quest:          entry.quest,
+      hidden:         entry.hidden || undefined,
+      created:        entry.createdAt ? new Date(entry.createdAt).toISOString() : undefined,
+      createdBy:      entry.createdBy,
+      updated:        entry.updatedAt ? new Date(entry.updatedAt).toISOString() : undefined,
+      updatedBy:      entry.updatedBy,
+    });
+    let body = `# ${entry.title}\n\n${htmlToMarkdown(rewriteImagePaths(entry.content, paths))}\n`;
+    if (entry.comments?.length) {
+      const line = (c, indent) => `${indent}- **${c.authorName}** (${new Date(c.createdAt).toISOString().slice(0, 10)}): ${c.text}`;
+      body += "\n## Comments\n\n" + getCommentThreads(entry.comments).map(({ root, replies }) => {
+        const marks = [root.gmOnly && "GM only", root.resolvedAt && `resolved by ${root.resolvedBy}`].filter(Boolean);
+        return [line(root, "") + (marks.length ? ` _(${marks.join(", ")})_` : ""), ...replies.map(r => line(r, "  "))].join("\n");
+      }).join("\n") + "\n";
+    }
+    if (entry.gmNotes) body += `\n## GM Notes\n\n${htmlToMarkdown(rewriteImagePaths(entry.gmNotes, paths))}\n`;
+    files.push({ path: `${catDir(entry.category)}/${names.get(entry.id)}.md`, content: `${meta}\n${body}` });
+  }
+
+  const index = [`# ${bundle.world.title} — Adventurer Wiki`, ""];
+  for (const cat of cats) {
+    const inCat = bundle.entries.filter(e => e.category === cat.id);
+    if (!inCat.length) continue;
+    index.push(`## ${cat.label}`, "", ...inCat.map(e => `- [${e.title}](${catDir(cat.id)}/${names.get(e.id)}.md)`), "");
+  }
+  files.push({ path: "index.md", content: index.join("\n") });
+  return files;
+}
+
+const EXPORT_SITE_CSS = `
+body { margin: 0; font: 15px/1.6 Georgia, serif; color: #222; background: #f5f0eb; }
+nav { position: fixed; top: 0; bottom: 0; width: 230px; overflow-y: auto; padding: 16px; background: #1e1e1e; color: #ccc; box-sizing: border-box; }
+nav h2 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.07em; color: #c0392b; margin: 16px 0 4px; }
+nav a { display: block; color: #ddd; text-decoration: none; padding: 1px 0; }
+nav a:hover, nav a.current { color: #e74c3c; }
+main { margin-left: 230px; padding: 24px 40px; max-width: 820px; }
+img { max-width: 100%; height: auto; }
+a { color: #8b1a1a; }
+.missing { color: #888; border-bottom: 1px dashed #888; }
+.meta { color: #777; font-size: 0.85rem; }
+.tag { display: inline-block; padding: 0 8px; margin-right: 4px; border: 1px solid #8b1a1a; border-radius: 10px; font-size: 0.8rem; }
+table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 4px 8px; }
+.infobox { float: right; margin: 0 0 12px 16px; background: #fff; font-size: 0.9rem; }
+.gm { border-left: 3px solid #8b1a1a; padding-left: 12px; background: #efe4dc; }
+`.trim();
+
+/**
+ * The static site: `index.html`, `style.css`, `entries/<name>.html` per entry
+ * with `[[links]]` pointing at the other pages (and their sections), `images/`.
+ * @param {object} bundle
+ * @returns {Promise<{path: string, content: string|Blob}[]>}
+ */
+async function buildSiteExport(bundle) {
+  const { escapeHTML } = foundry.utils;
+  const { files, pathsFrom } = await bundleImageFiles(bundle);
+  const paths   = pathsFrom(1);
+  const names   = exportFileNames(bundle.entries);
+  const entries = bundle.entries;
+  const cats    = bundle.categories;
+
+  const page = (title, body, root, current) => `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHTML(title)}</title>
+<link rel="stylesheet" href="${root}style.css"></head><body>
+<nav><a href="${root}index.html"><strong>${escapeHTML(bundle.world.title)}</strong></a>
+${cats.map(cat => {
+  const inCat = entries.filter(e => e.category === cat.id);
+  return inCat.length ? `<h2>${escapeHTML(cat.label)}</h2>` + inCat.map(e =>
+    `<a href="${root}entries/${names.get(e.id)}.html"${e.id === current ? ' class="current"' : ""}>${escapeHTML(e.title)}</a>`
+  ).join("") : "";
+}).join("\n")}</nav>
+<main>${body}</main></body></html>`;
+
+  // [[links]] resolve the way the viewer resolves them, then become hrefs.
+  const linkify = (html, self) => {
+    const template = htmlTemplate(processEntryLinks(flattenContentLinks(rewriteImagePaths(html, paths)), entries, self));
+    for (const a of template.content.querySelectorAll("a.wiki-entry-link")) {
+      const id = a.dataset.id ?? a.dataset.ids?.split(",")[0];
+      if (id && names.has(id)) {
+        a.setAttribute("href", `${names.get(id)}.html${a.dataset.section ? `#${a.dataset.section}` : ""}`);
+      } else {
+        a.classList.add("missing");
+      }
+    }
+    for (const h of template.content.querySelectorAll("h1, h2, h3, h4, h5, h6")) h.id = slugifyHeading(h.textContent);
+    return template.innerHTML;
+  };
+
+  for (const entry of entries) {
+    const fields = getEntryFieldText(entry, cats, entries);
+    const rows   = getCategoryFields(entry.category, cats)
+      .filter(f => fields[f.id])
+      .map(f => `<tr><th>${escapeHTML(f.label)}</th><td>${escapeHTML(fields[f.id])}</td></tr>`);
+    const body = [
+      `<h1>${escapeHTML(entry.title)}</h1>`,
+      entry.aliases?.length ? `<p class="meta">Also known as ${entry.aliases.map(escapeHTML).join(", ")}</p>` : "",
+      entry.tags?.length ? `<p>${entry.tags.map(t => `<span class="tag">${escapeHTML(t)}</span>`).join("")}</p>` : "",
+      rows.length ? `<table class="infobox">${rows.join("")}</table>` : "",
+      linkify(entry.content ?? "", entry),
+      entry.gmNotes ? `<div class="gm"><h2>GM Notes</h2>${linkify(entry.gmNotes, entry)}</div>` : "",
+      entry.comments?.length ? `<h2>Comments</h2><ul>${getCommentThreads(entry.comments).map(({ root, replies }) => {
+        const item = (c) => `<strong>${escapeHTML(c.authorName)}</strong>: ${escapeHTML(c.text)}`;
+        const cls  = root.gmOnly ? ` class="gm"` : "";
+        return `<li${cls}>${item(root)}${replies.length ? `<ul>${replies.map(r => `<li>${item(r)}</li>`).join("")}</ul>` : ""}</li>`;
+      }).join("")}</ul>` : "",
+      entry.updatedBy ? `<p class="meta">Last edited by ${escapeHTML(entry.updatedBy)}${entry.updatedAt ? ` — ${formatTimestamp(entry.updatedAt)}` : ""}</p>` : "",
+    ].join("\n");
+    files.push({ path: `entries/${names.get(entry.id)}.html`, content: page(entry.title, body, "../", entry.id) });
+  }
+
+  const index = cats.map(cat => {
+    const inCat = entries.filter(e => e.category === cat.id);
+    return inCat.length ? `<h2>${escapeHTML(cat.label)}</h2><ul>` +
+      inCat.map(e => `<li><a href="entries/${names.get(e.id)}.html">${escapeHTML(e.title)}</a></li>`).join("") + "</ul>" : "";
+  }).join("\n");
+  files.push({ path: "index.html", content: page(bundle.world.title, `<h1>${escapeHTML(bundle.world.title)}</h1>${index}`, "", null) });
+  files.push({ path: "style.css", content: EXPORT_SITE_CSS });
+  return files;
+}
+
+/**
+ * Upload export files under a data-folder directory.
+ * @param {string} root
+ * @param {{path: string, content: string|Blob}[]} files
+ */
+async function writeExportFiles(root, files) {
+  const FP   = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+  const dirs = new Set(files.map(f => [root, ...f.path.split("/").slice(0, -1)].join("/")));
+  for (const dir of dirs) await ensureDataDirectory(dir);
+
+  const types = { md: "text/markdown", html: "text/html", css: "text/css" };
+  for (const f of files) {
+    const parts = f.path.split("/");
+    const name  = parts.pop();
+    const type  = f.content instanceof Blob ? f.content.type : (types[name.split(".").pop()] ?? "text/plain");
+    const file  = new File([f.content], name, { type });
+    const result = await FP.upload("data", [root, ...parts].join("/"), file, {}, { notify: false });
+    if (!result?.path) throw new Error(`Upload of ${f.path} returned no path`);
+  }
+}
+
+/**
+ * Read and check a JSON bundle.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} When it isn't an Adventurer Wiki export, or is from a newer version.
+ */
+function parseImportBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  if (bundle?.format !== EXPORT_FORMAT || !Array.isArray(bundle.entries)) {
+    throw new Error("That file isn't an Adventurer Wiki export.");
+  }
+  if (bundle.version > EXPORT_VERSION) {
+    throw new Error(`That export is format version ${bundle.version}; this module reads up to ${EXPORT_VERSION}. Update the module first.`);
+  }
+  bundle.entries = bundle.entries.filter(e => e?.id && typeof e.title === "string");
+  return bundle;
+}
+
+/**
+ * Pair each incoming entry with the existing entry it collides with: the
+ * same id first, then the same title in the same category.
+ * @param {object}   bundle
+ * @param {object[]} entries  The wiki's current entries.
+ * @returns {{entry: object, match: object|null, matchBy: "id"|"title"|null}[]}
+ */
+function planImport(bundle, entries) {
+  const byId    = new Map(entries.map(e => [e.id, e]));
+  const titleOf = (e) => `${e.category}\u0000${e.title.trim().toLowerCase()}`;
+  const byTitle = new Map(entries.map(e => [titleOf(e), e]));
+  return bundle.entries.map(entry => {
+    if (byId.has(entry.id))           return { entry, match: byId.get(entry.id), matchBy: "id" };
+    if (byTitle.has(titleOf(entry)))  return { entry, match: byTitle.get(titleOf(entry)), matchBy: "title" };
+    return { entry, match: null, matchBy: null };
+  });
+}
+
+/**
+ * Merge a bundle into this world. GM only. Categories and category fields
+ * the world lacks are added; images are uploaded when the bundle comes from
+ * another world. Entries without a collision are created; each collision
+ * follows its resolution:
+ *   "skip"      — keep the existing entry (sub-pages still attach to it)
+ *   "overwrite" — replace the existing entry's fields, merging comments; an
+ *                 export without GM content keeps the entry's secrets
+ *   "copy"      — import alongside it under a new id, titled "… (imported)"
+ * Ownership and author ids from another world's users are dropped.
+ * Everything is written as one batch.
+ * @param {object} bundle
+ * @param {ReturnType<typeof planImport>} plan
+ * @param {Map<string, "skip"|"overwrite"|"copy">} resolutions  Incoming entry id → choice.
+ * @returns {Promise<{created: number, overwritten: number, skipped: number, categories: number}>}
+ */
+async function applyImport(bundle, plan, resolutions) {
+  // ── Categories ───────────────────
+  const cats  = foundry.utils.deepClone(getCategories());
+  let   added = 0;
+  for (const incoming of bundle.categories ?? []) {
+    const existing = cats.find(c => c.id === incoming.id);
+    if (!existing) {
+      cats.push(foundry.utils.deepClone(incoming));
+      added++;
+      continue;
+    }
+    const missing = (incoming.fields ?? []).filter(f => !(existing.fields ?? []).some(g => g.id === f.id));
+    if (missing.length) existing.fields = [...(existing.fields ?? []), ...foundry.utils.deepClone(missing)];
+  }
+  if (!foundry.utils.objectsEqual(cats, getCategories())) {
+    await game.settings.set(MODULE_ID, CATS_SETTING_KEY, cats);
+    game.socket.emit(SOCKET_EVENT, { action: "categoriesChanged" });
+  }
+
+  // ── Images ───────────────────────
+  const imagePaths = new Map();
+  if (bundle.world?.id !== game.world.id && Object.keys(bundle.images ?? {}).length) {
+    const FP     = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+    const folder = `worlds/${game.world.id}/adventurer-wiki/images`;
+    await ensureDataDirectory(folder);
+    for (const [path, data] of Object.entries(bundle.images)) {
+      try {
+        const blob   = await dataUrlToBlob(data);
+        const name   = `import_${foundry.utils.randomID(6)}_${path.split("/").pop()}`;
+        const result = await FP.upload("data", folder, new File([blob], name, { type: blob.type }), {}, { notify: false });
+        if (result?.path) imagePaths.set(path, result.path);
+      } catch (err) {
+        console.warn(`Adventurer Wiki | Could not import image ${path}:`, err);
+      }
+    }
+  }
+
+  // ── Entries ──────────────────────
+  const choiceFor = ({ entry, match }) => match ? (resolutions.get(entry.id) ?? "skip") : "create";
+  const idMap     = new Map();   // incoming id → id in this world
+  for (const item of plan) {
+    const choice = choiceFor(item);
+    idMap.set(item.entry.id, choice === "copy" ? generateId() : (item.match?.id ?? item.entry.id));
+  }
+
+  const catIds  = new Set(cats.map(c => c.id));
+  const now     = Date.now();
+  const foreign = bundle.world?.id !== game.world.id;
+  const prepare = (entry) => {
+    const { id, rev, ...data } = entry;
+    // User ids mean nothing here. The importing GM becomes the author, so
+    // `createdBy` is only shown — a local player who happens to share the
+    // name doesn't get the author's rights.
+    if (foreign) {
+      delete data.ownership;
+      data.createdById = game.user.id;
+    }
+    return {
+      ...data,
+      category:       catIds.has(data.category) ? data.category : (cats[0]?.id ?? "lore"),
+      parentId:       data.parentId ? (idMap.get(data.parentId) ?? null) : null,
+      linkedDocument: data.linkedDocument && fromUuidSync(data.linkedDocument) ? data.linkedDocument : null,
+      ...(data.quest ? { quest: {
+        ...data.quest,
+        giver:    data.quest.giver ? (idMap.get(data.quest.giver) ?? null) : null,
+        location: data.quest.location ? (idMap.get(data.quest.location) ?? null) : null,
+      } } : {}),
+      content:        rewriteImagePaths(data.content ?? "", imagePaths),
+      ...(data.gmNotes ? { gmNotes: rewriteImagePaths(data.gmNotes, imagePaths) } : {}),
+      pendingDelete:  false,
+    };
+  };
+
+  const ops    = [];
+  const counts = { created: 0, overwritten: 0, skipped: 0, categories: added };
+  for (const item of plan) {
+    const choice = choiceFor(item);
+    const data   = prepare(item.entry);
+    if (choice === "skip") {
+      counts.skipped++;
+    } else if (choice === "overwrite") {
+      const { createdAt, createdBy, createdById, comments, ...changes } = data;
+      const seen = new Set((item.match.comments ?? []).map(c => c.id));
+      changes.comments  = [...(item.match.comments ?? []), ...(comments ?? []).filter(c => !seen.has(c.id))];
+      changes.updatedAt = now;
+      // Exported without GM content, secrets are empty placeholders: put the
+      // entry's own sections back rather than write the placeholders over them.
+      if (!hasSecretText(changes.content)) changes.content = mergeSecrets(item.match.content ?? "", changes.content);
+      ops.push({ type: "update", id: item.match.id, changes });
+      counts.overwritten++;
+    } else {
+      ops.push({
+        type:  "create",
+        entry: {
+          comments: [],
+          ...data,
+          id:    idMap.get(item.entry.id),
+          title: choice === "copy" ? `${data.title} (imported)` : data.title,
+        },
+      });
+      counts.created++;
+    }
+  }
+
+  const result = await commitEntryOps(ops);
+  if (!result.ok) throw new Error("Some entries could not be written.");
+  return counts;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Journal import — turn Foundry JournalEntries into wiki entries (GM only,
+// WikiJournalImport). planJournalImport() works everything out without
+// writing, so the wizard's preview is a true dry run of applyJournalImport().
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Page types that can become entry content; others are reported and skipped. */
+const IMPORTABLE_PAGE_TYPES = ["text", "image"];
+
+/** Journals the GM can pick from — everything but the wiki's own storage. */
+function getImportableJournals() {
+  return game.journal.filter(j => !j.getFlag(MODULE_ID, "storage"));
+}
+
+/** A page as entry HTML. */
+function journalPageHtml(page) {
+  if (page.type === "image") {
+    const { escapeHTML } = foundry.utils;
+    const caption = page.image?.caption ? `<p><em>${escapeHTML(page.image.caption)}</em></p>` : "";
+    return page.src ? `<p><img src="${escapeHTML(page.src)}" alt="${escapeHTML(page.name)}"></p>${caption}` : "";
+  }
+  return page.text?.content ?? "";
+}
+
+/**
+ * A journal or page name as a title (or heading) a [[link]] can name: the
+ * characters link syntax uses are dropped — "Session #3 | Recap" becomes
+ * "Session 3 - Recap".
+ */
+function linkSafeName(name) {
+  const safe = name
+    .replace(/\s*\|\s*/g, " - ")
+    .replace(/#/g, "")
+    .replace(/\[/g, "(")
+    .replace(/\]/g, ")")
+    .replace(/\s+/g, " ")
+    .trim();
+  return safe || "Untitled";
+}
+
+/**
+ * The UUID a content link in a page points at, without its `#anchor`.
+ * Relative links (`@UUID[.pageId]`) resolve against the page's journal.
+ */
+function resolveJournalLinkUuid(uuid, journal) {
+  const [path, anchor = null] = uuid.split("#");
+  if (!path.startsWith(".")) return { uuid: path, anchor };
+  const parts = path.slice(1).split(".");
+  return {
+    uuid:   parts.length === 1 ? `${journal.uuid}.JournalEntryPage.${parts[0]}` : `${journal.uuid}.${parts.join(".")}`,
+    anchor,
+  };
+}
+
+/**
+ * Plan an import of journals into the wiki. Nothing is written.
+ *
+ * A journal with one importable page becomes one entry named after the
+ * journal. With several, `pages` decides: "subpages" makes an entry for the
+ * journal with a sub-page per page; "merge" makes one entry with a heading
+ * per page. `@UUID` links to an imported journal or page become `[[links]]`
+ * (to the page's sub-page, or its heading when merged); other links stay
+ * content links. Titles and merged headings lose the characters link syntax
+ * uses, and titles shared within the import are made unique, so those links
+ * can't be broken or ambiguous. Entries are hidden when no player can
+ * observe the journal.
+ *
+ * @param {JournalEntry[]} journals
+ * @param {object}  options
+ * @param {Map<string, string>} options.categoryFor  Folder id ("" for none) → category id, or "new:<label>".
+ * @param {"subpages"|"merge"}  [options.pages="subpages"]
+ * @param {boolean} [options.skipExisting=true]  Leave out entries whose title already exists in their category.
+ * @returns {{categories: object[], newCategories: object[], rows: object[], skippedPages: string[], links: {converted: number, kept: number}}}
+ *   `categories` is the full list after the import; each row is
+ *   `{ entry, depth, skip }` where `skip` explains why it won't be written.
+ */
+function planJournalImport(journals, { categoryFor, pages = "subpages", skipExisting = true }) {
+  const { escapeHTML } = foundry.utils;
+
+  // ── Categories ───────────────────
+  const categories    = foundry.utils.deepClone(getCategories());
+  const newCategories = [];
+  const catIdFor      = new Map();   // mapping value → category id
+  for (const value of new Set(categoryFor.values())) {
+    if (!value.startsWith("new:")) { catIdFor.set(value, value); continue; }
+    const label    = value.slice(4).trim() || "Imported";
+    const existing = categories.find(c => c.label.toLowerCase() === label.toLowerCase());
+    if (existing) { catIdFor.set(value, existing.id); continue; }
+    const base = categoryIdFor(label);
+    let id = base;
+    for (let n = 2; categories.some(c => c.id === id); n++) id = `${base}-${n}`;
+    const cat = { id, label, icon: "fa-book" };
+    categories.push(cat);
+    newCategories.push(cat);
+    catIdFor.set(value, id);
+  }
+  const fallback = categories[0]?.id ?? "lore";
+
+  // ── Entries ──────────────────────
+  const now          = Date.now();
+  const rows         = [];
+  const skippedPages = [];
+  const targets      = new Map();   // journal/page uuid → { entry, section }
+  const sources      = [];          // { entry, journal } — whose content still needs link conversion
+  const observable   = (j) => game.users.some(u => !u.isGM && j.testUserPermission(u, "OBSERVER"));
+  let   sort         = now;
+
+  const makeEntry = (name, category, content, hidden, parentId = null) => ({
+    id:            generateId(),
+    title:         linkSafeName(name),
+    aliases:       [],
+    category,
+    tags:          [],
+    fields:        {},
+    content,
+    parentId,
+    sort:          sort += SORT_STEP,
+    hidden,
+    createdAt:     now,
+    updatedAt:     now,
+    createdBy:     game.user.name,
+    updatedBy:     game.user.name,
+    createdById:   game.user.id,
+    pendingDelete: false,
+    comments:      [],
+  });
+
+  for (const journal of journals) {
+    const category = catIdFor.get(categoryFor.get(journal.folder?.id ?? "")) ?? fallback;
+    const hidden   = !observable(journal);
+    const usable   = journal.pages.contents
+      .sort((a, b) => a.sort - b.sort)
+      .filter(page => {
+        if (IMPORTABLE_PAGE_TYPES.includes(page.type)) return true;
+        skippedPages.push(`${journal.name} › ${page.name} (${page.type})`);
+        return false;
+      });
+    if (!usable.length) continue;
+
+    if (usable.length === 1 || pages === "merge") {
+      const content = usable.length === 1
+        ? journalPageHtml(usable[0])
+        : usable.map(p => `<h2>${escapeHTML(linkSafeName(p.name))}</h2>${journalPageHtml(p)}`).join("");
+      const entry = makeEntry(journal.name, category, content, hidden);
+      rows.push({ entry, depth: 0 });
+      sources.push({ entry, journal });
+      targets.set(journal.uuid, { entry, section: null });
+      for (const p of usable) targets.set(p.uuid, { entry, section: usable.length === 1 ? null : linkSafeName(p.name) });
+      continue;
+    }
+
+    const parent = makeEntry(journal.name, category, "", hidden);
+    rows.push({ entry: parent, depth: 0 });
+    targets.set(journal.uuid, { entry: parent, section: null });
+    for (const p of usable) {
+      const entry = makeEntry(p.name, category, journalPageHtml(p), hidden, parent.id);
+      rows.push({ entry, depth: 1 });
+      sources.push({ entry, journal });
+      targets.set(p.uuid, { entry, section: null });
+    }
+  }
+
+  // ── Shared titles ────────────────
+  // Journals often share page names ("Overview", "Notes"), and a [[link]]
+  // goes to the first entry with its title. Sub-pages with a shared title
+  // take their journal's name; whatever is still shared gets numbered.
+  const titleKey    = (entry) => entry.title.trim().toLowerCase();
+  const countTitles = () => rows.reduce((m, { entry }) => m.set(titleKey(entry), (m.get(titleKey(entry)) ?? 0) + 1), new Map());
+  const byId        = new Map(rows.map(r => [r.entry.id, r.entry]));
+  let   titleCounts = countTitles();
+  for (const { entry } of rows) {
+    const parent = byId.get(entry.parentId);
+    if (parent && titleCounts.get(titleKey(entry)) > 1) entry.title = `${entry.title} (${parent.title})`;
+  }
+  titleCounts = countTitles();
+  const numbered = new Map();
+  for (const { entry } of rows) {
+    const key = titleKey(entry);
+    if (titleCounts.get(key) < 2) continue;
+    const n = (numbered.get(key) ?? 0) + 1;
+    numbered.set(key, n);
+    if (n > 1) entry.title = `${entry.title} (${n})`;
+  }
+
+  // ── Links ────────────────────────
+  const links = { converted: 0, kept: 0 };
+  for (const { entry, journal } of sources) {
+    entry.content = entry.content
+      .replace(/@JournalEntry\[([^\]]+)\](?:\{([^}]*)\})?/g, (_m, id, label) =>
+        `@UUID[JournalEntry.${id}]${label ? `{${label}}` : ""}`)   // pre-UUID link syntax
+      .replace(CONTENT_LINK_RE, (match, raw, label) => {
+        const { uuid, anchor } = resolveJournalLinkUuid(raw, journal);
+        const target = targets.get(uuid);
+        if (!target) { links.kept++; return match; }
+        links.converted++;
+        const section = anchor?.replace(/[|\]]/g, "") || target.section;
+        const title   = target.entry.title;
+        const text    = label && label !== title ? `|${label.replace(/\]/g, "")}` : "";
+        return `[[${title}${section ? `#${section}` : ""}${text}]]`;
+      });
+  }
+
+  // ── Existing titles ──────────────
+  if (skipExisting) {
+    const existing = new Map(getEntries().map(e => [`${e.category}\u0000${e.title.toLowerCase()}`, e]));
+    const replaced = new Map();   // skipped id → existing id, so sub-pages attach to it
+    for (const row of rows) {
+      const twin = existing.get(`${row.entry.category}\u0000${row.entry.title.toLowerCase()}`);
+      if (twin) {
+        row.skip = "Already in the wiki";
+        replaced.set(row.entry.id, twin.id);
+      }
+      if (replaced.has(row.entry.parentId)) row.entry.parentId = replaced.get(row.entry.parentId);
+    }
+  }
+
+  return { categories, newCategories, rows, skippedPages, links };
+}
+
+/**
+ * Write a planJournalImport() result: the new categories, then every entry
+ * not marked `skip`, as one batch.
+ * @returns {Promise<number>}  How many entries were created.
+ */
+async function applyJournalImport(plan) {
+  if (plan.newCategories.length) {
+    await game.settings.set(MODULE_ID, CATS_SETTING_KEY, plan.categories);
+    game.socket.emit(SOCKET_EVENT, { action: "categoriesChanged" });
+  }
+  const ops    = plan.rows.filter(r => !r.skip).map(r => ({ type: "create", entry: r.entry }));
+  const result = await commitEntryOps(ops);
+  if (!result.ok) throw new Error("Some entries could not be written.");
+  return ops.length;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PartyWikiApp — main viewer
+// ─────────────────────────────────────────────────────────────────────────────
+
+class PartyWikiApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id:       "party-wiki-app",
+    classes:  ["party-wiki"],
+    window:   { title: "Adventurer Wiki", resizable: true },
+    position: { width: 820, height: 620 },
+  };
+
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/wiki.html` } };
+
+  _activeCat     = DEFAULT_CATEGORIES[0].id;
+  _selectedEntry = null;
+  _searchQuery   = "";
+  _historyFor    = null;   // entry id whose History panel is open
+  _historyFrom   = null;   // revision ids being compared
+  _historyTo     = null;
+  _showBroken    = false;  // Broken Links panel open
+  _recapCount    = null;   // sessions in the open "Previously on…" recap; null = closed
+  _showQuestLog  = false;  // Quest Log panel open
+  _showActivity  = false;  // Activity panel open
+  _showDrafts    = false;  // Drafts panel open
+  _activitySeenAt = 0;     // feed read time when the Activity panel was opened
+  _activityWatchedOnly = false;
+  _replyTo        = null;  // thread whose reply box is open
+  _editingComment = null;  // comment being edited in place
+  _openThreads    = new Set();  // resolved threads unfolded to show their replies
+  _pendingSection = null;  // heading slug to scroll to after the next render
+  _sortBy        = "";     // "", "title", "updated" or "field:<id>" — category view only
+  _collapsed     = new Set();  // entry ids whose sub-pages are folded away
+  _dragId        = null;   // entry being dragged in the sidebar tree
+
+  // ── Context helpers ──────────────────────────────────────────────────────
+
+  /**
+   * Entries for the sidebar: the active category as a tree, siblings in
+   * `_sortBy` order, or every category ranked by searchEntries() while the
+   * search box has a query. A session log's default order is by session.
+   * @param {object[]} entries  The entries this user can view.
+   * @returns {{entry: object, snippet: string|null, titleHtml: string|null, sortValue?: string, depth?: number}[]}
+   */
+  _filterEntries(entries) {
+    if (this._searchQuery.trim()) return searchEntries(entries, this._searchQuery);
+
+    const cats       = getCategories();
+    const field      = getCategoryFields(this._activeCat, cats).find(f => `field:${f.id}` === this._sortBy);
+    const sessionLog = isSessionCategory(cats.find(c => c.id === this._activeCat));
+    const questLog   = isQuestCategory(cats.find(c => c.id === this._activeCat));
+    const rows  = entries
+      .filter(e => e.category === this._activeCat)
+      .map(entry => ({
+        entry,
+        snippet:   null,
+        titleHtml: null,
+        sortValue: field ? (getEntryFieldText(entry, cats, entries)[field.id] ?? "")
+                 : sessionLog ? formatSession(entry.session)
+                 : questLog   ? getQuestStatus(entry).label
+                 : null,
+      }));
+
+    const compare = field                     ? (a, b) => compareFieldValues(field, a.sortValue, b.sortValue)
+                  : this._sortBy === "title"   ? (a, b) => a.entry.title.localeCompare(b.entry.title)
+                  : this._sortBy === "updated" ? (a, b) => (b.entry.updatedAt ?? 0) - (a.entry.updatedAt ?? 0)
+                  : sessionLog                 ? (a, b) => compareSessions(a.entry, b.entry)
+                  : (a, b) => entrySortKey(a.entry) - entrySortKey(b.entry);
+    return this._flattenTree(rows, compare);
+  }
+
+  /**
+   * Lay out one category's rows as a tree: depth-first, siblings sorted,
+   * rows under a collapsed entry left out. Entries caught in a parent loop
+   * have no way down from the top level, so they are listed there.
+   * @returns {object[]}  The rows, each with `depth`, `hasChildren`, `collapsed`.
+   */
+  _flattenTree(rows, compare) {
+    const byId     = new Map(rows.map(r => [r.entry.id, r.entry]));
+    const children = new Map();   // parent id (null = top level) → rows
+    for (const row of rows) {
+      const key = getTreeParent(row.entry, byId)?.id ?? null;
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(row);
+    }
+    for (const list of children.values()) list.sort(compare);
+
+    const out  = [];
+    const seen = new Set();
+    const visit = (row, depth, shown) => {
+      if (seen.has(row.entry.id)) return;
+      seen.add(row.entry.id);
+      const kids      = children.get(row.entry.id) ?? [];
+      const collapsed = this._collapsed.has(row.entry.id);
+      if (shown) out.push({ ...row, depth, hasChildren: kids.length > 0, collapsed });
+      for (const kid of kids) visit(kid, depth + 1, shown && !collapsed);
+    };
+    for (const row of children.get(null) ?? []) visit(row, 0, true);
+    for (const row of rows) visit(row, 0, true);
+    return out;
+  }
+
+  /** Sort choices for the active category: the fixed orders plus its fields. */
+  _sortOptions(cats) {
+    const fields = getCategoryFields(this._activeCat, cats);
+    if (this._sortBy.startsWith("field:") && !fields.some(f => `field:${f.id}` === this._sortBy)) this._sortBy = "";
+    const sessionLog = isSessionCategory(cats.find(c => c.id === this._activeCat));
+    return [
+      { value: "",        label: sessionLog ? "Session" : "Default order" },
+      { value: "title",   label: "Title" },
+      { value: "updated", label: "Last edited" },
+      ...fields.map(f => ({ value: `field:${f.id}`, label: f.label })),
+    ].map(o => ({ ...o, selected: o.value === this._sortBy }));
+  }
+
+  /**
+   * Infobox rows for an entry's category fields: label plus display HTML.
+   * Entry links use the wiki's own link handling; actor links are the
+   * actor's own content-link anchor (`toAnchor()`), so its name needs no
+   * escaping in link syntax.
+   * @returns {{label: string, html: string}[]}
+   */
+  _prepareInfobox(entry, cats, entries) {
+    const { escapeHTML } = foundry.utils;
+    const rows = [];
+    for (const field of getCategoryFields(entry.category, cats)) {
+      const value = entry.fields?.[field.id];
+      const text  = formatFieldValue(field, value, entries);
+      if (!text) continue;
+
+      let html = escapeHTML(text);
+      if (field.type === "entry") html = `<a class="wiki-entry-link" data-id="${escapeHTML(value)}">${html}</a>`;
+      if (field.type === "actor") html = fromUuidSync(value)?.toAnchor?.().outerHTML ?? html;
+      rows.push({ label: field.label, html });
+    }
+    return rows;
+  }
+
+  /**
+   * Map raw comments to display-ready threads: the top comment and its
+   * replies in `comments`, with what the current user may do to each.
+   * @param {object}   entry    The current entry.
+   * @param {object[]} entries  Entries comment links may resolve to.
+   * @param {boolean}  isGM     Whether the current user is a GM.
+   * @returns {object[]}
+   */
+  _formatComments(entry, entries, isGM) {
+    const comments = entry?.comments ?? [];
+    const canEdit  = !!entry && canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT);
+    const format   = (c) => ({
+      ...c,
+      html:               formatCommentText(c.text, entries, entry),
+      createdAtFormatted: formatTimestamp(c.createdAt),
+      editedAtFormatted:  c.editedAt ? formatTimestamp(c.editedAt) : null,
+      mentionsMe:         mentionedUserIds(c.text).includes(game.user.id),
+      editing:            c.id === this._editingComment,
+      canEdit:            c.userId === game.user.id,
+      canDelete:          isGM || (c.userId === game.user.id
+        && !comments.some(r => r.parentId === c.id && r.userId !== game.user.id)),
+    });
+    return getCommentThreads(comments).map(({ root, replies }) => ({
+      id:                  root.id,
+      gmOnly:              !!root.gmOnly,
+      resolved:            !!root.resolvedAt,
+      resolvedBy:          root.resolvedBy,
+      resolvedAtFormatted: root.resolvedAt ? formatTimestamp(root.resolvedAt) : null,
+      collapsed:           !!root.resolvedAt && !this._openThreads.has(root.id),
+      replying:            this._replyTo === root.id,
+      count:               replies.length + 1,
+      canResolve:          isGM || (!root.gmOnly && (canEdit || root.userId === game.user.id)),
+      comments:            [root, ...replies].map(format),
+    }));
+  }
+
+  /**
+   * Build the History panel context: the revision list, the pair being
+   * compared (defaults to the latest change) and their diff.
+   * @param {object}   entry  The current entry.
+   * @param {object[]} cats   Categories, for readable labels.
+   * @returns {object}
+   */
+  _prepareHistory(entry, cats) {
+    const revisions = getEntryHistory(entry.id);
+    if (!revisions.length) return { revisions: [] };
+
+    const to   = revisions.find(r => r.id === this._historyTo) ?? revisions[0];
+    const from = revisions.find(r => r.id === this._historyFrom)
+      ?? revisions[revisions.indexOf(to) + 1]
+      ?? to;
+
+    const catLabel    = (id) => cats.find(c => c.id === id)?.label ?? id;
+    const metaChanges = [];
+    if (from.title !== to.title) {
+      metaChanges.push(`Title: “${from.title}” → “${to.title}”`);
+    }
+    if (from.category !== to.category) {
+      metaChanges.push(`Category: ${catLabel(from.category)} → ${catLabel(to.category)}`);
+    }
+
+    return {
+      revisions: revisions.map((r, idx) => ({
+        ...r,
+        savedAtFormatted: formatTimestamp(r.savedAt),
+        isLatest:         idx === 0,
+        isFrom:           r.id === from.id,
+        isTo:             r.id === to.id,
+      })),
+      diff:       diffHtml(from.content, to.content),
+      metaChanges,
+      canRestore: canRestoreRevisions(entry),
+    };
+  }
+
+  /**
+   * The "Previously on…" recap: the last `_recapCount` sessions this user
+   * can view, oldest first, each with its rendered content.
+   * @param {object[]} entries  The entries this user can view.
+   * @param {object[]} cats
+   * @returns {Promise<object>}
+   */
+  async _prepareRecap(entries, cats) {
+    const _TextEditor = foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
+    const sessions    = getSessions(entries, cats).slice(-this._recapCount);
+    const recap       = [];
+    for (const entry of sessions) {
+      const html = await _TextEditor.enrichHTML(entry.content ?? "", { async: true, secrets: game.user.isGM });
+      recap.push({
+        id:      entry.id,
+        title:   entry.title,
+        session: formatSession(entry.session),
+        html:    processEntryLinks(html, entries, entry),
+      });
+    }
+    return {
+      sessions:     recap,
+      countOptions: Array.from({ length: 10 }, (_, i) => ({ value: i + 1, selected: i + 1 === this._recapCount })),
+    };
+  }
+
+  /**
+   * The quest box above a quest entry's body. Giver and location are shown
+   * only when this user can view the entries they point at.
+   * @param {object}   entry
+   * @param {object[]} entries  The entries this user can view.
+   * @returns {object}
+   */
+  _prepareQuest(entry, entries) {
+    const quest      = entry.quest ?? {};
+    const status     = getQuestStatus(entry);
+    const link       = (id) => entries.find(e => e.id === id) ?? null;
+    const objectives = quest.objectives ?? [];
+    return {
+      status,
+      statusOptions: QUEST_STATUSES.map(s => ({ ...s, selected: s.id === status.id })),
+      giver:         link(quest.giver),
+      location:      link(quest.location),
+      rewards:       quest.rewards ?? "",
+      objectives,
+      done:          objectives.filter(o => o.done).length,
+    };
+  }
+
+  /**
+   * The Quest Log panel: every quest this user can view, grouped by status,
+   * with objective progress and the next open objective.
+   * @returns {{groups: object[], total: number}}
+   */
+  _prepareQuestLog(entries, cats) {
+    const quests = getQuests(entries, cats).sort((a, b) => a.title.localeCompare(b.title));
+    const link   = (id) => entries.find(e => e.id === id) ?? null;
+    const groups = QUEST_STATUSES.map(status => ({
+      ...status,
+      quests: quests.filter(q => getQuestStatus(q).id === status.id).map(q => {
+        const objectives = q.quest?.objectives ?? [];
+        return {
+          id:       q.id,
+          title:    q.title,
+          giver:    link(q.quest?.giver),
+          location: link(q.quest?.location),
+          done:     objectives.filter(o => o.done).length,
+          total:    objectives.length,
+          next:     objectives.find(o => !o.done)?.text ?? null,
+        };
+      }),
+    })).filter(g => g.quests.length);
+    return { groups, total: quests.length };
+  }
+
+  /**
+   * The Activity panel: the latest events this user may see, optionally only
+   * on watched entries. Events by others since the panel was opened are unread.
+   * @param {object[]} events   From getActivity().
+   * @param {object[]} entries  The entries this user can view.
+   * @returns {{watchedOnly: boolean, events: object[]}}
+   */
+  _prepareActivity(events, entries) {
+    const watched = new Set(game.user.getFlag(MODULE_ID, WATCH_FLAG) ?? []);
+    return {
+      watchedOnly: this._activityWatchedOnly,
+      events: events
+        .filter(e => !this._activityWatchedOnly || watched.has(e.entryId))
+        .slice(0, 100)
+        .map(e => ({
+          ...e,
+          icon:        ACTIVITY_TYPES[e.type]?.icon ?? "fa-circle-info",
+          verb:        ACTIVITY_TYPES[e.type]?.verb ?? e.type,
+          exists:      entries.some(x => x.id === e.entryId),
+          atFormatted: formatTimestamp(e.at),
+          unread:      e.userId !== game.user.id && e.at > this._activitySeenAt,
+        })),
+    };
+  }
+
+  /**
+   * The Drafts panel: this user's unsaved editor drafts, newest first. A
+   * draft's entry may since have been deleted, or saved after the draft.
+   * @param {object[]} drafts  From getDrafts().
+   * @returns {{items: object[]}}
+   */
+  _prepareDrafts(drafts) {
+    return {
+      items: drafts.sort((a, b) => b.savedAt - a.savedAt).map(d => {
+        const entry = d.entryId ? getEntry(d.entryId) : null;
+        return {
+          key:              d.key,
+          title:            d.values.title || entry?.title || "Untitled",
+          isNew:            !d.entryId,
+          missing:          !!d.entryId && !entry,
+          older:            !!entry && d.savedAt <= (entry.updatedAt ?? 0),
+          savedAtFormatted: formatTimestamp(d.savedAt),
+        };
+      }),
+    };
+  }
+
+  // ── _prepareContext ──────────────────────────────────────────────────────
+
+  async _prepareContext(_options) {
+    // Everything below — list, counts, search, [[links]] — only sees entries
+    // this user may view.
+    const entries = getEntries().filter(e => canAccessEntry(e, ENTRY_PERMISSIONS.VIEW));
+    const isGM    = game.user.isGM;
+    const q       = this._searchQuery.trim();
+    const cats    = getCategories();
+
+    // ── Validate active category ─────
+    if (!cats.find(c => c.id === this._activeCat)) {
+      this._activeCat = cats[0]?.id ?? null;
+    }
+    // A session log keeps session order, so its tree can't be rearranged.
+    const sessionLog = isSessionCategory(cats.find(c => c.id === this._activeCat));
+
+    // ── Filter entries ───────────────
+    const filtered = this._filterEntries(entries);
+
+    // ── Validate selected entry ──────
+    if (this._selectedEntry && !entries.some(e => e.id === this._selectedEntry)) {
+      this._selectedEntry = null;
+    }
+
+    // ── Resolve current entry ────────
+    const current = this._selectedEntry
+      ? (entries.find(e => e.id === this._selectedEntry) ?? null)
+      : null;
+
+    // ── Activity & unread markers ────
+    // Reading an entry marks it read.
+    const activityEvents = getActivity();
+    const activityRead   = getActivityRead();
+    const unread         = getUnreadEntryIds(activityEvents, activityRead);
+    if (current && unread.delete(current.id)) markEntryRead(current.id);
+    const activityUnread = activityEvents.filter(e => e.userId !== game.user.id && e.at > activityRead.feed).length;
+
+    // ── Enrich HTML content ──────────
+    const _TextEditor = foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
+    const enrichedContent = current?.content
+      ? await _TextEditor.enrichHTML(current.content, { async: true, secrets: isGM })
+      : null;
+
+    const enrichedContentLinked = processEntryLinks(
+      isGM ? addSecretToggles(enrichedContent) : enrichedContent,
+      entries,
+      current
+    );
+
+    // ── Annotate filtered entries ────
+    const entriesWithStatus = filtered.map(({ entry: e, snippet, titleHtml, sortValue, depth, hasChildren, collapsed }) => ({
+      ...e,
+      sortValue,
+      depth:          depth ?? 0,
+      hasChildren,
+      collapsed,
+      canDrag:        !q && !sessionLog && canAccessEntry(e, ENTRY_PERMISSIONS.EDIT),
+      beingEditedBy:  describeEditing(e.id),
+      unread:         unread.has(e.id),
+      categoryLabel:  q ? (cats.find(c => c.id === e.category)?.label ?? e.category) : null,
+      snippet,
+      titleHtml,
+    }));
+
+    // ── Category counts ──────────────
+    const categoriesWithCount = cats.map(cat => ({
+      ...cat,
+      count:  entries.filter(e => e.category === cat.id).length,
+      unread: entries.some(e => e.category === cat.id && unread.has(e.id)),
+    }));
+
+    // ── Current-entry metadata ───────
+    const currentEditor      = current ? describeEditing(current.id) : null;
+    const currentEditorsMany = !!current && (activeEditors.get(current.id)?.size ?? 0) > 1;
+    const lockedByOthers     = !!currentEditor && usesEditLocks() && !activeEditors.get(current.id).has(game.user.id);
+
+    const updatedAtFormatted = current?.updatedAt ? formatTimestamp(current.updatedAt) : null;
+
+    const infobox = current ? this._prepareInfobox(current, cats, entries) : [];
+
+    const mapPins = current ? getEntryPins(current.id) : [];
+
+    // The document's own content link, so clicking it opens its sheet.
+    const linked             = current?.linkedDocument ? describeLinkedDocument(current.linkedDocument) : null;
+    const linkedDocumentHtml = linked
+      ? fromUuidSync(linked.uuid)?.toAnchor?.().outerHTML ?? `<a class="content-link broken"><i class="fas fa-unlink"></i>${foundry.utils.escapeHTML(linked.name)}</a>`
+      : null;
+
+    // ── Sub-pages ────────────────────
+    const breadcrumbs = current ? getEntryAncestors(current, entries).map(e => ({ id: e.id, title: e.title })) : [];
+    const subpages    = current ? getEntryChildren(current, entries).map(e => ({ id: e.id, title: e.title })) : [];
+
+    // ── Link index ───────────────────
+    const linkIndex   = buildLinkIndex(entries);
+    const backlinks   = current
+      ? (linkIndex.backlinks.get(current.id) ?? []).map(e => ({ id: e.id, title: e.title }))
+      : [];
+    const brokenLinks = this._showBroken
+      ? linkIndex.broken.map(b => ({ sourceId: b.source.id, sourceTitle: b.source.title, title: b.title }))
+      : null;
+
+    // ── "Previously on…" recap ───────
+    const recap = this._recapCount ? await this._prepareRecap(entries, cats) : null;
+
+    // ── Quests ───────────────────────
+    const questLogCat = isQuestCategory(cats.find(c => c.id === this._activeCat));
+    const quest       = current && isQuestCategory(cats.find(c => c.id === current.category))
+      ? this._prepareQuest(current, entries)
+      : null;
+    const questLog    = this._showQuestLog ? this._prepareQuestLog(entries, cats) : null;
+
+    const activity = this._showActivity ? this._prepareActivity(activityEvents, entries) : null;
+
+    const drafts = Object.values(getDrafts());
+    if (!drafts.length) this._showDrafts = false;
+
+    // ── Current-entry permissions ────
+    const permission   = getEntryPermission(current);
+    const isRestricted = !!current && Object.values(current.ownership ?? {}).some(l => l < ENTRY_PERMISSIONS.EDIT);
+
+    // ── Revision history ─────────────
+    const history = current && this._historyFor === current.id
+      ? this._prepareHistory(current, cats)
+      : null;
+
+    const gmNotes = isGM ? (current?.gmNotes ?? null) : null;
+
+    const formattedComments = this._formatComments(current, entries, isGM);
+
+    const pendingDeletions = entries.filter(e => e.pendingDelete).length;
+
+    const gmOnline = game.user.isGM || !!game.users.find(u => u.isGM && u.active);
+
+    // ── Offline outbox (players) ─────
+    const outbox          = isGM ? [] : getOutbox();
+    const outboxConflicts = outbox.filter(i => i.conflict).length;
+
+    // ── Tag cloud ────────────────────
+    const activeTags = parseSearchQuery(this._searchQuery).filters.tag;
+    const tags       = collectTags(entries);
+    const maxCount   = Math.max(1, ...tags.map(t => t.count));
+    const tagCloud   = tags.map(t => ({
+      ...t,
+      size:   1 + Math.round((t.count - 1) / Math.max(1, maxCount - 1) * 2),
+      active: activeTags.includes(t.key),
+    }));
+
+    // ── Assemble context ─────────────
+    return {
+      categories:       categoriesWithCount,
+      activeCat:        this._activeCat,
+      entries:          entriesWithStatus,
+      current,
+      currentEditor,
+      currentEditorsMany,
+      canRequestEdit:   lockedByOthers && canAccessEntry(current, ENTRY_PERMISSIONS.EDIT),
+      canBreakLock:     lockedByOthers && isGM,
+      enrichedContent:  enrichedContentLinked,
+      gmNotes,
+      formattedComments,
+      hasComments:      formattedComments.length > 0,
+      commentCount:     current?.comments?.length ?? 0,
+      commentMaxLength: COMMENT_MAX_LENGTH,
+      history,
+      backlinks,
+      breadcrumbs,
+      subpages,
+      currentCategoryLabel: current ? (cats.find(c => c.id === current.category)?.label ?? current.category) : null,
+      infobox,
+      linkedDocumentHtml,
+      mapPins,
+      tagCloud,
+      sortOptions:      this._sortOptions(cats),
+      brokenLinks,
+      brokenLinkCount:  linkIndex.broken.length,
+      sessionLog,
+      recap,
+      questLogCat,
+      quest,
+      questLog,
+      activity,
+      activityUnread,
+      drafts:           this._showDrafts ? this._prepareDrafts(drafts) : null,
+      draftCount:       drafts.length,
+      isWatching:       !!current && isWatching(current.id),
+      isGM,
+      canEdit:          permission >= ENTRY_PERMISSIONS.EDIT,
+      canComment:       permission >= ENTRY_PERMISSIONS.COMMENT,
+      canConfigure:     !!current && canConfigurePermissions(current),
+      isRestricted,
+      gmOnline,
+      outboxPending:    outbox.length - outboxConflicts,
+      outboxConflicts,
+      searchQuery:      this._searchQuery,
+      isSearching:      !!this._searchQuery,
+      noEntries:        filtered.length === 0,
+      pendingDeletions,
+      updatedAtFormatted,
+    };
+  }
+
+  // ── Render lifecycle ─────────────────────────────────────────────────────
+
+  _onRender(_context, _options) {
+    openWikiApps.add(this);
+    this._attachDelegatedListeners();
+
+    if (this._searchQuery) {
+      const searchEl = this.element.querySelector(".wiki-search");
+      if (searchEl) {
+        searchEl.focus();
+        const len = searchEl.value.length;
+        searchEl.setSelectionRange(len, len);
+      }
+    }
+
+    if (this._pendingSection) this._scrollToSection(this._pendingSection);
+  }
+
+  /**
+   * Scroll the viewer to the heading a [[Title#Section]] link named, matched
+   * on its slugified text.
+   * @param {string} slug
+   */
+  _scrollToSection(slug) {
+    this._pendingSection = null;
+    const headings = this.element.querySelectorAll(".wiki-entry-body :is(h1, h2, h3, h4, h5, h6)");
+    const heading  = Array.from(headings).find(h => slugifyHeading(h.textContent) === slug);
+    if (!heading) {
+      ui.notifications.warn("Adventurer Wiki: That section no longer exists in this entry.");
+      return;
+    }
+    heading.scrollIntoView({ block: "start" });
+    heading.classList.add("wiki-section-target");
+    setTimeout(() => heading.classList.remove("wiki-section-target"), 1500);
+  }
+
+  /**
+   * Show an entry from outside the window (an actor sheet, a scene's
+   * context menu…): switch to its category, clear the search and bring the
+   * window up.
+   * @param {object} entry
+   */
+  async showEntry(entry) {
+    this._activeCat     = entry.category;
+    this._selectedEntry = entry.id;
+    this._searchQuery   = "";
+    this._closePanels();
+    await this.render({ force: true });
+    (this.bringToFront ?? this.bringToTop)?.call(this);
+  }
+
+  /**
+   * Open the "Previously on…" recap of the last `count` sessions.
+   * @param {number} [count]  Defaults to the world's recap setting.
+   */
+  async showRecap(count) {
+    this._closePanels();
+    this._recapCount = Math.clamp(Number(count) || game.settings.get(MODULE_ID, RECAP_SETTING_KEY), 1, 10);
+    await this.render({ force: true });
+    (this.bringToFront ?? this.bringToTop)?.call(this);
+  }
+
+  /** Close the Broken Links, recap, Quest Log, Activity and Drafts panels, back to the entry view. */
+  _closePanels() {
+    this._showBroken   = false;
+    this._recapCount   = null;
+    this._showQuestLog = false;
+    this._showActivity = false;
+    this._showDrafts   = false;
+  }
+
+  // ── Click handler helpers ────────────────────────────────────────────────
+
+  async _onClickCatTab(el) {
+    this._activeCat    = el.dataset.cat;
+    this._selectedEntry = null;
+    this.render({ force: true });
+  }
+
+  async _onClickEntryItem(el) {
+    this._selectedEntry = el.dataset.id;
+    this._closePanels();
+    this.render({ force: true });
+  }
+
+  /**
+   * Toggle a `tag:` filter in the search box, so the tag cloud narrows the
+   * same ranked, cross-category results as typed filters.
+   * @param {string} tag
+   */
+  async _onClickTag(tag) {
+    const key = tag.toLowerCase();
+    if (parseSearchQuery(this._searchQuery).filters.tag.includes(key)) {
+      this._searchQuery = this._searchQuery
+        .replace(SEARCH_TOKEN_RE, (token, k, quoted, bare) =>
+          (k?.toLowerCase() === "tag" && (quoted ?? bare ?? "").trim().toLowerCase() === key) ? "" : token)
+        .replace(/\s+/g, " ")
+        .trim();
+    } else {
+      const token = /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+      this._searchQuery = `${this._searchQuery.trim()} ${token}`.trim();
+    }
+    this.render({ force: true });
+  }
+
+  async _onClickBrokenLinks() {
+    const show = !this._showBroken;
+    this._closePanels();
+    this._showBroken = show;
+    this.render({ force: true });
+  }
+
+  async _onClickActivity() {
+    const show = !this._showActivity;
+    this._closePanels();
+    if (show) {
+      const read = getActivityRead();
+      this._activitySeenAt = read.feed;
+      this._showActivity   = true;
+      await setActivityRead({ ...read, feed: Date.now() });
+    }
+    this.render({ force: true });
+  }
+
+  async _onClickDrafts() {
+    const show = !this._showDrafts;
+    this._closePanels();
+    this._showDrafts = show;
+    this.render({ force: true });
+  }
+
+  /**
+   * Reopen a draft in its editor. A draft of a since-deleted entry opens as
+   * a new entry.
+   * @param {string} key
+   */
+  async _onClickOpenDraft(key) {
+    const draft = getDrafts()[key];
+    if (!draft) return;
+    const entry = draft.entryId ? getEntry(draft.entryId) : null;
+    if (entry && !canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT)) {
+      ui.notifications.warn(`Adventurer Wiki: You can no longer edit "${entry.title}".`);
+      return;
+    }
+
+    const open = entryEditors().find(e => e._draftKey === key);
+    if (open) {
+      (open.bringToFront ?? open.bringToTop)?.call(open);
+      if (open._canWrite()) await open._restoreDraft(draft);
+      return;
+    }
+    const editor = new WikiEntryEditor(entry ?? { category: draft.values.category, parentId: draft.parentId }, this);
+    editor._draftKey      = key;
+    editor._restoreOnOpen = draft;
+    editor.render(true);
+  }
+
+  async _onClickDiscardDraft(key) {
+    const draft = getDrafts()[key];
+    if (!draft) return;
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window:  { title: "Discard Draft" },
+      content: `<p>Discard your unsaved draft of <strong>${foundry.utils.escapeHTML(draft.values.title || "Untitled")}</strong>? This can't be undone.</p>`,
+    });
+    if (ok) await setDraft(key, null);
+  }
+
+  async _onClickMarkAllRead() {
+    const now = Date.now();
+    await setActivityRead({ since: now, feed: now, entries: {} });
+    this._activitySeenAt = now;
+    this.render({ force: true });
+  }
+
+  async _onClickWatch() {
+    if (!this._selectedEntry) return;
+    await toggleWatch(this._selectedEntry);
+    this.render({ force: true });
+  }
+
+  async _onClickQuestLog() {
+    const show = !this._showQuestLog;
+    this._closePanels();
+    this._showQuestLog = show;
+    this.render({ force: true });
+  }
+
+  async _onChangeQuestStatus(status) {
+    const entry = this._selectedEntry ? getEntry(this._selectedEntry) : null;
+    if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT)) return;
+    await commitEntryOps([{ type: "setQuestStatus", id: entry.id, status }]);
+  }
+
+  /** Tick or untick an objective straight from the viewer. */
+  async _onToggleObjective(checkbox) {
+    const entry = this._selectedEntry ? getEntry(this._selectedEntry) : null;
+    if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT)) return;
+    await commitEntryOps([{ type: "setObjective", id: entry.id, objectiveId: checkbox.dataset.id, done: checkbox.checked }]);
+  }
+
+  async _onClickRecap() {
+    if (this._recapCount) {
+      this._recapCount = null;
+      this.render({ force: true });
+    } else {
+      this.showRecap();
+    }
+  }
+
+  /** Start a new entry for a missing link target, in the active category. */
+  async _onClickCreateMissing(title) {
+    new WikiEntryEditor({ title, category: this._activeCat }, this).render(true);
+  }
+
+  async _onClickHistory() {
+    if (!this._selectedEntry) return;
+    this._historyFor  = this._historyFor === this._selectedEntry ? null : this._selectedEntry;
+    this._historyFrom = null;
+    this._historyTo   = null;
+    this.render({ force: true });
+  }
+
+  async _onClickHistoryRow(el) {
+    const revisions = getEntryHistory(this._selectedEntry);
+    const idx       = revisions.findIndex(r => r.id === el.dataset.revId);
+    if (idx === -1) return;
+    this._historyTo   = revisions[idx].id;
+    this._historyFrom = revisions[idx + 1]?.id ?? revisions[idx].id;
+    this.render({ force: true });
+  }
+
+  async _onClickRestoreRevision(revId) {
+    const entry    = getEntry(this._selectedEntry);
+    const revision = entry ? getEntryHistory(entry.id).find(r => r.id === revId) : null;
+    if (!revision || !canRestoreRevisions(entry)) return;
+
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window:  { title: "Restore Revision" },
+      content: `<p>Restore revision r${revision.rev} by <strong>${foundry.utils.escapeHTML(revision.authorName)}</strong>? ` +
+               "The current text is kept in the history.</p>",
+    });
+    if (!ok) return;
+
+    // A category deleted since then falls back to the entry's current one.
+    const category = getCategories().some(c => c.id === revision.category) ? revision.category : entry.category;
+    const result   = await updateEntry(entry.id, {
+      title:     revision.title,
+      category,
+      content:   revision.content,
+      updatedAt: Date.now(),
+      updatedBy: game.user.name,
+    }, { baseRev: entry.rev ?? 0, restoreOf: revision.id });
+
+    if (!result.ok && result.conflicts.length) {
+      ui.notifications.warn("Adventurer Wiki: The entry changed while you were restoring. Review the history and try again.");
+      return;
+    }
+    this._historyFrom = null;
+    this._historyTo   = null;
+  }
+
+  async _onClickToggleHidden() {
+    if (!this._selectedEntry || !game.user.isGM) return;
+    const entry = getEntry(this._selectedEntry);
+    if (!entry) return;
+    await updateEntry(entry.id, { hidden: !entry.hidden });
+  }
+
+  /** New entry in the active category; in a session log, the next session. */
+  async _onClickNew() {
+    const cat   = getCategories().find(c => c.id === this._activeCat);
+    const entry = isSessionCategory(cat)
+      ? newSessionDraft(cat.id, getEntries().filter(e => canAccessEntry(e, ENTRY_PERMISSIONS.VIEW)))
+      : { category: this._activeCat };
+    new WikiEntryEditor(entry, this).render(true);
+  }
+
+  /** Start a new entry as a sub-page of the current one. */
+  async _onClickNewSubpage() {
+    const parent = this._selectedEntry ? getEntry(this._selectedEntry) : null;
+    if (!parent) return;
+    new WikiEntryEditor({ category: parent.category, parentId: parent.id }, this).render(true);
+  }
+
+  async _onClickTreeToggle(id) {
+    if (this._collapsed.has(id)) this._collapsed.delete(id);
+    else this._collapsed.add(id);
+    this.render({ force: true });
+  }
+
+  async _onClickEdit() {
+    if (!this._selectedEntry) return;
+    const entry = getEntry(this._selectedEntry);
+    if (!entry) return;
+    if (!canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT)) {
+      ui.notifications.warn("Adventurer Wiki: You don't have permission to edit this entry.");
+      return;
+    }
+    openEntryEditor(entry, this);
+  }
+
+  /** Open the entry read-only and ask whoever holds its lock to let this user in. */
+  async _onClickRequestEdit() {
+    const entry = this._selectedEntry ? getEntry(this._selectedEntry) : null;
+    if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT)) return;
+    openEntryEditor(entry, this)._requestEdit();
+  }
+
+  async _onClickBreakLock() {
+    if (this._selectedEntry) await breakEditLock(this._selectedEntry);
+  }
+
+  async _onClickToggleSecret(button) {
+    const entry = this._selectedEntry ? getEntry(this._selectedEntry) : null;
+    if (!entry || !game.user.isGM) return;
+    const revealed = button.closest("section.secret")?.classList.contains("revealed") ?? false;
+    await updateEntry(entry.id, { content: setSecretRevealed(entry.content, button.dataset.secretId, !revealed) });
+  }
+
+  async _onClickPermissions() {
+    const entry = this._selectedEntry ? getEntry(this._selectedEntry) : null;
+    if (entry && canConfigurePermissions(entry)) new WikiEntryPermissions(entry).render(true);
+  }
+
+  /** Open the first queued change the GM rejected, merged against the stored entry. */
+  async _onClickReviewOutbox() {
+    const item = getOutbox().find(i => i.conflict);
+    if (!item) return;
+    const editor = getEntryEditor(item.conflict.id) ?? new WikiEntryEditor(item.conflict, this);
+    editor._outboxItemId = item.id;
+    await editor.render(true);
+    editor._showMergePanel(item.op.changes?.content ?? "");
+  }
+
+  async _onClickDiscardOutbox() {
+    const item = getOutbox().find(i => i.conflict);
+    if (!item) return;
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window:  { title: "Discard Queued Change" },
+      content: `<p>Discard your queued change to <strong>${foundry.utils.escapeHTML(item.conflict.title ?? "")}</strong>? ` +
+               "The newer stored version will be kept.</p>",
+    });
+    if (ok) await removeOutboxItem(item.id);
+  }
+
+  async _onClickRequestDelete() {
+    if (!this._selectedEntry) return;
+    const entry = getEntry(this._selectedEntry);
+    if (!entry) return;
+
+    const visible     = getEntries().filter(e => canAccessEntry(e, ENTRY_PERMISSIONS.VIEW));
+    const descendants = getEntryDescendants(entry, visible);
+    if (!descendants.length) {
+      const ok = await foundry.applications.api.DialogV2.confirm({
+        window:  { title: "Request Deletion" },
+        content: "<p>Flag this entry for deletion? The GM will need to approve it.</p>",
+      });
+      if (!ok) return;
+      await updateEntry(entry.id, { pendingDelete: true });
+      return;
+    }
+
+    // A parent: ask whether its sub-pages go too.
+    const editable = descendants.filter(e => canAccessEntry(e, ENTRY_PERMISSIONS.EDIT));
+    const n        = descendants.length;
+    const choice   = await foundry.applications.api.DialogV2.wait({
+      window:  { title: "Request Deletion" },
+      content: `<p>Flag this entry for deletion? The GM will need to approve it.</p>` +
+               `<p>It has ${n} sub-page${n === 1 ? "" : "s"}. Flag ${n === 1 ? "it" : "them"} too, or leave the GM to ` +
+               `decide what happens to ${n === 1 ? "it" : "them"}?</p>` +
+               (editable.length < n ? `<p><em>${n - editable.length} you can't edit won't be flagged.</em></p>` : ""),
+      buttons: [
+        ...(editable.length ? [{ action: "all", label: "Flag Sub-pages Too", icon: "fas fa-flag" }] : []),
+        { action: "one",    label: "Only This Entry",    icon: "fas fa-file", default: true },
+        { action: "cancel", label: "Cancel",             icon: "fas fa-times" },
+      ],
+      rejectClose: false,
+    });
+    if (!choice || choice === "cancel") return;
+
+    const flagged = choice === "all" ? [entry, ...editable] : [entry];
+    await commitEntryOps(flagged.map(e => ({ type: "update", id: e.id, changes: { pendingDelete: true } })));
+  }
+
+  async _onClickCancelDelete() {
+    if (!this._selectedEntry) return;
+    await updateEntry(this._selectedEntry, { pendingDelete: false });
+  }
+
+  async _onClickGmDelete() {
+    if (!this._selectedEntry) return;
+    const entry = getEntry(this._selectedEntry);
+    if (!entry) return;
+
+    const entries  = getEntries();
+    const children = getEntryChildren(entry, entries);
+    if (!children.length) {
+      const ok = await foundry.applications.api.DialogV2.confirm({
+        window:  { title: "Delete Entry" },
+        content: "<p>Permanently delete this entry? This cannot be undone.</p>",
+      });
+      if (!ok) return;
+      this._selectedEntry = null;
+      await deleteEntry(entry.id);
+      return;
+    }
+
+    // A parent: its sub-pages either move up a level or are deleted with it.
+    const descendants = getEntryDescendants(entry, entries);
+    const flagged     = descendants.filter(e => e.pendingDelete).length;
+    const n           = descendants.length;
+    const choice      = await foundry.applications.api.DialogV2.wait({
+      window:  { title: "Delete Entry" },
+      content: `<p>Permanently delete this entry? This cannot be undone.</p>` +
+               `<p>It has ${n} sub-page${n === 1 ? "" : "s"}` +
+               (flagged ? ` (${flagged === n ? (n === 1 ? "also" : "all") : flagged} flagged for deletion)` : "") +
+               `. What should happen to ${n === 1 ? "it" : "them"}?</p>`,
+      buttons: [
+        { action: "promote", label: "Move Sub-pages Up", icon: "fas fa-turn-up",  default: flagged < n },
+        { action: "delete",  label: "Delete Them Too",   icon: "fas fa-trash",    default: flagged === n },
+        { action: "cancel",  label: "Cancel",            icon: "fas fa-times" },
+      ],
+      rejectClose: false,
+    });
+    if (!choice || choice === "cancel") return;
+
+    const ops = [{ type: "delete", id: entry.id }];
+    if (choice === "delete") {
+      ops.push(...descendants.map(e => ({ type: "delete", id: e.id })));
+    } else {
+      const parentId = getTreeParent(entry, new Map(entries.map(e => [e.id, e])))?.id ?? null;
+      ops.push(...children.map(e => ({ type: "update", id: e.id, changes: { parentId } })));
+    }
+    this._selectedEntry = null;
+    await commitEntryOps(ops);
+  }
+
+  // ── Tree drag & drop ─────────────────────────────────────────────────────
+
+  /**
+   * Where a drop over a sidebar row lands: the top or bottom quarter places
+   * the entry before/after the row, the middle makes it a sub-page.
+   */
+  _dropZone(e, row) {
+    const rect = row.getBoundingClientRect();
+    const y    = (e.clientY - rect.top) / rect.height;
+    return y < 0.25 ? "before" : y > 0.75 ? "after" : "inside";
+  }
+
+  _clearDropMarkers() {
+    for (const el of this.element?.querySelectorAll(".drop-before, .drop-after, .drop-inside") ?? []) {
+      el.classList.remove("drop-before", "drop-after", "drop-inside");
+    }
+  }
+
+  /**
+   * Move an entry in its category's tree: next to `targetId` or under it,
+   * or to the end of the top level when dropped on empty list space. Only
+   * the moved entry is written, with a sort key between its new neighbours;
+   * siblings are renumbered only when there is no room left between them.
+   * @param {string}      dragId
+   * @param {string|null} targetId
+   * @param {"before"|"after"|"inside"} zone
+   */
+  async _onDropEntry(dragId, targetId, zone) {
+    const entries = getEntries()
+      .filter(e => e.category === this._activeCat && canAccessEntry(e, ENTRY_PERMISSIONS.VIEW));
+    const dragged = entries.find(e => e.id === dragId);
+    const target  = targetId ? entries.find(e => e.id === targetId) : null;
+    if (!dragged || target?.id === dragged.id) return;
+    if (target && getEntryDescendants(dragged, entries).some(e => e.id === target.id)) {
+      ui.notifications.warn("Adventurer Wiki: An entry can't be moved under one of its own sub-pages.");
+      return;
+    }
+
+    const byId     = new Map(entries.map(e => [e.id, e]));
+    const parentId = !target ? null : zone === "inside" ? target.id : (getTreeParent(target, byId)?.id ?? null);
+    const siblings = entries
+      .filter(e => e.id !== dragged.id && (getTreeParent(e, byId)?.id ?? null) === parentId)
+      .sort((a, b) => entrySortKey(a) - entrySortKey(b));
+    const index    = (!target || zone === "inside")
+      ? siblings.length
+      : siblings.findIndex(e => e.id === target.id) + (zone === "after" ? 1 : 0);
+
+    if (zone === "inside") this._collapsed.delete(target.id);
+    const sort = sortKeyBetween(siblings[index - 1], siblings[index]);
+    if (sort !== null) {
+      await updateEntry(dragged.id, { parentId, sort });
+      return;
+    }
+
+    // No room between the neighbours: space the whole sibling list out again.
+    siblings.splice(index, 0, dragged);
+    const base = entrySortKey(siblings[0]);
+    await commitEntryOps(siblings.map((e, i) => ({
+      type:    "update",
+      id:      e.id,
+      changes: e.id === dragged.id ? { parentId, sort: base + i * SORT_STEP } : { sort: base + i * SORT_STEP },
+    })));
+  }
+
+  async _onClickEntryLink(el) {
+    this._selectedEntry  = el.dataset.id;
+    this._closePanels();
+    this._pendingSection = el.dataset.section ?? null;
+    this.render({ force: true });
+  }
+
+  /** Go to a pin: view its scene if another one is shown, then pan to it. */
+  async _onClickMapPin(el) {
+    const scene = game.scenes.get(el.dataset.sceneId);
+    const note  = scene?.notes.get(el.dataset.noteId);
+    if (!note) return;
+    if (!scene.isView) await scene.view();
+    await canvas.animatePan({ x: note.x, y: note.y, scale: Math.max(canvas.stage.scale.x, 1) });
+    canvas.ping({ x: note.x, y: note.y });
+  }
+
+  /** A link whose target names several entries: let the user pick one. */
+  async _onClickAmbiguousLink(el) {
+    const { escapeHTML } = foundry.utils;
+    const cats    = getCategories();
+    const ids     = el.dataset.ids.split(",");
+    const matches = getEntries().filter(e => ids.includes(e.id));
+
+    const id = await foundry.applications.api.DialogV2.wait({
+      window:  { title: "Which Entry?" },
+      content: `<p>Several entries answer to <strong>${escapeHTML(el.textContent)}</strong>:</p>`,
+      buttons: matches.map(e => ({
+        action: e.id,
+        label:  `${e.title} (${cats.find(c => c.id === e.category)?.label ?? e.category})`,
+        icon:   "fas fa-book-open",
+      })),
+      rejectClose: false,
+    });
+    if (!id) return;
+    this._selectedEntry  = id;
+    this._closePanels();
+    this._pendingSection = el.dataset.section ?? null;
+    this.render({ force: true });
+  }
+
+  // ── Delegated listener setup ─────────────────────────────────────────────
+
+  _attachDelegatedListeners() {
+    if (this._listenersReady) return;
+    this._listenersReady = true;
+
+    const inApp = (e) => !!(this.element?.contains(e.target));
+
+    const _click = async (e) => {
+      if (!inApp(e)) return;
+
+      const catTab = e.target.closest(".wiki-cat-tab");
+      if (catTab) return this._onClickCatTab(catTab);
+
+      const treeToggle = e.target.closest(".wiki-tree-toggle");
+      if (treeToggle) return this._onClickTreeToggle(treeToggle.dataset.id);
+
+      const entryItem = e.target.closest(".wiki-entry-item");
+      if (entryItem) return this._onClickEntryItem(entryItem);
+
+      if (e.target.closest(".wiki-btn-toggle-hidden")) return this._onClickToggleHidden();
+
+      if (e.target.closest(".wiki-btn-permissions")) return this._onClickPermissions();
+
+      const secretToggle = e.target.closest(".wiki-secret-toggle");
+      if (secretToggle) return this._onClickToggleSecret(secretToggle);
+
+      if (e.target.closest(".wiki-btn-history, .wiki-history-close")) return this._onClickHistory();
+
+      const restoreBtn = e.target.closest(".wiki-history-restore");
+      if (restoreBtn) return this._onClickRestoreRevision(restoreBtn.dataset.revId);
+
+      const historyRow = e.target.closest(".wiki-history-row");
+      if (historyRow) return this._onClickHistoryRow(historyRow);
+
+      if (e.target.closest(".wiki-btn-new")) return this._onClickNew();
+
+      if (e.target.closest(".wiki-btn-new-subpage")) return this._onClickNewSubpage();
+
+      const tagBtn = e.target.closest(".wiki-tag[data-tag]");
+      if (tagBtn) return this._onClickTag(tagBtn.dataset.tag);
+
+      if (e.target.closest(".wiki-broken-banner, .wiki-broken-close")) return this._onClickBrokenLinks();
+
+      if (e.target.closest(".wiki-btn-recap, .wiki-recap-close")) return this._onClickRecap();
+
+      if (e.target.closest(".wiki-recap-push")) return pushRecapToPlayers(this._recapCount);
+
+      if (e.target.closest(".wiki-btn-quest-log, .wiki-quest-log-close")) return this._onClickQuestLog();
+
+      if (e.target.closest(".wiki-btn-activity, .wiki-activity-close")) return this._onClickActivity();
+
+      if (e.target.closest(".wiki-activity-read-all")) return this._onClickMarkAllRead();
+
+      if (e.target.closest(".wiki-btn-drafts, .wiki-drafts-close")) return this._onClickDrafts();
+
+      const openDraft = e.target.closest(".wiki-draft-open");
+      if (openDraft) return this._onClickOpenDraft(openDraft.dataset.key);
+
+      const discardDraft = e.target.closest(".wiki-draft-discard");
+      if (discardDraft) return this._onClickDiscardDraft(discardDraft.dataset.key);
+
+      if (e.target.closest(".wiki-btn-watch")) return this._onClickWatch();
+
+      const createMissing = e.target.closest(".wiki-broken-create");
+      if (createMissing) return this._onClickCreateMissing(createMissing.dataset.title);
+
+      if (e.target.closest(".wiki-outbox-review")) return this._onClickReviewOutbox();
+
+      if (e.target.closest(".wiki-outbox-discard")) return this._onClickDiscardOutbox();
+
+      if (e.target.closest(".wiki-btn-settings")) {
+        new WikiCategorySettings().render(true);
+        return;
+      }
+
+      if (e.target.closest(".wiki-btn-transfer")) {
+        new WikiTransfer().render(true);
+        return;
+      }
+
+      if (e.target.closest(".wiki-btn-edit")) return this._onClickEdit();
+
+      if (e.target.closest(".wiki-btn-request-edit")) return this._onClickRequestEdit();
+
+      if (e.target.closest(".wiki-btn-break-lock")) return this._onClickBreakLock();
+
+      if (e.target.closest(".wiki-btn-request-delete")) return this._onClickRequestDelete();
+
+      if (e.target.closest(".wiki-btn-cancel-delete")) return this._onClickCancelDelete();
+
+      if (e.target.closest(".wiki-btn-delete")) return this._onClickGmDelete();
+
+      const entryLink = e.target.closest(".wiki-entry-link[data-id]");
+      if (entryLink) {
+        e.preventDefault();
+        return this._onClickEntryLink(entryLink);
+      }
+
+      const mapPin = e.target.closest(".wiki-map-pin");
+      if (mapPin) return this._onClickMapPin(mapPin);
+
+      const ambiguousLink = e.target.closest(".wiki-entry-link-ambiguous");
+      if (ambiguousLink) {
+        e.preventDefault();
+        return this._onClickAmbiguousLink(ambiguousLink);
+      }
+
+      const missingLink = e.target.closest(".wiki-entry-link-missing");
+      if (missingLink) {
+        e.preventDefault();
+        ui.notifications.warn(`Adventurer Wiki: No entry found named "${missingLink.dataset.title ?? missingLink.textContent}".`);
+        return;
+      }
+
+      // Reply and edit boxes share the Post button's look; check them first.
+      const replySubmit = e.target.closest(".wiki-comment-reply-submit");
+      if (replySubmit) return this._submitComment(replySubmit.dataset.commentId);
+
+      const editSave = e.target.closest(".wiki-comment-edit-save");
+      if (editSave) return this._saveCommentEdit(editSave.dataset.commentId);
+
+      if (e.target.closest(".wiki-comment-submit")) {
+        await this._submitComment();
+        return;
+      }
+
+      const commentDelBtn = e.target.closest(".wiki-comment-delete");
+      if (commentDelBtn) {
+        await this._deleteComment(commentDelBtn.dataset.commentId);
+        return;
+      }
+
+      const replyBtn = e.target.closest(".wiki-comment-reply");
+      if (replyBtn) return this._onClickReply(replyBtn.dataset.commentId);
+
+      const editBtn = e.target.closest(".wiki-comment-edit");
+      if (editBtn) return this._onClickEditComment(editBtn.dataset.commentId);
+
+      if (e.target.closest(".wiki-comment-reply-cancel, .wiki-comment-edit-cancel")) {
+        this._replyTo        = null;
+        this._editingComment = null;
+        return this.render({ force: true });
+      }
+
+      const resolveBtn = e.target.closest(".wiki-comment-resolve");
+      if (resolveBtn) return this._resolveComment(resolveBtn.dataset.commentId, resolveBtn.dataset.resolved === "true");
+
+      const threadToggle = e.target.closest(".wiki-comment-toggle");
+      if (threadToggle) {
+        const id = threadToggle.dataset.commentId;
+        if (!this._openThreads.delete(id)) this._openThreads.add(id);
+        return this.render({ force: true });
+      }
+    };
+
+    const _input = (e) => {
+      if (!inApp(e)) return;
+      if (e.target.matches(".wiki-history-from, .wiki-history-to")) {
+        const key = e.target.matches(".wiki-history-from") ? "_historyFrom" : "_historyTo";
+        this[key] = e.target.value;
+        this.render({ force: true });
+        return;
+      }
+      if (e.target.matches(".wiki-sort")) {
+        this._sortBy = e.target.value;
+        this.render({ force: true });
+        return;
+      }
+      if (e.target.matches(".wiki-activity-watched")) {
+        this._activityWatchedOnly = e.target.checked;
+        this.render({ force: true });
+        return;
+      }
+      if (e.target.matches(".wiki-quest-status")) {
+        this._onChangeQuestStatus(e.target.value);
+        return;
+      }
+      if (e.target.matches(".wiki-objective-check")) {
+        this._onToggleObjective(e.target);
+        return;
+      }
+      if (e.target.matches(".wiki-recap-count")) {
+        this._recapCount = Number(e.target.value);
+        this.render({ force: true });
+        return;
+      }
+      if (!e.target.matches(".wiki-search")) return;
+      this._searchQuery = e.target.value;
+      this.render({ force: true });
+    };
+
+    const _keydown = (e) => {
+      if (!inApp(e)) return;
+      if (!e.target.matches(".wiki-comment-input")) return;
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        const { commentId } = e.target.dataset;
+        if (e.target.matches(".wiki-comment-edit-input")) this._saveCommentEdit(commentId);
+        else this._submitComment(commentId);
+      }
+    };
+
+    // ── Sidebar tree drag & drop ─────
+    // The payload follows Foundry's drag-data shape so other drop targets
+    // can recognise a wiki entry.
+    const _dragstart = (e) => {
+      if (!inApp(e)) return;
+      const row = e.target.closest?.(".wiki-entry-item[draggable='true']");
+      if (!row) return;
+      // Any row can be dragged out (to the canvas or an editor); only rows
+      // the user may move reorder the tree.
+      if (row.dataset.movable) this._dragId = row.dataset.id;
+      e.dataTransfer.setData("text/plain", JSON.stringify({ type: "AdventurerWikiEntry", id: row.dataset.id }));
+      e.dataTransfer.effectAllowed = "copyMove";
+    };
+
+    const _dragover = (e) => {
+      if (!this._dragId || !inApp(e)) return;
+      const list = e.target.closest(".wiki-entry-list");
+      if (!list) return;
+      e.preventDefault();
+      this._clearDropMarkers();
+      const row = e.target.closest(".wiki-entry-item");
+      if (row && row.dataset.id !== this._dragId) row.classList.add(`drop-${this._dropZone(e, row)}`);
+    };
+
+    const _drop = async (e) => {
+      if (!this._dragId || !inApp(e)) return;
+      const list = e.target.closest(".wiki-entry-list");
+      if (!list) return;
+      e.preventDefault();
+      const row    = e.target.closest(".wiki-entry-item");
+      const dragId = this._dragId;
+      this._dragId = null;
+      this._clearDropMarkers();
+      await this._onDropEntry(dragId, row?.dataset.id ?? null, row ? this._dropZone(e, row) : "after");
+    };
+
+    const _dragend = () => {
+      this._dragId = null;
+      this._clearDropMarkers();
+    };
+
+    document.addEventListener("click",     _click,     { capture: true });
+    document.addEventListener("input",     _input,     { capture: true });
+    document.addEventListener("keydown",   _keydown,   { capture: true });
+    document.addEventListener("dragstart", _dragstart, { capture: true });
+    document.addEventListener("dragover",  _dragover,  { capture: true });
+    document.addEventListener("drop",      _drop,      { capture: true });
+    document.addEventListener("dragend",   _dragend,   { capture: true });
+    this._docListeners = { _click, _input, _keydown, _dragstart, _dragover, _drop, _dragend };
+  }
+
+  // ── Comment actions ──────────────────────────────────────────────────────
+
+  /**
+   * Post the compose box's comment, or a reply to a thread.
+   * @param {string} [parentId]  The thread's top comment, when replying.
+   */
+  async _submitComment(parentId) {
+    if (!this._selectedEntry) return;
+
+    const commentInput = parentId
+      ? this.element?.querySelector(`.wiki-comment-reply-input[data-comment-id="${parentId}"]`)
+      : this.element?.querySelector(".wiki-comment-new");
+    const text         = commentInput?.value?.trim();
+    if (!text || !this._checkCommentLength(text)) return;
+
+    const entry = getEntry(this._selectedEntry);
+    if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.COMMENT)) return;
+
+    const gmOnly  = !parentId && game.user.isGM && !!this.element?.querySelector(".wiki-comment-gm-only")?.checked;
+    const comment = {
+      id:         generateId(),
+      authorName: game.user.name,
+      userId:     game.user.id,
+      text,
+      createdAt:  Date.now(),
+      ...(parentId ? { parentId } : {}),
+      ...(gmOnly ? { gmOnly } : {}),
+    };
+
+    const { ok } = await commitEntryOps([{ type: "addComment", id: entry.id, comment }]);
+    if (!ok) return;
+    if (commentInput) commentInput.value = "";
+    if (parentId) {
+      this._replyTo = null;
+      this.render({ force: true });
+    }
+  }
+
+  _checkCommentLength(text) {
+    if (text.length <= COMMENT_MAX_LENGTH) return true;
+    ui.notifications.warn(`Adventurer Wiki: Comments are limited to ${COMMENT_MAX_LENGTH} characters.`);
+    return false;
+  }
+
+  async _onClickReply(commentId) {
+    this._replyTo        = commentId;
+    this._editingComment = null;
+    await this.render({ force: true });
+    this.element?.querySelector(".wiki-comment-reply-input")?.focus();
+  }
+
+  async _onClickEditComment(commentId) {
+    this._editingComment = commentId;
+    this._replyTo        = null;
+    await this.render({ force: true });
+    const input = this.element?.querySelector(".wiki-comment-edit-input");
+    input?.focus();
+    input?.setSelectionRange(input.value.length, input.value.length);
+  }
+
+  async _saveCommentEdit(commentId) {
+    if (!this._selectedEntry) return;
+
+    const input = this.element?.querySelector(`.wiki-comment-edit-input[data-comment-id="${commentId}"]`);
+    const text  = input?.value?.trim();
+    if (!text || !this._checkCommentLength(text)) return;
+
+    const comment = getEntry(this._selectedEntry)?.comments?.find(c => c.id === commentId);
+    if (comment && comment.text !== text) {
+      const { ok } = await commitEntryOps([{
+        type: "editComment", id: this._selectedEntry, commentId, text, editedAt: Date.now(),
+      }]);
+      if (!ok) return;
+    }
+    this._editingComment = null;
+    this.render({ force: true });
+  }
+
+  async _resolveComment(commentId, resolved) {
+    if (!this._selectedEntry) return;
+
+    this._openThreads.delete(commentId);
+    await commitEntryOps([{
+      type: "resolveComment", id: this._selectedEntry, commentId, resolved, by: game.user.name, at: Date.now(),
+    }]);
+  }
+
+  async _deleteComment(commentId) {
+    if (!this._selectedEntry) return;
+
+    await commitEntryOps([{ type: "deleteComment", id: this._selectedEntry, commentId }]);
+  }
+
+  // ── Close ────────────────────────────────────────────────────────────────
+
+  async close(options) {
+    if (this._docListeners) {
+      const { _click, _input, _keydown, _dragstart, _dragover, _drop, _dragend } = this._docListeners;
+      document.removeEventListener("click",     _click,     { capture: true });
+      document.removeEventListener("input",     _input,     { capture: true });
+      document.removeEventListener("keydown",   _keydown,   { capture: true });
+      document.removeEventListener("dragstart", _dragstart, { capture: true });
+      document.removeEventListener("dragover",  _dragover,  { capture: true });
+      document.removeEventListener("drop",      _drop,      { capture: true });
+      document.removeEventListener("dragend",   _dragend,   { capture: true });
+      this._docListeners    = null;
+      this._listenersReady  = false;
+    }
+    openWikiApps.delete(this);
+    return super.close(options);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Editor drafts — snapshots of open editors, so a reload or an accidental
+// close doesn't lose what was typed since the last save. Kept in a client
+// setting (browser storage), keyed per world and user like the outbox:
+// draft key → { key, entryId, parentId, values, baseRev, savedAt }. Existing
+// entries' drafts are keyed by entry id, new entries' by "new:<random id>" —
+// one per editor window.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** How often an open editor snapshots its form. */
+const DRAFT_INTERVAL_MS = 5 * 1000;
+
+/** New-entry drafts put off with "Keep for Later": not offered again until reload. */
+const deferredDrafts = new Set();
+
+/** @returns {Object<string, object>} */
+function getDrafts() {
+  try {
+    const all = game.settings.get(MODULE_ID, DRAFTS_SETTING_KEY) ?? {};
+    return foundry.utils.deepClone(all[clientStorageKey()] ?? {});
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Store (draft) or discard (null) a draft. Wiki windows refresh only when a
+ * draft comes or goes, not on every snapshot.
+ * @param {string}      key
+ * @param {object|null} draft
+ */
+async function setDraft(key, draft) {
+  const all   = foundry.utils.deepClone(game.settings.get(MODULE_ID, DRAFTS_SETTING_KEY) ?? {});
+  const mine  = all[clientStorageKey()] ?? {};
+  const had   = key in mine;
+  if (!draft && !had) return;
+  if (draft) mine[key] = draft;
+  else delete mine[key];
+  if (Object.keys(mine).length) all[clientStorageKey()] = mine;
+  else delete all[clientStorageKey()];
+  await game.settings.set(MODULE_ID, DRAFTS_SETTING_KEY, all);
+  if (had !== !!draft) scheduleRefresh();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Edit locks — one user, plus anyone they let in, edits an entry at a time.
+// The active GM holds the lock table and every other client mirrors it in
+// activeEditors. Editors renew their lock with a heartbeat; a lock that
+// misses them expires, so a crashed editor doesn't hold a page forever.
+// With no GM online there are no locks: editors work on their own and
+// merge on save.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** How often an editor renews its lock. */
+const LOCK_HEARTBEAT_MS = 30 * 1000;
+
+/** How long the authority waits for a heartbeat before expiring a lock. */
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+/** Last heartbeat per holder, kept by the authority: entryId → Map(userId → time). */
+const lockHeartbeats = new Map();
+
+/** The authority this client last knew of, to tell when it changes (see resyncLocks()). */
+let lockAuthorityId = null;
+
+/** Actions the authority answers; the rest are for the clients. */
+const LOCK_AUTHORITY_ACTIONS = ["lockAcquire", "lockHeartbeat", "lockRelease", "lockGrant", "lockBreak", "lockSync"];
+
+/**
+ * Would this op change an entry someone else holds the lock on? GMs aren't
+ * held back (they can break a lock anyway), and neither are comments, quest
+ * status, objectives or moves in the tree.
+ * @param {object} op
+ * @param {User}   user
+ * @returns {boolean}
+ */
+function isLockedAgainst(op, user) {
+  if (op.type !== "update" || !user || user.isGM) return false;
+  const holders = activeEditors.get(op.id);
+  if (!holders?.size || holders.has(user.id)) return false;
+  return Object.keys(op.changes ?? {}).some(k => GUARDED_FIELDS.includes(k));
+}
+
+/**
+ * Send a lock message to every other client and handle it here as well,
+ * on a later tick like sendCollab().
+ * @param {object} payload
+ */
+function sendLock(payload) {
+  game.socket.emit(SOCKET_EVENT, payload);
+  queueMicrotask(() => onLockMessage(payload));
+}
+
+/** This client's open entry editors. */
+function entryEditors() {
+  return [...foundry.applications.instances.values()].filter(app => app instanceof WikiEntryEditor);
+}
+
+/**
+ * Route a lock message to the authority, or to this client when it's for
+ * everyone or for this user.
+ * @param {object}  payload
+ * @param {boolean} [relayed]  It came over the socket rather than from this client.
+ */
+function onLockMessage(payload, relayed = false) {
+  if (LOCK_AUTHORITY_ACTIONS.includes(payload.action)) {
+    if (isActiveGM()) serveLock(payload, relayed);
+    return;
+  }
+  if (payload.to && payload.to !== game.user.id) return;
+
+  switch (payload.action) {
+    case "lockState":    return applyLockState(payload);
+    case "lockLost": {
+      if (payload.userIds.includes(game.user.id)) getEntryEditor(payload.entryId)?._onLockLost(payload);
+      return;
+    }
+    case "lockRequest":  return getEntryEditor(payload.entryId)?._onEditRequested(payload);
+    case "lockDeclined": return getEntryEditor(payload.entryId)?._onEditDeclined(payload);
+  }
+}
+
+/**
+ * Answer a lock message. Active GM only. Every change goes out as lockState.
+ *   lockAcquire   — take the entry's lock if nobody else holds it; after the
+ *                   authority changed, a holder brings back its co-holders
+ *   lockHeartbeat — a holder's editor is still open
+ *   lockRelease   — a holder closed their editor
+ *   lockGrant     — a holder lets `grantee` edit along with them
+ *   lockBreak     — a GM frees the entry; the holders get lockLost
+ *   lockSync      — a client that just joined asks for the whole table
+ * Apart from lockSync, messages that came over the socket can't be from a
+ * GM (see relayingUser()).
+ * @param {object}  payload
+ * @param {boolean} relayed  It came over the socket rather than from this client.
+ */
+function serveLock(payload, relayed) {
+  const { entryId, userId } = payload;
+  const user    = relayed ? relayingUser(userId) : game.users.get(userId);
+  const holders = activeEditors.get(entryId);
+  // Anyone may have the table, other GMs included.
+  if (payload.action === "lockSync") return publishLocks([...activeEditors.keys()], userId);
+  if (!user) return;
+
+  switch (payload.action) {
+    case "lockAcquire": {
+      const entry = getEntry(entryId);
+      if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT, user)) return;
+      const free = !holders?.size;
+      if (free || holders.has(userId)) holdLock(entryId, user);
+      if (free) {
+        for (const coHolder of (payload.holders ?? []).map(relayingUser)) {
+          if (coHolder?.active && canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT, coHolder)) holdLock(entryId, coHolder);
+        }
+      }
+      publishLocks([entryId]);   // refused, the asker learns who holds it
+      break;
+    }
+    case "lockHeartbeat": {
+      if (holders?.has(userId)) lockHeartbeats.get(entryId)?.set(userId, Date.now());
+      break;
+    }
+    case "lockRelease": {
+      if (releaseLock(entryId, [userId])) publishLocks([entryId]);
+      break;
+    }
+    case "lockGrant": {
+      const grantee = game.users.get(payload.grantee);
+      const entry   = getEntry(entryId);
+      if (!holders?.has(userId) || !grantee?.active || !entry) return;
+      if (!canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT, grantee)) return;
+      holdLock(entryId, grantee);
+      publishLocks([entryId]);
+      break;
+    }
+    case "lockBreak": {
+      if (!user.isGM || !holders?.size) return;
+      const userIds = [...holders.keys()];
+      releaseLock(entryId, userIds);
+      sendLock({ action: "lockLost", entryId, userIds, reason: "broken", by: user.name });
+      publishLocks([entryId]);
+      break;
+    }
+  }
+}
+
+function holdLock(entryId, user) {
+  setEditing(entryId, user.id, user.name);
+  if (!lockHeartbeats.has(entryId)) lockHeartbeats.set(entryId, new Map());
+  lockHeartbeats.get(entryId).set(user.id, Date.now());
+}
+
+/**
+ * Take these users off an entry's lock.
+ * @returns {boolean}  Whether any of them held it.
+ */
+function releaseLock(entryId, userIds) {
+  let released = false;
+  for (const id of userIds) {
+    released = setEditing(entryId, id, null) || released;
+    lockHeartbeats.get(entryId)?.delete(id);
+  }
+  if (!activeEditors.has(entryId)) lockHeartbeats.delete(entryId);
+  return released;
+}
+
+/**
+ * Broadcast the holders of these entries' locks — or, with `to`, send one
+ * user the whole table.
+ * @param {string[]} entryIds
+ * @param {string}   [to]
+ */
+function publishLocks(entryIds, to) {
+  const locks = Object.fromEntries(entryIds.map(id => [id, [...(activeEditors.get(id) ?? [])]]));
+  sendLock({ action: "lockState", locks, ...(to ? { to, all: true } : {}) });
+}
+
+/**
+ * Take in the authority's lock table — all of it, or the entries that
+ * changed — and let open editors and wiki windows catch up.
+ */
+function applyLockState({ locks, all }) {
+  // The authority's own table is the lock; it only needs to notify.
+  if (!isActiveGM()) {
+    if (all) activeEditors.clear();
+    for (const [id, holders] of Object.entries(locks)) {
+      if (holders.length) activeEditors.set(id, new Map(holders));
+      else activeEditors.delete(id);
+    }
+  }
+  for (const editor of entryEditors()) editor._onLockState();
+
+  // Queued edits held back by a lock can go now (see flushOutbox()).
+  if (!game.user.isGM && Object.values(locks).some(h => !h.length) && getOutbox().length) flushOutbox();
+  scheduleRefresh();
+}
+
+/** Release the locks of holders whose heartbeat stopped. Active GM only. */
+function expireLocks() {
+  const cutoff = Date.now() - LOCK_TIMEOUT_MS;
+  for (const [entryId, beats] of lockHeartbeats) {
+    const userIds = [...beats].filter(([, at]) => at < cutoff).map(([id]) => id);
+    if (!userIds.length) continue;
+    releaseLock(entryId, userIds);
+    sendLock({ action: "lockLost", entryId, userIds, reason: "expired" });
+    publishLocks([entryId]);
+  }
+}
+
+/** Release a disconnected user's locks. Active GM only. */
+function dropLockUser(userId) {
+  const released = [...activeEditors.keys()].filter(id => releaseLock(id, [userId]));
+  if (released.length) publishLocks(released);
+}
+
+/**
+ * A GM arrived or left. Nothing changes unless the authority did. A GM that
+ * becomes the authority keeps the table it mirrored, for holders still
+ * connected. Editors that hold a lock claim it again, with their co-holders,
+ * in case the new authority had no table; editors that were working while no
+ * GM was online ask for one; everyone else asks for the table. With no GM
+ * left there are no locks.
+ */
+function resyncLocks() {
+  const authorityId = game.users.activeGM?.id ?? null;
+  if (authorityId === lockAuthorityId) return;
+  lockAuthorityId = authorityId;
+
+  lockHeartbeats.clear();
+  if (!authorityId) activeEditors.clear();
+  else if (isActiveGM()) {
+    const entryIds = [...activeEditors.keys()];
+    for (const entryId of entryIds) {
+      for (const userId of [...activeEditors.get(entryId).keys()]) {
+        const user = game.users.get(userId);
+        if (user?.active && (!user.isGM || user.isSelf)) holdLock(entryId, user);
+        else releaseLock(entryId, [userId]);
+      }
+    }
+    publishLocks(entryIds);
+  }
+
+  for (const editor of entryEditors()) {
+    if (editor._lock === "held" || editor._lock === null) editor._acquireLock();
+    else editor._onLockState();
+  }
+  if (authorityId && !isActiveGM()) game.socket.emit(SOCKET_EVENT, { action: "lockSync", userId: game.user.id });
+  scheduleRefresh();
+}
+
+/**
+ * Ask, then take an entry's lock away from whoever holds it. GM only.
+ * @param {string} entryId
+ * @returns {Promise<boolean>}  Whether the lock was broken.
+ */
+async function breakEditLock(entryId) {
+  const names = describeEditing(entryId);
+  if (!isActiveGM() || !names) return false;
+  const ok = await foundry.applications.api.DialogV2.confirm({
+    window:  { title: "Break Edit Lock" },
+    content: `<p>Stop <strong>${foundry.utils.escapeHTML(names)}</strong> editing this entry? ` +
+             "Their unsaved changes stay in their editor, but they can't save them until they take the lock again.</p>",
+  });
+  if (ok) sendLock({ action: "lockBreak", entryId, userId: game.user.id });
+  return !!ok;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Live co-editing — editors of the same entry share its body through
+// prosemirror-collab over the module socket. The active GM is the authority:
+// it orders the steps each editor sends, applies them to its copy of the
+// document and relays them to everyone in the session. Cursors go straight
+// from editor to editor. An editor outside a session (no GM online, or a GM
+// on an entry with unrevealed secrets) edits on its own, and a stale save
+// merges with the newer version instead (see WikiEntryEditor#_mergeChanges).
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Sessions the authority serves: entryId → { doc, version, steps, clients, base }.
+ * `base` is the stored body (players' copy) the session last matched — what
+ * it was seeded from, then each save made from it. Editors guard their saves
+ * with it, so a write from outside the session is a conflict, not overwritten.
+ */
+const collabSessions = new Map();
+
+/** Actions the authority answers; the rest are for the session's editors. */
+const COLLAB_AUTHORITY_ACTIONS = ["collabJoin", "collabSteps", "collabSync", "collabLeave", "collabSaved"];
+
+/** Does this Foundry build ship the ProseMirror collab module? */
+function canCoEdit() {
+  const pm = foundry.prosemirror;
+  return !!(pm?.collab && pm.Step && pm.EditorState);
+}
+
+/**
+ * Should this editor join the entry's shared session? Players always do. The
+ * session holds the players' copy of the body, so a GM joins only while the
+ * entry has no unrevealed secrets to lose.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function joinsCollab(entry) {
+  if (!canCoEdit() || !entry?.id || !game.users.activeGM || !usesEditLocks()) return false;
+  return !game.user.isGM || !htmlTemplate(entry.content).content.querySelector(HIDDEN_SECRET_SELECTOR);
+}
+
+/**
+ * Send a collab message to every other client and handle it here as well,
+ * on a later tick so a dispatch never runs inside another.
+ * @param {object} payload
+ */
+function sendCollab(payload) {
+  game.socket.emit(SOCKET_EVENT, payload);
+  queueMicrotask(() => onCollabMessage(payload));
+}
+
+/**
+ * Route a collab message to the authority or to this client's editor of the entry.
+ * @param {object}  payload
+ * @param {boolean} [relayed]  It came over the socket rather than from this client.
+ */
+function onCollabMessage(payload, relayed = false) {
+  if (COLLAB_AUTHORITY_ACTIONS.includes(payload.action)) {
+    if (isActiveGM()) serveCollab(payload, relayed);
+    return;
+  }
+  getEntryEditor(payload.entryId)?._onCollabMessage(payload);
+}
+
+function collabPeers(session) {
+  return [...session.clients].map(([clientID, { userId, userName }]) => ({ clientID, userId, userName }));
+}
+
+/**
+ * Answer an editor's collab message. Active GM only.
+ *   collabJoin  — start or join the entry's session; answered with collabInit
+ *   collabSteps — steps made against `version`; applied and relayed as
+ *                 collabApplied, or ignored when stale (the editor rebases
+ *                 on the steps it's missing and sends again)
+ *   collabSync  — an editor that fell behind asks for the steps since `version`
+ *   collabLeave — the editor closed; the session ends with its last editor
+ *   collabSaved — an editor saved the session's body; when the stored body
+ *                 matches it, it becomes the base (relayed as collabBase)
+ * Only the entry's lock holders join, and never as a GM over the socket
+ * (see relayingUser()).
+ * @param {object}  payload
+ * @param {boolean} relayed  It came over the socket rather than from this client.
+ */
+function serveCollab(payload, relayed) {
+  const { entryId, clientID } = payload;
+  let session = collabSessions.get(entryId);
+
+  switch (payload.action) {
+    case "collabJoin": {
+      const entry = getEntry(entryId);
+      const user  = relayed ? relayingUser(payload.userId) : game.users.get(payload.userId);
+      if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT, user)) return;
+      if (!activeEditors.get(entryId)?.has(user.id)) return;
+      if (!session) {
+        const base = stripSecrets(entry.content ?? "");
+        const doc  = foundry.prosemirror.dom.parseString(base);
+        session    = { doc, version: 0, steps: [], clients: new Map(), base };
+        collabSessions.set(entryId, session);
+      }
+      session.clients.set(clientID, { userId: user.id, userName: user.name });
+      sendCollab({ action: "collabInit", entryId, to: clientID, version: session.version, doc: session.doc.toJSON(), base: session.base });
+      sendCollab({ action: "collabPeers", entryId, peers: collabPeers(session) });
+      break;
+    }
+    case "collabSteps": {
+      if (!session?.clients.has(clientID) || payload.version !== session.version) return;
+      const { Step } = foundry.prosemirror;
+      const schema   = session.doc.type.schema;
+      let doc = session.doc;
+      try {
+        for (const json of payload.steps) {
+          const result = Step.fromJSON(schema, json).apply(doc);
+          if (result.failed) throw new Error(result.failed);
+          doc = result.doc;
+        }
+        // The session is the players' copy: no secret text goes into it.
+        if (hasSecretText(foundry.prosemirror.dom.serializeString(doc.content))) throw new Error("unrevealed secret text");
+      } catch (err) {
+        // The editor's copy has drifted — start it again from the session's.
+        console.warn("Adventurer Wiki | Rejected co-editing steps:", err);
+        sendCollab({ action: "collabInit", entryId, to: clientID, version: session.version, doc: session.doc.toJSON(), base: session.base });
+        return;
+      }
+      const version = session.version;
+      session.doc      = doc;
+      session.version += payload.steps.length;
+      session.steps.push(...payload.steps.map(step => ({ step, clientID })));
+      sendCollab({
+        action:    "collabApplied",
+        entryId,
+        version,
+        steps:     payload.steps,
+        clientIDs: payload.steps.map(() => clientID),
+      });
+      break;
+    }
+    case "collabSync": {
+      if (!session?.clients.has(clientID)) return;
+      if (payload.version > session.version) {
+        sendCollab({ action: "collabInit", entryId, to: clientID, version: session.version, doc: session.doc.toJSON(), base: session.base });
+        return;
+      }
+      const missed = session.steps.slice(payload.version);
+      sendCollab({
+        action:    "collabApplied",
+        entryId,
+        to:        clientID,
+        version:   payload.version,
+        steps:     missed.map(s => s.step),
+        clientIDs: missed.map(s => s.clientID),
+      });
+      break;
+    }
+    case "collabSaved": {
+      // Anything else written in between leaves the base as it was, so the
+      // session's next save meets that write as a conflict.
+      if (!session?.clients.has(clientID)) return;
+      const stored = stripSecrets(getEntry(entryId)?.content ?? "");
+      if (normalizeEditorHtml(stored) !== normalizeEditorHtml(payload.content)) return;
+      session.base = stored;
+      sendCollab({ action: "collabBase", entryId, base: stored });
+      break;
+    }
+    case "collabLeave": {
+      if (!session?.clients.delete(clientID)) return;
+      if (!session.clients.size) collabSessions.delete(entryId);
+      sendCollab({ action: "collabPeers", entryId, peers: collabPeers(session) });
+      break;
+    }
+  }
+}
+
+/** Drop a disconnected user from every session. Active GM only. */
+function dropCollabUser(userId) {
+  for (const [entryId, session] of collabSessions) {
+    const gone = [...session.clients].filter(([, c]) => c.userId === userId).map(([clientID]) => clientID);
+    for (const clientID of gone) serveCollab({ action: "collabLeave", entryId, clientID });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ProseMirror helpers — selection queries and commands for the editor toolbar
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** HTML as the editor would write it, so formatting it normalizes doesn't count as a change. */
+function normalizeEditorHtml(html) {
+  const { dom } = foundry.prosemirror;
+  return dom.serializeString(dom.parseString(html ?? "").content);
+}
+
+function isMarkActive(state, type) {
+  const { from, to, empty, $from } = state.selection;
+  if (empty) return !!type.isInSet(state.storedMarks ?? $from.marks());
+  return state.doc.rangeHasMark(from, to, type);
+}
+
+/** Is the selection's text block of this type (and these attrs)? */
+function isBlockActive(state, type, attrs = {}) {
+  const node = state.selection.$from.parent;
+  return node.type === type && Object.entries(attrs).every(([k, v]) => node.attrs[k] === v);
+}
+
+/** Is the selection anywhere inside a node of this type? */
+function isInNode(state, type) {
+  const { $from } = state.selection;
+  for (let depth = $from.depth; depth > 0; depth--) {
+    if ($from.node(depth).type === type) return true;
+  }
+  return false;
+}
+
+function clearInlineMarks(state, dispatch) {
+  const { from, to, empty } = state.selection;
+  if (empty) return false;
+  if (dispatch) dispatch(state.tr.removeMark(from, to, null).scrollIntoView());
+  return true;
+}
+
+/** Insert a 3×3 table with a header row. */
+function insertTable(state, dispatch) {
+  const { nodes } = state.schema;
+  const row = (cellType) => nodes.table_row.create(null, [0, 1, 2].map(() => cellType.createAndFill()));
+  const table = nodes.table.create(null, [row(nodes.table_header), row(nodes.table_cell), row(nodes.table_cell)]);
+  if (dispatch) dispatch(state.tr.replaceSelectionWith(table).scrollIntoView());
+  return true;
+}
+
+/** Wrap the selection (or a placeholder) in [[ ]] and select the title part. */
+function insertEntryLink(state, dispatch) {
+  const { from, to } = state.selection;
+  const label = state.doc.textBetween(from, to) || "Entry Title";
+  if (dispatch) {
+    const tr = state.tr.insertText(`[[${label}]]`, from, to);
+    tr.setSelection(foundry.prosemirror.TextSelection.create(tr.doc, from + 2, from + 2 + label.length));
+    dispatch(tr.scrollIntoView());
+  }
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WikiEntryEditor — creates / edits wiki entries
+// ─────────────────────────────────────────────────────────────────────────────
+
+class WikiEntryEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id:       "party-wiki-editor-{id}",
+    classes:  ["party-wiki", "party-wiki-editor"],
     window:   { title: "Adventurer Wiki – Edit Entry", resizable: true },
     position: { width: 680, height: 580 },
   };
 
-  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/editor.html` } };
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/editor.html` } };
+
+  /**
+   * One window per entry (see openEntryEditor()); new entries get a window each.
+   * @param {object}       entry    The entry, or a draft without an id.
+   * @param {PartyWikiApp} wikiApp
+   * @param {object}       [options]
+   */
+  constructor(entry, wikiApp, options = {}) {
+    super({ ...(entry?.id ? { id: `party-wiki-editor-${entry.id}` } : {}), ...options });
+    this._entry             = entry;
+    this._wikiApp           = wikiApp;
+    this._pmEditor          = null;
+    this._tags              = [...(entry?.tags ?? [])];
+    this._linkedDocument    = entry?.linkedDocument ?? null;
+    this._objectives        = foundry.utils.deepClone(entry?.quest?.objectives ?? []);
+    this._collab            = null;   // live co-editing state — see _joinCollab()
+    this._lock              = null;   // edit lock: null (none needed), "pending", "held" or "readonly"
+    this._draftKey          = entry?.id ?? `new:${foundry.utils.randomID()}`;
+    this._draftValues       = null;   // a restored draft's values — see _restoreDraft()
+  }
+
+  // ── Context ──────────────────────────────────────────────────────────────
+
+  async _prepareContext(_options) {
+    const entry   = this._formEntry();
+    const cats    = getCategories();
+    const visible = getEntries().filter(e => canAccessEntry(e, ENTRY_PERMISSIONS.VIEW));
+    return {
+      entry,
+      aliases:    (entry.aliases ?? []).join(", "),
+      tags:       this._tags,
+      tagOptions: collectTags(visible),
+      linkedDocument: this._linkedDocument ? describeLinkedDocument(this._linkedDocument) : null,
+      fieldGroups: cats.filter(c => c.fields?.length).map(cat => ({
+        catId:  cat.id,
+        active: cat.id === entry.category,
+        fields: cat.fields.map(f => this._prepareFieldInput(f, visible)),
+      })),
+      sessionCats:  cats.filter(isSessionCategory).map(c => c.id).join(","),
+      isSessionLog: isSessionCategory(cats.find(c => c.id === entry.category)),
+      questCats:    cats.filter(isQuestCategory).map(c => c.id).join(","),
+      isQuestLog:   isQuestCategory(cats.find(c => c.id === entry.category)),
+      quest:        this._prepareQuestInputs(visible),
+      categories: cats,
+      isNew:      !entry.id,
+      isGM:       game.user.isGM,
+    };
+  }
+
+  // ── Render lifecycle ─────────────────────────────────────────────────────
+
+  async _onRender(context, options) {
+    const el = this.element;
+    activeEditorApp = this;
+
+    if (!this._hasOpened) {
+      this._hasOpened = true;
+      (this.bringToFront ?? this.bringToTop)?.call(this);
+    }
+
+    // ── ProseMirror editor ───────────
+    // The element the editor is mounted in is carried over on re-render, so
+    // the view — and with it the undo history — survives.
+    const editorDiv = el.querySelector(".wiki-rich-editor");
+    if (this._pmMount) editorDiv?.replaceWith(this._pmMount);
+    else if (editorDiv) {
+      await this._createProseMirror(editorDiv);
+      // Reloaded after waiting for the lock (see _onLockRegained()): it's ours already.
+      if (this._lock === "held") this._joinCollab();
+      else this._acquireLock();
+    }
+
+    this._activateToolbar(el);
+    this._activateTagInput(el);
+    this._activateLinkedDocument(el);
+    this._activateObjectives(el);
+
+    // Only the chosen category's fields are shown (and saved).
+    el.querySelector('select[name="category"]')?.addEventListener("change", (e) => {
+      for (const group of el.querySelectorAll(".wiki-fields")) group.hidden = group.dataset.cat !== e.target.value;
+      for (const group of el.querySelectorAll(".wiki-session-fields, .wiki-quest-fields")) {
+        group.hidden = !group.dataset.cats.split(",").includes(e.target.value);
+      }
+    });
+
+    // ── One-time field setup ─────────
+    if (!this._editorReady) {
+      this._editorReady = true;
+
+      // ── GM-only fields ───────────────
+      if (game.user.isGM) {
+        const gmNotesEl = el.querySelector(".wiki-gm-notes-input");
+        if (gmNotesEl && !this._gmNotesReady) {
+          this._gmNotesReady = true;
+          gmNotesEl.value = this._formEntry().gmNotes ?? "";
+        }
+
+        const hiddenEl = el.querySelector(".wiki-hidden-checkbox");
+        if (hiddenEl) hiddenEl.checked = this._formEntry().hidden ?? false;
+      }
+    }
+
+    // ── Drafts ───────────────────────
+    // The form as opened, to tell unsaved changes by (see _saveDraft()).
+    if (!this._openValues) this._openValues = JSON.stringify(this._readForm());
+    if (!this._draftTimer) this._draftTimer = setInterval(() => this._saveDraft(), DRAFT_INTERVAL_MS);
+
+    // ── Form submission wiring ───────
+    el.querySelector("form")?.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      await this._handleSave(el.querySelector("form"));
+    });
+
+    el.querySelector(".wiki-btn-save")?.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await this._handleSave(el.querySelector("form"));
+    });
+
+    this._applyLockState();
+  }
+
+  // ── Category fields ──────────────────────────────────────────────────────
+
+  /**
+   * Template data for one field input. Dropdown, entry-link and actor-link
+   * fields get a choice list; a stored value that isn't among the choices
+   * (an entry or actor this user can't see) is kept as an extra choice so
+   * saving doesn't clear it.
+   */
+  _prepareFieldInput(field, entries) {
+    const value = this._formEntry().fields?.[field.id] ?? "";
+    const input = { id: field.id, label: field.label, isNumber: field.type === "number", value };
+    if (field.type === "text" || field.type === "number") return input;
+
+    const byLabel = (a, b) => a.label.localeCompare(b.label);
+    let choices;
+    if (field.type === "select") {
+      choices = (field.options ?? []).map(o => ({ value: o, label: o }));
+    } else if (field.type === "entry") {
+      choices = entries.filter(e => e.id !== this._entry?.id).map(e => ({ value: e.id, label: e.title })).sort(byLabel);
+    } else {
+      choices = game.actors.filter(a => a.visible).map(a => ({ value: a.uuid, label: a.name })).sort(byLabel);
+    }
+    if (value && !choices.some(c => c.value === value)) {
+      choices.unshift({ value, label: formatFieldValue(field, value, entries) || "(unavailable)" });
+    }
+    return { ...input, isChoice: true, choices: choices.map(c => ({ ...c, selected: c.value === value })) };
+  }
+
+  /**
+   * The session number and date, for a session-log category only; other
+   * categories leave an entry's session untouched.
+   * @returns {{number: number|null, date: string|null}|null}
+   */
+  _readSession(fd, category) {
+    if (!isSessionCategory(getCategories().find(c => c.id === category))) return null;
+    const number = Number.parseInt(fd.get("sessionNumber"));
+    return {
+      number: number > 0 ? number : null,
+      date:   fd.get("sessionDate") || null,
+    };
+  }
+
+  /**
+   * The quest details, for a quest-log category only; other categories leave
+   * an entry's quest untouched. Objectives without text are dropped.
+   * @returns {object|null}
+   */
+  _readQuest(fd, category) {
+    if (!isQuestCategory(getCategories().find(c => c.id === category))) return null;
+    return {
+      status:     fd.get("questStatus") || QUEST_STATUSES[0].id,
+      giver:      fd.get("questGiver") || null,
+      location:   fd.get("questLocation") || null,
+      rewards:    fd.get("questRewards")?.trim() ?? "",
+      objectives: this._objectives
+        .filter(o => o.text.trim())
+        .map(o => ({ id: o.id, text: o.text.trim(), done: !!o.done, hidden: game.user.isGM && !!o.hidden })),
+    };
+  }
+
+  /** The field values entered for a category; empty fields are left out. */
+  _readFields(category) {
+    const fields = {};
+    const group  = this.element?.querySelector(`.wiki-fields[data-cat="${category}"]`);
+    for (const field of getCategoryFields(category)) {
+      const raw = group?.querySelector(`[data-field="${field.id}"]`)?.value.trim() ?? "";
+      if (!raw) continue;
+      if (field.type !== "number") fields[field.id] = raw;
+      else if (Number.isFinite(Number(raw))) fields[field.id] = Number(raw);
+    }
+    return fields;
+  }
+
+  // ── Tags ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Wire the tag input: Enter or comma adds the typed tag, picking a
+   * suggestion adds it straight away, Backspace on an empty input removes the
+   * last tag, and each chip's × removes that tag.
+   * @param {HTMLElement} el
+   */
+  _activateTagInput(el) {
+    const input = el.querySelector(".wiki-tag-input");
+    if (!input) return;
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === ",") {
+        e.preventDefault();
+        this._addTag(input);
+      } else if (e.key === "Backspace" && !input.value && this._tags.length) {
+        this._tags.pop();
+        this._renderTagChips();
+      }
+    });
+
+    // Choosing a datalist option fires input without a typing inputType.
+    input.addEventListener("input", (e) => {
+      if (e.inputType && e.inputType !== "insertReplacementText") return;
+      this._addTag(input);
+    });
+
+    el.querySelector(".wiki-tag-chips")?.addEventListener("click", (e) => {
+      const btn = e.target.closest(".wiki-tag-remove");
+      if (!btn) return;
+      this._tags = this._tags.filter(t => t !== btn.dataset.tag);
+      this._renderTagChips();
+    });
+  }
+
+  /** Move the tag input's text onto the tag list. */
+  _addTag(input) {
+    const tags = parseTags([...this._tags, input.value].join(","));
+    input.value = "";
+    if (tags.length === this._tags.length) return;
+    this._tags = tags;
+    this._renderTagChips();
+  }
+
+  _renderTagChips() {
+    const chips = this.element?.querySelector(".wiki-tag-chips");
+    if (!chips) return;
+    const { escapeHTML } = foundry.utils;
+    chips.innerHTML = this._tags.map(t =>
+      `<span class="wiki-tag-chip">${escapeHTML(t)}` +
+      `<button type="button" class="wiki-tag-remove" data-tag="${escapeHTML(t)}" title="Remove tag">×</button></span>`
+    ).join("");
+  }
+
+  // ── Quest ────────────────────────────────────────────────────────────────
+
+  /**
+   * Template data for the quest inputs. Giver and location list the entries
+   * this user can view; a stored one outside that list is kept as a choice.
+   */
+  _prepareQuestInputs(entries) {
+    const quest   = this._formEntry().quest ?? {};
+    const status  = getQuestStatus(this._formEntry()).id;
+    const choices = (value) => {
+      const list = entries
+        .filter(e => e.id !== this._entry?.id)
+        .map(e => ({ value: e.id, label: e.title }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+      if (value && !list.some(c => c.value === value)) list.unshift({ value, label: "(unavailable)" });
+      return list.map(c => ({ ...c, selected: c.value === value }));
+    };
+    return {
+      statusOptions:   QUEST_STATUSES.map(s => ({ ...s, selected: s.id === status })),
+      giverChoices:    choices(quest.giver),
+      locationChoices: choices(quest.location),
+      rewards:         quest.rewards ?? "",
+    };
+  }
+
+  /** The objectives checklist: rows edit `_objectives` in place. */
+  _activateObjectives(el) {
+    const list = el.querySelector(".wiki-objective-list");
+    if (!list) return;
+    this._renderObjectives();
+
+    const objectiveFor = (target) => this._objectives.find(o => o.id === target.closest(".wiki-objective-row")?.dataset.id);
+    list.addEventListener("input", (e) => {
+      const objective = objectiveFor(e.target);
+      if (!objective) return;
+      if (e.target.matches(".wiki-objective-text"))   objective.text   = e.target.value;
+      if (e.target.matches(".wiki-objective-done"))   objective.done   = e.target.checked;
+      if (e.target.matches(".wiki-objective-hidden")) objective.hidden = e.target.checked;
+    });
+    list.addEventListener("click", (e) => {
+      if (!e.target.closest(".wiki-objective-remove")) return;
+      const objective = objectiveFor(e.target);
+      this._objectives = this._objectives.filter(o => o !== objective);
+      this._renderObjectives();
+    });
+    el.querySelector(".wiki-objective-add")?.addEventListener("click", () => {
+      this._objectives.push({ id: generateId(), text: "", done: false, hidden: false });
+      this._renderObjectives();
+      list.querySelector(".wiki-objective-row:last-child .wiki-objective-text")?.focus();
+    });
+  }
+
+  _renderObjectives() {
+    const list = this.element?.querySelector(".wiki-objective-list");
+    if (!list) return;
+    const { escapeHTML } = foundry.utils;
+    list.innerHTML = this._objectives.map(o =>
+      `<div class="wiki-objective-row" data-id="${o.id}">` +
+      `<input type="checkbox" class="wiki-objective-done" title="Done" ${o.done ? "checked" : ""}>` +
+      `<input type="text" class="wiki-objective-text" value="${escapeHTML(o.text)}" placeholder="Objective…">` +
+      (game.user.isGM
+        ? `<label class="wiki-objective-hidden-label" title="Hide this objective from players">` +
+          `<input type="checkbox" class="wiki-objective-hidden" ${o.hidden ? "checked" : ""}><i class="fas fa-eye-slash"></i></label>`
+        : "") +
+      `<button type="button" class="wiki-objective-remove" title="Remove objective">×</button>` +
+      `</div>`
+    ).join("");
+  }
+
+  // ── Linked document ──────────────────────────────────────────────────────
+
+  /** Dropping a document on the "Linked document" box links it; × unlinks. */
+  _activateLinkedDocument(el) {
+    const zone = el.querySelector(".wiki-linked-doc");
+    if (!zone) return;
+
+    zone.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      zone.classList.add("wiki-drop-target");
+    });
+    zone.addEventListener("dragleave", () => zone.classList.remove("wiki-drop-target"));
+    zone.addEventListener("drop", (e) => {
+      e.preventDefault();
+      zone.classList.remove("wiki-drop-target");
+      if (!this._canWrite()) return;
+      const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(e);
+      if (!LINKABLE_DOCUMENTS.includes(data.type) || !data.uuid) {
+        ui.notifications.warn(`Adventurer Wiki: Only ${LINKABLE_DOCUMENTS.join(", ")} documents can be linked.`);
+        return;
+      }
+      this._linkedDocument = data.uuid;
+      this._renderLinkedDocument();
+    });
+    zone.querySelector(".wiki-linked-doc-clear")?.addEventListener("click", () => {
+      this._linkedDocument = null;
+      this._renderLinkedDocument();
+    });
+  }
+
+  _renderLinkedDocument() {
+    const name  = this.element?.querySelector(".wiki-linked-doc-name");
+    const clear = this.element?.querySelector(".wiki-linked-doc-clear");
+    if (!name) return;
+    const { escapeHTML } = foundry.utils;
+    const doc = this._linkedDocument ? describeLinkedDocument(this._linkedDocument) : null;
+    name.innerHTML = doc
+      ? `<i class="${doc.icon}"></i> ${escapeHTML(doc.name)}`
+      : "<em>Drop an actor, item, scene or journal here…</em>";
+    if (clear) clear.hidden = !doc;
+  }
+
+  // ── ProseMirror ──────────────────────────────────────────────────────────
+
+  /**
+   * Mount Foundry's ProseMirror editor in the given element. The wiki toolbar
+   * replaces Foundry's own editor menu; everything else (history, key maps,
+   * input rules, table editing, paste handling) is Foundry's default set.
+   * @param {HTMLElement} target
+   */
+  async _createProseMirror(target) {
+    this._pmMount = target;
+
+    // Capture phase so Ctrl+Enter saves before the key maps see it.
+    target.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        e.stopPropagation();
+        this._handleSave(this.element?.querySelector("form"));
+      }
+    }, true);
+
+    // Also capture phase, so the drop is handled before ProseMirror's own.
+    target.addEventListener("drop", (e) => this._onDropIntoEditor(e), true);
+
+    const toolbarSync = new foundry.prosemirror.Plugin({
+      view: () => ({ update: (view, prev) => {
+        this._syncToolbar(view.state);
+        this._onCollabUpdate(view, prev);
+      } }),
+    });
+
+    this._pmEditor = await foundry.applications.ux.ProseMirrorEditor.create(target, this._entry?.content ?? "", {
+      plugins: { menu: toolbarSync },
+    });
+    this._syncToolbar(this._pmEditor.view.state);
+  }
+
+  /**
+   * Dropping a document from the sidebar directories inserts a content link
+   * (`@UUID[…]{Name}`) where it lands; dropping an entry from the wiki's own
+   * sidebar inserts a `[[Title]]` link. Anything else is left to ProseMirror.
+   */
+  _onDropIntoEditor(e) {
+    const view = this._pmEditor?.view;
+    if (!view || !this._canWrite()) return;
+    const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(e);
+
+    let text;
+    if (data.type === "AdventurerWikiEntry") {
+      const entry = getEntry(data.id);
+      if (!entry) return;
+      text = `[[${entry.title}]]`;
+    } else if (LINKABLE_DOCUMENTS.includes(data.type) && data.uuid) {
+      // Brackets and braces in the name would end the link syntax early.
+      text = `@UUID[${data.uuid}]{${describeLinkedDocument(data.uuid).name.replace(/[[\]{}]/g, "")}}`;
+    } else return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    const pos = view.posAtCoords({ left: e.clientX, top: e.clientY })?.pos ?? view.state.selection.from;
+    view.dispatch(view.state.tr.insertText(text, pos));
+    view.focus();
+  }
+
+  /** The editor's current content as HTML. */
+  _getContent() {
+    const view = this._pmEditor?.view;
+    if (!view) return this._entry?.content ?? "";
+    return foundry.prosemirror.dom.serializeString(view.state.doc.content);
+  }
+
+  /** Replace the whole document as one undoable step. */
+  _setContent(html) {
+    const view = this._pmEditor?.view;
+    if (!view) return;
+    const doc = foundry.prosemirror.dom.parseString(html ?? "");
+    view.dispatch(view.state.tr.replaceWith(0, view.state.doc.content.size, doc.content));
+  }
+
+  /** Insert an HTML snippet at the cursor, replacing any selection. */
+  _insertHtml(html) {
+    const view = this._pmEditor?.view;
+    if (!view) return;
+    const wrap = document.createElement("div");
+    wrap.innerHTML = html;
+    const slice = foundry.prosemirror.DOMParser.fromSchema(view.state.schema).parseSlice(wrap);
+    view.dispatch(view.state.tr.replaceSelection(slice).scrollIntoView());
+    view.focus();
+  }
+
+  /**
+   * Run a key binding through the editor's key maps. Used for undo/redo, whose
+   * history commands Foundry does not export.
+   * @param {string} key
+   * @param {boolean} [shift=false]
+   */
+  _pressKey(key, shift = false) {
+    const view = this._pmEditor?.view;
+    if (!view) return;
+    const mac   = /Mac|iP(hone|[oa]d)/.test(navigator.platform);
+    const event = new KeyboardEvent("keydown", { key, shiftKey: shift, ctrlKey: !mac, metaKey: mac });
+    view.focus();
+    view.someProp("handleKeyDown", f => f(view, event));
+  }
+
+  /**
+   * The ProseMirror command behind a toolbar button, or null.
+   * @param {string} cmd
+   * @param {string} [value]
+   * @returns {Function|null}  (state, dispatch?) => boolean
+   */
+  _toolbarCommand(cmd, value) {
+    const { commands, list, tables, defaultSchema } = foundry.prosemirror;
+    const { nodes, marks } = defaultSchema;
+
+    const liftItem   = commands.chainCommands(list.liftListItem(nodes.list_item), list.liftListItem(nodes.list_item_text));
+    const toggleList = (type) => (state, dispatch) =>
+      isInNode(state, type) ? liftItem(state, dispatch) : list.wrapInList(type)(state, dispatch);
+    const toggleBlock = (type, attrs) => (state, dispatch) =>
+      isBlockActive(state, type, attrs)
+        ? commands.setBlockType(nodes.paragraph)(state, dispatch)
+        : commands.setBlockType(type, attrs)(state, dispatch);
+
+    switch (cmd) {
+      case "bold":         return commands.toggleMark(marks.strong);
+      case "italic":       return commands.toggleMark(marks.em);
+      case "underline":    return commands.toggleMark(marks.underline);
+      case "strike":       return commands.toggleMark(marks.strikethrough);
+      case "bulletList":   return toggleList(nodes.bullet_list);
+      case "orderedList":  return toggleList(nodes.ordered_list);
+      case "indent":       return commands.chainCommands(list.sinkListItem(nodes.list_item), list.sinkListItem(nodes.list_item_text));
+      case "outdent":      return liftItem;
+      case "clear":        return clearInlineMarks;
+      case "paragraph":    return commands.setBlockType(nodes.paragraph);
+      case "heading":      return toggleBlock(nodes.heading, { level: Number(value) });
+      case "codeBlock":    return toggleBlock(nodes.code_block);
+      case "blockquote":   return (state, dispatch) =>
+        isInNode(state, nodes.blockquote) ? commands.lift(state, dispatch) : commands.wrapIn(nodes.blockquote)(state, dispatch);
+      case "table":        return insertTable;
+      case "addRow":       return tables.addRowAfter;
+      case "addColumn":    return tables.addColumnAfter;
+      case "deleteRow":    return tables.deleteRow;
+      case "deleteColumn": return tables.deleteColumn;
+      case "entryLink":    return insertEntryLink;
+      // Everyone in a shared session would see a secret as it's written.
+      case "secret":       return this._collab ? () => false : (state, dispatch) =>
+        isInNode(state, nodes.secret)
+          ? commands.lift(state, dispatch)
+          : commands.wrapIn(nodes.secret, { id: `secret-${foundry.utils.randomID()}` })(state, dispatch);
+      default:             return null;
+    }
+  }
+
+  /** Mark toolbar buttons active / unavailable for the current selection. */
+  _syncToolbar(state) {
+    const { nodes, marks } = foundry.prosemirror.defaultSchema;
+    const active = {
+      bold:        () => isMarkActive(state, marks.strong),
+      italic:      () => isMarkActive(state, marks.em),
+      underline:   () => isMarkActive(state, marks.underline),
+      strike:      () => isMarkActive(state, marks.strikethrough),
+      bulletList:  () => isInNode(state, nodes.bullet_list),
+      orderedList: () => isInNode(state, nodes.ordered_list),
+      blockquote:  () => isInNode(state, nodes.blockquote),
+      codeBlock:   () => isBlockActive(state, nodes.code_block),
+      paragraph:   () => isBlockActive(state, nodes.paragraph),
+      heading:     (level) => isBlockActive(state, nodes.heading, { level: Number(level) }),
+      secret:      () => isInNode(state, nodes.secret),
+    };
+
+    this.element?.querySelectorAll(".wiki-toolbar-btn[data-cmd]").forEach(btn => {
+      const { cmd, value } = btn.dataset;
+      btn.classList.toggle("active", !!active[cmd]?.(value));
+      const command = this._toolbarCommand(cmd, value);
+      if (command) btn.disabled = !this._canWrite() || !command(state);
+    });
+  }
+
+  /** Wire the (freshly rendered) toolbar to the editor. */
+  _activateToolbar(el) {
+    // mousedown + preventDefault keeps focus, and the selection, in the editor.
+    el.querySelectorAll(".wiki-toolbar-btn[data-cmd]").forEach(btn => {
+      btn.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        const view = this._pmEditor?.view;
+        if (!view) return;
+        const { cmd, value } = btn.dataset;
+        if (cmd === "undo") return this._pressKey("z");
+        if (cmd === "redo") return this._pressKey("z", true);
+        this._toolbarCommand(cmd, value)?.(view.state, view.dispatch);
+        view.focus();
+      });
+    });
+
+    // ── Image upload button ───────────────────────────────────────────
+    el.querySelector(".wiki-toolbar-btn-image")?.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      if (!game.user.can("FILES_UPLOAD")) {
+        ui.notifications.warn(
+          "Adventurer Wiki: You need file upload permissions to insert images. " +
+          "Ask your GM to enable this in world settings."
+        );
+        return;
+      }
+
+      // Resolve FilePicker — global deprecated in v13, removed in v15
+      const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+
+      // The editor state keeps its selection while the picker has focus.
+      new FP({
+        type: "image",
+        callback: (path) => {
+          this._insertHtml(`<img src="${path}" class="wiki-inserted-image" alt="">`);
+        },
+      }).render(true);
+    });
+
+    // ── Doodle button ─────────────────────────────────────────────────
+    el.querySelector(".wiki-toolbar-btn-doodle")?.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      if (!game.user.can("FILES_UPLOAD")) {
+        ui.notifications.warn(
+          "Adventurer Wiki: You need file upload permissions to insert doodles. " +
+          "Ask your GM to enable this in world settings."
+        );
+        return;
+      }
+      new WikiDoodleEditor((html) => this._insertHtml(html)).render(true);
+    });
+
+    if (this._pmEditor) this._syncToolbar(this._pmEditor.view.state);
+  }
+
+  // ── Save logic ───────────────────────────────────────────────────────────
+
+  /**
+   * Everything the form holds, as it would be saved — what _handleSave()
+   * writes and what a draft snapshots. GM-only values are undefined for players.
+   * @param {HTMLFormElement} [form]
+   * @returns {object}
+   */
+  _readForm(form = this.element?.querySelector("form")) {
+    const fd        = new FormData(form);
+    const title     = fd.get("title")?.trim();
+    const category  = fd.get("category");
+    const gmNotesEl = this.element?.querySelector(".wiki-gm-notes-input");
+    const hiddenEl  = this.element?.querySelector(".wiki-hidden-checkbox");
+    return {
+      title,
+      aliases:        parseAliases(fd.get("aliases"), title ?? ""),
+      category,
+      tags:           [...this._tags],
+      fields:         this._readFields(category),
+      linkedDocument: this._linkedDocument,
+      session:        this._readSession(fd, category),
+      quest:          this._readQuest(fd, category),
+      content:        this._getContent(),
+      gmNotes:        game.user.isGM ? (gmNotesEl?.value ?? this._entry?.gmNotes ?? "") : undefined,
+      hidden:         game.user.isGM ? (hiddenEl?.checked ?? false) : undefined,
+    };
+  }
+
+  async _handleSave(form) {
+    if (!this._canWrite()) return;
+    const tagInput = this.element?.querySelector(".wiki-tag-input");
+    if (tagInput?.value.trim()) this._addTag(tagInput);     // typed but not yet added
+    const { title, aliases, category, tags, fields, session, quest, content, gmNotes, hidden } = this._readForm(form);
+
+    if (!title) {
+      ui.notifications.warn("Please enter a title for the entry.");
+      return;
+    }
+
+    const now = Date.now();
+    let saved;
+
+    if (this._entry?.id) {
+      // ── Update existing entry ────────
+      // Only the editor's own fields are sent, so comments and flags changed
+      // by others while this editor was open are left alone. The guard lets
+      // the GM reject the save if someone else changed these same fields.
+      const changes = {
+        title,
+        aliases,
+        category,
+        tags,
+        fields,
+        linkedDocument: this._linkedDocument,
+        ...(session ? { session } : {}),
+        ...(quest ? { quest } : {}),
+        content,
+        updatedAt:     now,
+        updatedBy:     game.user.name,
+        pendingDelete: false,
+        ...(game.user.isGM ? { gmNotes, hidden } : {}),
+      };
+      saved = await updateEntry(this._entry.id, changes, this._saveGuard(changes));
+
+      // Someone saved meanwhile: merge when the edits don't overlap, and
+      // only ask when they do.
+      const current = saved.conflicts[0]?.current;
+      const merged  = current ? this._mergeChanges(current, changes) : null;
+      if (merged) {
+        this._rebase(current);
+        saved = await updateEntry(this._entry.id, merged, this._saveGuard(merged));
+        if (saved.ok) {
+          ui.notifications.info(`Adventurer Wiki: Merged your changes with ${current.updatedBy ?? "someone else"}'s.`);
+        }
+      }
+      if (!saved.ok && saved.conflicts.length) {
+        await this._resolveConflict(saved.conflicts[0].current, merged ?? changes);
+        return;
+      }
+      // The rest of the session carries on from what was just saved.
+      if (saved.ok && this._collab?.live) {
+        sendCollab({ action: "collabSaved", entryId: this._entry.id, clientID: this._collab.clientID, content: (merged ?? changes).content });
+      }
+    } else {
+      // ── Create new entry ─────────────
+      saved = await createEntry({
+        id:            generateId(),
+        title,
+        aliases,
+        category,
+        tags,
+        fields,
+        linkedDocument: this._linkedDocument,
+        ...(session ? { session } : {}),
+        ...(quest ? { quest } : {}),
+        content,
+        parentId:      this._entry?.parentId ?? null,
+        createdAt:     now,
+        updatedAt:     now,
+        createdBy:     game.user.name,
+        updatedBy:     game.user.name,
+        createdById:   game.user.id,
+        pendingDelete: false,
+        hidden:        hidden ?? false,
+        comments:      [],
+        ...(game.user.isGM ? { gmNotes } : {}),
+      });
+    }
+
+    if (!saved.ok) return;
+
+    // Saved (or queued): the draft has done its job.
+    this._saved = true;
+    await setDraft(this._draftKey, null);
+
+    // Saved over a reviewed outbox conflict: the queued change is settled.
+    if (this._outboxItemId) {
+      await removeOutboxItem(this._outboxItemId);
+      this._outboxItemId = null;
+    }
+
+    const oldTitle = this._entry?.id ? this._entry.title : null;
+
+    this._wikiApp.render();
+    this.close();
+
+    if (oldTitle && oldTitle !== title) await this._offerLinkRewrite(this._entry.id, oldTitle, title);
+  }
+
+  /**
+   * After a rename, offer to point every [[Old Title]] link at the new title.
+   * Skipped when another entry still answers to the old title.
+   * @param {string} entryId
+   * @param {string} oldTitle
+   * @param {string} newTitle
+   */
+  async _offerLinkRewrite(entryId, oldTitle, newTitle) {
+    const entries = getEntries();
+    if (resolveEntryLinks(oldTitle, entries.filter(e => e.id !== entryId)).length) return;
+
+    const sources = entries
+      .map(e => ({ entry: e, content: rewriteEntryLinks(e.content, oldTitle, newTitle) }))
+      .filter(({ entry, content }) => entry.id !== entryId && content !== entry.content);
+    if (!sources.length) return;
+
+    const editable = sources.filter(({ entry }) => canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT));
+    const skipped  = sources.length - editable.length;
+    const { escapeHTML } = foundry.utils;
+
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window:  { title: "Update Links" },
+      content: `<p>${sources.length} entr${sources.length === 1 ? "y links" : "ies link"} to ` +
+               `<strong>[[${escapeHTML(oldTitle)}]]</strong>. Rewrite ${editable.length === sources.length ? "them" : `the ${editable.length} you can edit`} ` +
+               `to <strong>[[${escapeHTML(newTitle)}]]</strong>?</p>` +
+               (skipped ? `<p><em>${skipped} you can't edit will keep the old link.</em></p>` : ""),
+    });
+    if (!ok || !editable.length) return;
+
+    const now = Date.now();
+    const { ok: saved, conflicts } = await commitEntryOps(editable.map(({ entry, content }) => ({
+      type:    "update",
+      id:      entry.id,
+      changes: { content, updatedAt: now, updatedBy: game.user.name },
+      baseRev: entry.rev ?? 0,
+      base:    { content: entry.content ?? null },
+    })));
+
+    const updated = editable.length - conflicts.length;
+    if (updated) ui.notifications.info(`Adventurer Wiki: Updated links in ${updated} entr${updated === 1 ? "y" : "ies"}.`);
+    if (!saved && conflicts.length) {
+      ui.notifications.warn(
+        `Adventurer Wiki: ${conflicts.length} entr${conflicts.length === 1 ? "y was" : "ies were"} changed by someone else ` +
+        "and kept the old link."
+      );
+    }
+  }
+
+  // ── Conflict handling ────────────────────────────────────────────────────
+
+  /**
+   * Stale-write guard for an update: the revision this editor started from
+   * plus its original values of the guarded fields being changed.
+   */
+  _saveGuard(changes) {
+    // In a live session the body is shared: check it against the session's
+    // base — the body it last matched in storage — rather than what this
+    // editor opened with.
+    const base = {};
+    for (const key of GUARDED_FIELDS) {
+      if (key in changes) base[key] = (key === "content" && this._collab?.live ? this._collab.base : this._entry[key]) ?? null;
+    }
+    return { baseRev: this._entry.rev ?? 0, base };
+  }
+
+  /** Carry on from the entry as stored now, after merging with it or choosing to overwrite it. */
+  _rebase(current) {
+    this._entry = current;
+    if (this._collab?.live) this._collab.base = current.content;
+  }
+
+  /**
+   * Merge this editor's changes with a version saved since it opened: each
+   * field takes whichever side changed it, and a body both sides changed is
+   * merged block by block (mergeHtml()).
+   * @param {object} current  The entry as now stored.
+   * @param {object} mine     The changes this editor tried to save.
+   * @returns {object|null}  The merged changes, or null when they conflict.
+   */
+  _mergeChanges(current, mine) {
+    const body   = this._collab?.live ? this._collab.base : this._entry.content;
+    const base   = { ...this._entry, content: normalizeEditorHtml(body) };
+    const theirs = { ...current, content: normalizeEditorHtml(current.content) };
+    const merged = { ...mine };
+
+    for (const key of GUARDED_FIELDS) {
+      if (!(key in mine) || sameFieldValue(theirs[key], base[key]) || sameFieldValue(theirs[key], mine[key])) continue;
+      if (sameFieldValue(mine[key], base[key])) {
+        merged[key] = current[key] ?? null;
+        continue;
+      }
+      if (key !== "content") return null;
+      merged.content = mergeHtml(base.content, theirs.content, mine.content);
+      if (merged.content === null) return null;
+    }
+    return merged;
+  }
+
+  /**
+   * Someone saved this entry after the editor opened. Show both versions and
+   * let the user overwrite, merge by hand, or keep editing.
+   * @param {object} current  The entry as it is now stored.
+   * @param {object} mine     The changes this editor tried to save.
+   */
+  async _resolveConflict(current, mine) {
+    const { escapeHTML } = foundry.utils;
+    const when = current.updatedAt ? new Date(current.updatedAt).toLocaleString() : "";
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window:  { title: "Edit Conflict" },
+      classes: ["party-wiki", "party-wiki-conflict"],
+      position: { width: 720 },
+      content: `
+        <p class="wiki-conflict-intro">
+          <i class="fas fa-code-merge"></i>
+          <strong>${escapeHTML(current.updatedBy ?? "Someone")}</strong> changed this entry
+          while you were editing${when ? ` (${when})` : ""}. Review both versions before saving.
+        </p>
+        <div class="wiki-conflict-columns">
+          <div class="wiki-conflict-col">
+            <div class="wiki-conflict-col-header">Their version — ${escapeHTML(current.title ?? "")}</div>
+            <div class="wiki-conflict-body">${current.content ?? ""}</div>
+          </div>
+          <div class="wiki-conflict-col">
+            <div class="wiki-conflict-col-header">Your version — ${escapeHTML(mine.title ?? "")}</div>
+            <div class="wiki-conflict-body">${mine.content ?? ""}</div>
+          </div>
+        </div>`,
+      buttons: [
+        { action: "merge",     label: "Review & Merge",      icon: "fas fa-code-merge", default: true },
+        { action: "overwrite", label: "Overwrite with Mine", icon: "fas fa-floppy-disk" },
+        { action: "cancel",    label: "Keep Editing",        icon: "fas fa-pen" },
+      ],
+      rejectClose: false,
+    });
+
+    if (choice === "overwrite") {
+      this._rebase(current);
+      await this._handleSave(this.element?.querySelector("form"));
+      return;
+    }
+
+    if (choice === "merge") {
+      this._rebase(current);
+      this._setContent(current.content ?? "");
+      this._showMergePanel(mine.content ?? "");
+    }
+  }
+
+  /**
+   * Show the user's rejected version above the editor so they can copy from
+   * it while the editor holds the current stored version.
+   */
+  _showMergePanel(html) {
+    const panel = this.element?.querySelector(".wiki-merge-panel");
+    if (!panel) return;
+    panel.querySelector(".wiki-merge-panel-body").innerHTML = html;
+    panel.hidden = false;
+    panel.querySelector(".wiki-merge-panel-dismiss")?.addEventListener("click", () => {
+      panel.hidden = true;
+    }, { once: true });
+  }
+
+  // ── Live co-editing ──────────────────────────────────────────────────────
+
+  /** Ask the authority to join the entry's shared session (see serveCollab()). */
+  _joinCollab() {
+    if (this._collab || !this._entry?.id) return;
+    if (!joinsCollab(this._entry) || this._holdsSecrets()) {
+      this._editingAlone = !game.users.activeGM
+        || [...(activeEditors.get(this._entry.id)?.keys() ?? [])].some(id => id !== game.user.id);
+      return;
+    }
+    this._collab = {
+      clientID:    `${game.user.id}.${foundry.utils.randomID(8)}`,
+      authorityId: game.users.activeGM.id,
+      live:        false,   // true once collabInit has arrived
+      inflight:    false,   // steps sent and not yet answered
+      peers:       [],
+    };
+    this._sendCursor = foundry.utils.debounce(() => this._broadcastCursor(), 100);
+    sendCollab({
+      action:   "collabJoin",
+      entryId:  this._entry.id,
+      clientID: this._collab.clientID,
+      userId:   game.user.id,
+    });
+  }
+
+  /** Does a GM's editor hold unrevealed secret text the players' session mustn't get? */
+  _holdsSecrets() {
+    return game.user.isGM && !!this._pmEditor && hasSecretText(this._getContent());
+  }
+
+  _leaveCollab() {
+    if (!this._collab) return;
+    if (this._collab.live) sendCollab({ action: "collabLeave", entryId: this._entry.id, clientID: this._collab.clientID });
+    this._collab = null;
+    this._cursorLayer?.remove();
+    this._cursorLayer = null;
+  }
+
+  /** The authority left: carry on alone, merging on save. */
+  _onUserDisconnected(user) {
+    if (!this._collab) return;
+    if (user.id === this._collab.authorityId) {
+      this._leaveCollab();
+      this._editingAlone = true;
+      ui.notifications.warn("Adventurer Wiki: The GM left, so live editing stopped. Your changes will merge when you save.");
+      this._renderCollabBar();
+      if (this._pmEditor) this._syncToolbar(this._pmEditor.view.state);
+    }
+  }
+
+  /** Handle a session message for this editor's entry. */
+  _onCollabMessage(payload) {
+    const collab = this._collab;
+    const view   = this._pmEditor?.view;
+    if (!collab || !view || (payload.to && payload.to !== collab.clientID)) return;
+
+    switch (payload.action) {
+      case "collabInit":     return this._onCollabInit(payload);
+      case "collabApplied":  return this._onCollabApplied(payload);
+      case "collabBase":     collab.base = payload.base; return;
+      case "collabPeers": {
+        collab.peers = payload.peers.filter(p => p.clientID !== collab.clientID);
+        if (collab.live) view.dispatch(view.state.tr.setMeta(this._cursorPlugin, { keep: collab.peers.map(p => p.clientID) }));
+        this._renderCollabBar();
+        return;
+      }
+      case "collabCursor": {
+        if (!collab.live || payload.clientID === collab.clientID) return;
+        view.dispatch(view.state.tr.setMeta(this._cursorPlugin, {
+          set: [payload.clientID, { userId: payload.userId, head: payload.head }],
+        }));
+        return;
+      }
+    }
+  }
+
+  /** Start from the session's document and version, with the collab plugins added. */
+  _onCollabInit({ version, doc, base }) {
+    const view = this._pmEditor.view;
+    const { EditorState, Plugin, collab } = foundry.prosemirror;
+    const plugins = view.state.plugins.filter(p => p !== this._cursorPlugin && !p.key.startsWith("collab$"));
+
+    // Other editors' cursors (clientID → { userId, head }), moved along
+    // with every change so they stay on the text they were at.
+    this._cursorPlugin = new Plugin({
+      state: {
+        init:  () => new Map(),
+        apply: (tr, cursors) => {
+          const meta = tr.getMeta(this._cursorPlugin);
+          let next = cursors;
+          if (tr.docChanged) next = new Map([...next].map(([id, c]) => [id, { ...c, head: tr.mapping.map(c.head) }]));
+          if (meta?.set) next = new Map(next).set(...meta.set);
+          if (meta?.keep) next = new Map([...next].filter(([id]) => meta.keep.includes(id)));
+          return next;
+        },
+      },
+    });
+
+    // Changes made outside the session (while no GM was online) are
+    // replaced by the session's copy; keep them in view.
+    const mine = this._getContent();
+    view.updateState(EditorState.create({
+      schema:  view.state.schema,
+      doc:     view.state.schema.nodeFromJSON(doc),
+      plugins: [...plugins, collab.collab({ version, clientID: this._collab.clientID }), this._cursorPlugin],
+    }));
+    if (mine !== normalizeEditorHtml(this._entry.content) && mine !== this._getContent()) this._showMergePanel(mine);
+    this._collab.live     = true;
+    this._collab.inflight = false;
+    this._collab.base     = base;
+    this._renderCollabBar();
+    this._syncToolbar(view.state);
+    this._drawCursors();
+  }
+
+  /** Steps the authority accepted — other editors' and confirmations of ours. */
+  _onCollabApplied({ version, steps, clientIDs }) {
+    const collab = this._collab;
+    const view   = this._pmEditor.view;
+    if (!collab.live) return;
+    const { Step, collab: pmCollab } = foundry.prosemirror;
+
+    const have = pmCollab.getVersion(view.state);
+    if (version > have) {
+      // Missed some — ask for everything since our version.
+      sendCollab({ action: "collabSync", entryId: this._entry.id, clientID: collab.clientID, version: have });
+      return;
+    }
+    const skip = have - version;
+    collab.inflight = false;
+    if (skip < steps.length) {
+      view.dispatch(pmCollab.receiveTransaction(
+        view.state,
+        steps.slice(skip).map(json => Step.fromJSON(view.state.schema, json)),
+        clientIDs.slice(skip),
+        { mapSelectionBackward: true },
+      ));
+    }
+    this._sendSteps();
+  }
+
+  /** After every editor update: send new local steps and our cursor, redraw remote cursors. */
+  _onCollabUpdate(view, prev) {
+    if (!this._collab?.live) return;
+    this._sendSteps();
+    if (!view.state.selection.eq(prev.selection) || view.state.doc !== prev.doc) this._sendCursor();
+    this._drawCursors();
+  }
+
+  /** Send the steps the authority hasn't confirmed yet — one batch at a time. */
+  _sendSteps() {
+    const collab = this._collab;
+    const view   = this._pmEditor?.view;
+    if (!collab?.live || collab.inflight || !view) return;
+    const sendable = foundry.prosemirror.collab.sendableSteps(view.state);
+    if (!sendable) return;
+    if (this._holdsSecrets()) {
+      // A secret added or pasted here stays out of the players' copy: leave
+      // before the steps go out and carry on alone.
+      this._leaveCollab();
+      this._editingAlone = true;
+      ui.notifications.info("Adventurer Wiki: Live editing stopped because this entry now has a secret. Your changes will merge when you save.");
+      this._renderCollabBar();
+      this._syncToolbar(view.state);
+      return;
+    }
+    collab.inflight = true;
+    sendCollab({
+      action:   "collabSteps",
+      entryId:  this._entry.id,
+      clientID: collab.clientID,
+      version:  sendable.version,
+      steps:    sendable.steps.map(step => step.toJSON()),
+    });
+  }
+
+  _broadcastCursor() {
+    const view = this._pmEditor?.view;
+    if (!this._collab?.live || !view) return;
+    game.socket.emit(SOCKET_EVENT, {
+      action:   "collabCursor",
+      entryId:  this._entry.id,
+      clientID: this._collab.clientID,
+      userId:   game.user.id,
+      head:     view.state.selection.head,
+    });
+  }
+
+  /** Draw the other editors' cursors over the editor, each in its user's color. */
+  _drawCursors() {
+    const view  = this._pmEditor?.view;
+    const mount = this._pmMount;
+    if (!view || !mount) return;
+    if (!this._cursorLayer) {
+      this._cursorLayer = document.createElement("div");
+      this._cursorLayer.className = "wiki-remote-cursors";
+    }
+    if (this._cursorLayer.parentElement !== mount) mount.append(this._cursorLayer);
+
+    const box     = mount.getBoundingClientRect();
+    const marks   = [];
+    const cursors = this._collab?.live ? this._cursorPlugin.getState(view.state) : new Map();
+    for (const [clientID, cursor] of cursors) {
+      // Positions come from the sender's copy; clamp until its steps arrive.
+      const peer = this._collab.peers.find(p => p.clientID === clientID);
+      if (!peer) continue;
+      let coords;
+      try { coords = view.coordsAtPos(Math.min(cursor.head, view.state.doc.content.size)); }
+      catch { continue; }
+      const color = game.users.get(cursor.userId)?.color?.css ?? "#c0392b";
+      const mark  = document.createElement("div");
+      mark.className = "wiki-remote-cursor";
+      Object.assign(mark.style, {
+        left:        `${coords.left - box.left + mount.scrollLeft}px`,
+        top:         `${coords.top - box.top + mount.scrollTop}px`,
+        height:      `${coords.bottom - coords.top}px`,
+        borderColor: color,
+      });
+      const label = document.createElement("span");
+      label.className        = "wiki-remote-cursor-label";
+      label.textContent      = peer.userName;
+      label.style.background = color;
+      mark.append(label);
+      marks.push(mark);
+    }
+    this._cursorLayer.replaceChildren(...marks);
+  }
+
+  /** The bar above the toolbar: who's editing live, or that edits merge on save. */
+  _renderCollabBar() {
+    const bar = this.element?.querySelector(".wiki-collab-bar");
+    if (!bar) return;
+    const collab = this._collab;
+    bar.hidden = !collab?.live && !this._editingAlone;
+    bar.classList.toggle("paused", !collab?.live);
+    if (bar.hidden) return;
+
+    const { escapeHTML } = foundry.utils;
+    if (!collab?.live) {
+      bar.innerHTML = '<i class="fas fa-plug-circle-xmark"></i> Editing on your own — your changes merge with others\' when you save.';
+      return;
+    }
+    const peers = collab.peers.map(p =>
+      `<span class="wiki-collab-peer" style="--peer-color: ${game.users.get(p.userId)?.color?.css ?? "#c0392b"}">${escapeHTML(p.userName)}</span>`);
+    bar.innerHTML = '<i class="fas fa-users"></i> ' + (peers.length
+      ? `Live — editing with ${peers.join(" ")}`
+      : "Live — others who open this entry will edit along with you");
+  }
+
+  // ── Edit lock ────────────────────────────────────────────────────────────
+
+  /** May this editor change the entry? Not while someone else holds its lock. */
+  _canWrite() {
+    return this._lock === null || this._lock === "held";
+  }
+
+  /**
+   * Ask the authority for the entry's lock (see serveLock()). New entries,
+   * every entry while no GM is online, and a GM other than the active one
+   * (see usesEditLocks()) don't need one.
+   */
+  _acquireLock() {
+    const id = this._entry?.id;
+    if (!id || !game.users.activeGM || !usesEditLocks()) {
+      this._lock = null;
+      this._joinCollab();
+      return this._applyLockState();
+    }
+    // On opening, a lock this client already knows is held means read-only
+    // straight away. Asking again later goes to the authority regardless —
+    // the lock may be on its way to being broken.
+    const holders = activeEditors.get(id);
+    if (this._lock === null && holders?.size && !holders.has(game.user.id)) {
+      this._lock  = "readonly";
+      this._stale = true;
+      return this._applyLockState();
+    }
+    // A holder asking again (the authority changed) brings its co-holders.
+    const coHolders = this._lock === "held" ? [...(holders?.keys() ?? [])].filter(u => u !== game.user.id) : [];
+    if (this._lock !== "held") this._lock = "pending";
+    sendLock({ action: "lockAcquire", entryId: id, userId: game.user.id, holders: coHolders });
+    this._applyLockState();
+  }
+
+  _releaseLock() {
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+    if (this._lock === "held") sendLock({ action: "lockRelease", entryId: this._entry.id, userId: game.user.id });
+    this._lock = null;
+  }
+
+  /** The entry's lock changed: start or stop editing (and co-editing) to match. */
+  _onLockState() {
+    const id = this._entry?.id;
+    if (!id || !this._pmEditor) return;   // _acquireLock() runs on first render
+    const holders = activeEditors.get(id);
+    const prev    = this._lock;
+
+    // "pending" with nobody holding the lock: our request is still on its way.
+    if (!game.users.activeGM || !usesEditLocks()) this._lock = null;
+    else if (holders?.has(game.user.id)) this._lock = "held";
+    else if (holders?.size || prev === "held") this._lock = "readonly";
+
+    if (this._lock === "readonly") this._stale = true;
+    if (prev === "held" && this._lock !== "held") this._leaveCollab();
+    if (this._lock === "held" && prev !== "held") {
+      this._editRequested = false;
+      this._lockLost      = null;
+      if (this._stale) return this._onLockRegained();
+      this._joinCollab();
+    }
+    if (this._lock === null && prev !== null) this._joinCollab();
+    this._applyLockState();
+  }
+
+  /**
+   * The lock is ours after waiting read-only, and the entry may have moved on
+   * meanwhile: start over from the stored version. Changes made before the
+   * lock was lost are shown above the editor to copy from.
+   */
+  async _onLockRegained() {
+    const mine  = this._getContent();
+    const dirty = mine !== normalizeEditorHtml(this._entry.content);
+    const entry = getEntry(this._entry.id);
+    if (!entry) return this.close();
+
+    this._leaveCollab();
+    this._pmEditor?.destroy();
+    this._entry          = entry;
+    this._pmEditor       = null;
+    this._pmMount        = null;
+    this._editorReady    = false;
+    this._gmNotesReady   = false;
+    this._stale          = false;
+    this._draftValues    = null;
+    this._openValues     = null;
+    this._tags           = [...(entry.tags ?? [])];
+    this._linkedDocument = entry.linkedDocument ?? null;
+    this._objectives     = foundry.utils.deepClone(entry.quest?.objectives ?? []);
+    await this.render({ force: true });
+    if (dirty) this._showMergePanel(mine);
+    ui.notifications.info(`Adventurer Wiki: You can edit "${entry.title}" now.`);
+  }
+
+  /** A GM broke this user's lock, or it expired. The lockState that follows makes the editor read-only. */
+  _onLockLost({ reason, by }) {
+    this._lockLost = reason;
+    const title = this._entry.title;
+    ui.notifications.warn(reason === "broken"
+      ? `Adventurer Wiki: ${by} took over "${title}". Your unsaved changes stay in the editor.`
+      : `Adventurer Wiki: Your edit lock on "${title}" timed out. Your unsaved changes stay in the editor.`);
+  }
+
+  /** Ask whoever holds the lock to let this user edit along with them. */
+  _requestEdit() {
+    const owner = activeEditors.get(this._entry?.id)?.keys().next().value;
+    if (!owner || this._editRequested) return;
+    this._editRequested = true;
+    game.socket.emit(SOCKET_EVENT, {
+      action:   "lockRequest",
+      entryId:  this._entry.id,
+      to:       owner,
+      userId:   game.user.id,
+      userName: game.user.name,
+    });
+    this._renderLockBar();
+  }
+
+  async _onEditRequested({ entryId, userId, userName }) {
+    if (this._lock !== "held") return;
+    const { escapeHTML } = foundry.utils;
+    const allow = await foundry.applications.api.DialogV2.confirm({
+      window:  { title: "Edit Request" },
+      content: `<p><strong>${escapeHTML(userName)}</strong> asks to edit <strong>${escapeHTML(this._entry.title)}</strong>. ` +
+               "Let them edit along with you?</p>",
+      yes:     { label: "Let Them Edit", icon: "fas fa-user-pen" },
+      no:      { label: "Decline", icon: "fas fa-times" },
+    });
+    if (allow && this._lock === "held") {
+      sendLock({ action: "lockGrant", entryId, userId: game.user.id, grantee: userId });
+    } else {
+      game.socket.emit(SOCKET_EVENT, { action: "lockDeclined", entryId, to: userId, userName: game.user.name });
+    }
+  }
+
+  _onEditDeclined({ userName }) {
+    this._editRequested = false;
+    ui.notifications.info(`Adventurer Wiki: ${userName} isn't ready to share "${this._entry.title}" yet.`);
+    this._renderLockBar();
+  }
+
+  /** Bring the window in line with the lock: inputs, toolbar and heartbeat on or off, and the lock bar. */
+  _applyLockState() {
+    const el = this.element;
+    if (this._lock === "held" && !this._heartbeat) {
+      this._heartbeat = setInterval(() => sendLock({
+        action:  "lockHeartbeat",
+        entryId: this._entry.id,
+        userId:  game.user.id,
+      }), LOCK_HEARTBEAT_MS);
+    } else if (this._lock !== "held" && this._heartbeat) {
+      clearInterval(this._heartbeat);
+      this._heartbeat = null;
+    }
+    if (!el) return;
+
+    const writable = this._canWrite();
+    el.classList.toggle("wiki-read-only", !writable);
+    for (const input of el.querySelector("form")?.elements ?? []) {
+      if (!input.closest(".wiki-lock-bar, .wiki-merge-panel")) input.disabled = !writable;
+    }
+    if (this._pmEditor) {
+      this._pmEditor.view.setProps({ editable: () => this._canWrite() });
+      this._syncToolbar(this._pmEditor.view.state);
+    }
+    this._renderLockBar();
+    this._renderCollabBar();
+
+    // Once writable, offer a leftover draft — after this render has finished.
+    if (writable && this._openValues && !this._draftOffered) {
+      this._draftOffered = true;
+      setTimeout(() => this._offerDraft());
+    }
+  }
+
+  /** The bar above the form while this user can't edit: who holds the lock, and what they can do about it. */
+  _renderLockBar() {
+    const bar = this.element?.querySelector(".wiki-lock-bar");
+    if (!bar) return;
+    bar.hidden = this._canWrite();
+    if (bar.hidden) return;
+
+    const { escapeHTML } = foundry.utils;
+    const holders = activeEditors.get(this._entry.id);
+    const names   = describeEditing(this._entry.id);
+    if (this._lock === "pending") {
+      bar.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking whether anyone else is editing this entry…';
+      return;
+    }
+    if (!names) {
+      const why = { broken: "The GM took over this entry.", expired: "Your edit lock timed out." }[this._lockLost]
+        ?? "Nobody is editing this entry now.";
+      bar.innerHTML = `<i class="fas fa-lock-open"></i> ${why} ` +
+        '<button type="button" class="wiki-lock-take"><i class="fas fa-pen"></i> Start Editing</button>';
+    } else {
+      bar.innerHTML = `<i class="fas fa-lock"></i> <strong>${escapeHTML(names)}</strong> ` +
+        `${holders.size > 1 ? "are" : "is"} editing this entry — you're viewing it read-only. ` +
+        `<button type="button" class="wiki-lock-request" ${this._editRequested ? "disabled" : ""}>` +
+        `<i class="fas fa-hand"></i> ${this._editRequested ? "Edit Requested" : "Request Edit"}</button>` +
+        (isActiveGM() ? '<button type="button" class="wiki-lock-break"><i class="fas fa-unlock"></i> Break Lock</button>' : "");
+    }
+    bar.querySelector(".wiki-lock-take")?.addEventListener("click", () => this._acquireLock());
+    bar.querySelector(".wiki-lock-request")?.addEventListener("click", () => this._requestEdit());
+    bar.querySelector(".wiki-lock-break")?.addEventListener("click", async () => {
+      if (await breakEditLock(this._entry.id)) this._acquireLock();
+    });
+  }
+
+  // ── Drafts ───────────────────────────────────────────────────────────────
+
+  /** What the form shows: the entry, with a restored draft's values on top. */
+  _formEntry() {
+    const entry = this._entry ?? { title: "", category: "lore", content: "" };
+    if (!this._draftValues) return entry;
+    return { ...entry, ...Object.fromEntries(Object.entries(this._draftValues).filter(([, v]) => v != null)) };
+  }
+
+  /**
+   * Snapshot the form into this browser's drafts (see setDraft()), or drop
+   * this editor's draft once the form is back to how it opened. Skipped
+   * while read-only, and while that would overwrite a draft the user chose
+   * to keep for later.
+   */
+  async _saveDraft() {
+    if (!this._pmEditor || !this._openValues || !this._canWrite() || this._saved || this._keepDraft) return;
+    const values = this._readForm();
+    const json   = JSON.stringify(values);
+    if (json === this._lastDraft) return;
+    this._lastDraft = json;
+
+    if (json === this._openValues) {
+      if (this._drafted) await setDraft(this._draftKey, null);
+      this._drafted = false;
+      return;
+    }
+    this._drafted = true;
+    await setDraft(this._draftKey, {
+      key:      this._draftKey,
+      entryId:  this._entry?.id ?? null,
+      parentId: this._entry?.parentId ?? null,
+      values,
+      baseRev:  this._entry?.rev ?? 0,
+      savedAt:  Date.now(),
+    });
+  }
+
+  /**
+   * A draft to offer on opening: this entry's, when it's newer than the saved
+   * version — or, for a new entry, the latest new-entry draft no other
+   * window has open. Older drafts wait in the wiki's Drafts list.
+   * @returns {object|null}
+   */
+  _findDraft() {
+    const drafts = getDrafts();
+    if (this._entry?.id) {
+      const draft = drafts[this._entry.id];
+      return draft && draft.savedAt > (this._entry.updatedAt ?? 0) ? draft : null;
+    }
+    const open = new Set(entryEditors().map(e => e._draftKey));
+    return Object.values(drafts)
+      .filter(d => !d.entryId && !open.has(d.key) && !deferredDrafts.has(d.key))
+      .sort((a, b) => b.savedAt - a.savedAt)[0] ?? null;
+  }
+
+  /**
+   * Once the editor can be written: restore the draft picked in the Drafts
+   * list, or offer one left over from before with its changes to the saved
+   * version.
+   */
+  async _offerDraft() {
+    if (this._restoreOnOpen) {
+      const draft = this._restoreOnOpen;
+      this._restoreOnOpen = null;
+      return this._restoreDraft(draft);
+    }
+    const draft = this._findDraft();
+    if (!draft) return;
+
+    const { escapeHTML } = foundry.utils;
+    const saved  = this._entry?.id ? this._entry : null;
+    const { title, content } = draft.values;
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window:   { title: "Restore Unsaved Draft" },
+      classes:  ["party-wiki", "party-wiki-draft"],
+      position: { width: 600 },
+      content:  `<p>You have an unsaved draft of <strong>${escapeHTML(title || saved?.title || "a new entry")}</strong> ` +
+                `from ${formatTimestamp(draft.savedAt)}. ${saved ? "Its changes to the saved version:" : "Its text:"}</p>` +
+                (saved && title !== saved.title ? `<p>Title: “${escapeHTML(saved.title)}” → “${escapeHTML(title)}”</p>` : "") +
+                `<div class="wiki-history-diff wiki-entry-body">${diffHtml(saved ? normalizeEditorHtml(saved.content) : "", content ?? "")}</div>` +
+                (saved && (saved.rev ?? 0) !== draft.baseRev
+                  ? "<p><em>The entry was saved again after this draft. Restoring brings back the draft's version of everything.</em></p>"
+                  : ""),
+      buttons: [
+        { action: "restore", label: "Restore Draft",  icon: "fas fa-rotate-left", default: true },
+        { action: "keep",    label: "Keep for Later", icon: "fas fa-clock" },
+        { action: "discard", label: "Discard Draft",  icon: "fas fa-trash" },
+      ],
+      rejectClose: false,
+    });
+    if (choice === "restore") return this._restoreDraft(draft);
+    if (choice === "discard") return setDraft(draft.key, null);
+    if (draft.key === this._draftKey) this._keepDraft = true;   // don't snapshot over it
+    else deferredDrafts.add(draft.key);
+  }
+
+  /**
+   * Fill the form from a draft. The editor takes over the draft's key, so it
+   * goes on updating that draft.
+   * @param {object} draft
+   */
+  async _restoreDraft(draft) {
+    const { values } = draft;
+    if (!this._entry?.id) this._entry = { ...this._entry, parentId: draft.parentId ?? null };
+    this._draftKey       = draft.key;
+    this._keepDraft      = false;
+    this._drafted        = true;
+    this._draftValues    = values;
+    this._tags           = [...(values.tags ?? [])];
+    this._linkedDocument = values.linkedDocument ?? null;
+    this._objectives     = foundry.utils.deepClone(values.quest?.objectives ?? this._objectives);
+    this._editorReady    = false;   // refill the GM-only fields from the draft
+    this._gmNotesReady   = false;
+    await this.render({ force: true });
+    this._setContent(values.content ?? "");
+  }
+
+  async close(options) {
+    // Closed without saving, on purpose or not: keep what was typed.
+    clearInterval(this._draftTimer);
+    this._draftTimer = null;
+    await this._saveDraft();
+    this._releaseLock();
+    this._leaveCollab();
+    this._pmEditor?.destroy();
+    this._pmEditor    = null;
+    this._pmMount     = null;
+    this._editorReady = false;
+    if (activeEditorApp === this) activeEditorApp = null;
+    return super.close(options);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WikiDoodleEditor — canvas-based hand-drawn image editor
+// Saves doodle as PNG to worlds/{worldId}/adventurer-wiki/images/ via
+// Foundry's FilePicker.upload(), then inserts an <img> tag at the editor cursor.
+// ─────────────────────────────────────────────────────────────────────────────
+
+class WikiDoodleEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id:       "party-wiki-doodle",
+    classes:  ["party-wiki", "party-wiki-doodle"],
+    window:   { title: "Adventurer Wiki – Doodle", resizable: true },
+    position: { width: 860, height: 560 },
+  };
+
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/doodle-editor.html` } };
+
+  /**
+   * @param {(html: string) => void} onInsert  Inserts the finished doodle's <img>
+   *                                           at the parent WikiEntryEditor's cursor
+   *                                           when the user clicks Insert.
+   */
+  constructor(onInsert, options = {}) {
+    super(options);
+    this._onInsert   = onInsert;
+    this._isDrawing  = false;
+    this._tool       = "pen";     // "pen" | "eraser"
+    this._color      = "#1a1a1a";
+    this._strokeSize = 4;
+    this._lastX      = 0;
+    this._lastY      = 0;
+    this._canvas     = null;
+    this._ctx        = null;
+  }
+
+  async _prepareContext() { return {}; }
+
+  // ── Render lifecycle ─────────────────────────────────────────────────────
+
+  async _onRender(_context, _options) {
+    const el     = this.element;
+    const canvas = el.querySelector(".wiki-doodle-canvas");
+    if (!canvas) return;
+
+    const ctx = canvas.getContext("2d");
+    this._canvas = canvas;
+    this._ctx    = ctx;
+
+    // Paint a white background so the canvas isn't transparent
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // ── Tool buttons ──────────────────────────────────────────────────────
+    const penBtn    = el.querySelector(".wiki-doodle-pen");
+    const eraserBtn = el.querySelector(".wiki-doodle-eraser");
+
+    penBtn?.addEventListener("click", () => {
+      this._tool = "pen";
+      penBtn.classList.add("active");
+      eraserBtn?.classList.remove("active");
+    });
+
+    eraserBtn?.addEventListener("click", () => {
+      this._tool = "eraser";
+      eraserBtn.classList.add("active");
+      penBtn?.classList.remove("active");
+    });
+
+    // ── Color picker ──────────────────────────────────────────────────────
+    el.querySelector(".wiki-doodle-color")?.addEventListener("input", (e) => {
+      this._color = e.target.value;
+    });
+
+    // ── Stroke size slider ────────────────────────────────────────────────
+    el.querySelector(".wiki-doodle-size")?.addEventListener("input", (e) => {
+      this._strokeSize = parseInt(e.target.value, 10);
+    });
+
+    // ── Clear button ──────────────────────────────────────────────────────
+    el.querySelector(".wiki-doodle-clear")?.addEventListener("click", () => {
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    });
+
+    // ── Insert button ─────────────────────────────────────────────────────
+    el.querySelector(".wiki-doodle-insert")?.addEventListener("click", () => {
+      this._insertDoodle();
+    });
+
+    // ── Cancel button ─────────────────────────────────────────────────────
+    el.querySelector(".wiki-doodle-cancel")?.addEventListener("click", () => {
+      this.close();
+    });
+
+    // ── Mouse drawing ─────────────────────────────────────────────────────
+    canvas.addEventListener("mousedown",  (e) => this._startDrawing(e));
+    canvas.addEventListener("mousemove",  (e) => this._continueDrawing(e));
+    canvas.addEventListener("mouseup",    ()  => { this._isDrawing = false; });
+    canvas.addEventListener("mouseleave", ()  => { this._isDrawing = false; });
+
+    // ── Touch drawing (tablets / touch screens) ───────────────────────────
+    canvas.addEventListener("touchstart", (e) => { e.preventDefault(); this._startDrawing(e.touches[0]); },  { passive: false });
+    canvas.addEventListener("touchmove",  (e) => { e.preventDefault(); this._continueDrawing(e.touches[0]); }, { passive: false });
+    canvas.addEventListener("touchend",   ()  => { this._isDrawing = false; });
+  }
+
+  // ── Drawing helpers ──────────────────────────────────────────────────────
+
+  /** Convert a pointer/touch event into canvas-space coordinates. */
+  _getCanvasPos(e) {
+    const rect   = this._canvas.getBoundingClientRect();
+    const scaleX = this._canvas.width  / rect.width;
+    const scaleY = this._canvas.height / rect.height;
+    return {
+      x: (e.clientX - rect.left) * scaleX,
+      y: (e.clientY - rect.top)  * scaleY,
+    };
+  }
+
+  _startDrawing(e) {
+    this._isDrawing = true;
+    const pos = this._getCanvasPos(e);
+    this._lastX = pos.x;
+    this._lastY = pos.y;
+
+    // Draw a dot at the click position so single clicks leave a mark
+    const ctx    = this._ctx;
+    const radius = this._tool === "eraser"
+      ? this._strokeSize * 1.5
+      : this._strokeSize / 2;
+
+    ctx.save();
+    if (this._tool === "eraser") {
+      ctx.globalCompositeOperation = "destination-out";
+      ctx.fillStyle = "rgba(0,0,0,1)";
+    } else {
+      ctx.globalCompositeOperation = "source-over";
+      ctx.fillStyle = this._color;
+    }
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, Math.max(radius, 0.5), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  _continueDrawing(e) {
+    if (!this._isDrawing) return;
+    const pos = this._getCanvasPos(e);
+    const ctx = this._ctx;
+
+    ctx.save();
+    ctx.lineCap  = "round";
+    ctx.lineJoin = "round";
+
+    if (this._tool === "eraser") {
+      ctx.globalCompositeOperation = "destination-out";
+      ctx.strokeStyle = "rgba(0,0,0,1)";
+      ctx.lineWidth   = this._strokeSize * 3;
+    } else {
+      ctx.globalCompositeOperation = "source-over";
+      ctx.strokeStyle = this._color;
+      ctx.lineWidth   = this._strokeSize;
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(this._lastX, this._lastY);
+    ctx.lineTo(pos.x, pos.y);
+    ctx.stroke();
+    ctx.restore();
+
+    this._lastX = pos.x;
+    this._lastY = pos.y;
+  }
+
+  /**
+   * Export the canvas as PNG, upload to Foundry data folder, then insert an
+   * <img> tag at the current cursor position in the parent editor div.
+   */
+  async _insertDoodle() {
+    if (!game.user.can("FILES_UPLOAD")) {
+      ui.notifications.warn(
+        "Adventurer Wiki: You need file upload permissions to save doodles. " +
+        "Ask your GM to enable this in world settings."
+      );
+      return;
+    }
+
+    // Resolve FilePicker — global deprecated in v13, removed in v15
+    const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+
+    const folderPath = `worlds/${game.world.id}/adventurer-wiki/images`;
+    await ensureDataDirectory(folderPath);
+
+    // Composite onto a white background before exporting so eraser strokes
+    // appear white rather than transparent in the final PNG.
+    const exportCanvas = document.createElement("canvas");
+    exportCanvas.width  = this._canvas.width;
+    exportCanvas.height = this._canvas.height;
+
+    const exportCtx = exportCanvas.getContext("2d");
+    exportCtx.fillStyle = "#ffffff";
+    exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+    exportCtx.drawImage(this._canvas, 0, 0);
+
+    exportCanvas.toBlob(async (blob) => {
+      if (!blob) {
+        ui.notifications.error("Adventurer Wiki: Failed to create doodle image.");
+        return;
+      }
+
+      const filename = `doodle_${Date.now()}_${Math.random().toString(36).slice(2, 7)}.png`;
+      const file     = new File([blob], filename, { type: "image/png" });
+
+      try {
+        const result = await FP.upload("data", folderPath, file, {});
+
+        if (!result?.path) throw new Error("Upload returned no path");
+
+        const imgHtml = `<img src="${result.path}" class="wiki-inserted-image" alt="doodle">`;
+
+        // Insert the image at the entry editor's cursor
+        this._onInsert?.(imgHtml);
+
+        ui.notifications.info("Adventurer Wiki: Doodle inserted!");
+        this.close();
+      } catch (err) {
+        console.error("Adventurer Wiki | Doodle upload failed:", err);
+        ui.notifications.error(
+          "Adventurer Wiki: Failed to upload doodle. Check your file permissions and try again."
+        );
+      }
+    }, "image/png");
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WikiCategorySettings — manage custom categories
+// ─────────────────────────────────────────────────────────────────────────────
+
+class WikiCategorySettings extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id:       "party-wiki-cat-settings",
+    classes:  ["party-wiki", "party-wiki-settings"],
+    window:   { title: "Adventurer Wiki – Category Settings", resizable: false },
+    position: { width: 540, height: 520 },
+  };
+
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/category-settings.html` } };
 
-  constructor(entry, wikiApp, options = {}) {
+  constructor(options = {}) {
     super(options);
-    this._entry             = entry;
-    this._wikiApp           = wikiApp;
-    this._broadcastedStart  = false;
-    this._pmEditor          = null;
+    this._working   = foundry.utils.deepClone(getCategories());
+    this._fieldsFor = null;   // category id whose field schema is expanded
   }
 
   // ── Context ──────────────────────────────────────────────────────────────
 
-  async _prepareContext(_options) {
-    const entry = this._entry ?? { title: "", category: "lore", content: "" };
-    return {
-      entry,
-      categories: getCategories(),
-      isNew:      !entry.id,
-      isGM:       game.user.isGM,
-    };
+  async _prepareContext() {
+    const entries    = getEntries();
+    const fieldTypes = Object.entries(FIELD_TYPES).map(([value, label]) => ({ value, label }));
+    const categories = this._working.map((cat, idx) => ({
+      ...cat,
+      count:   entries.filter(e => e.category === cat.id).length,
+      isFirst: idx === 0,
+      isLast:  idx === this._working.length - 1,
+      editingFields: this._fieldsFor === cat.id,
+      fields: (cat.fields ?? []).map((f, i, all) => ({
+        ...f,
+        isSelect:    f.type === "select",
+        optionsText: (f.options ?? []).join(", "),
+        isFirst:     i === 0,
+        isLast:      i === all.length - 1,
+        types:       fieldTypes.map(t => ({ ...t, selected: t.value === f.type })),
+      })),
+    }));
+    return { categories, fieldTypes, tags: collectTags(entries) };
   }
 
   // ── Render lifecycle ─────────────────────────────────────────────────────
 
-  async _onRender(context, options) {
-    const el = this.element;
-    activeEditorApp = this;
+  _onRender(_context, _options) { this._attachListeners(); }
 
-    if (!this._hasOpened) {
-      this._hasOpened = true;
-      (this.bringToFront ?? this.bringToTop)?.call(this);
-    }
+  // ── Listener setup ───────────────────────────────────────────────────────
 
-    // ── Broadcast editing start ──────
-    if (!this._broadcastedStart && this._entry?.id) {
-      this._broadcastedStart = true;
-      activeEditors.set(this._entry.id, { userName: game.user.name, userId: game.user.id });
-      game.socket.emit(SOCKET_EVENT, {
-        action:   "editingStart",
-        entryId:  this._entry.id,
-        userName: game.user.name,
-        userId:   game.user.id,
-      });
-      refreshAllWikiApps();
-    }
+  _attachListeners() {
+    if (this._listenersReady) return;
+    this._listenersReady = true;
 
-    // ── One-time editor setup ────────
-    if (!this._editorReady) {
-      this._editorReady = true;
+    const inApp = (e) => !!(this.element?.contains(e.target));
 
-      const editorDiv   = el.querySelector(".wiki-rich-editor");
-      const textarea    = el.querySelector("textarea[name='content']");
-      const initContent = this._entry?.content ?? "";
-
-      if (editorDiv && textarea) {
-        editorDiv.innerHTML = initContent;
-
-        // ── Standard format toolbar buttons ──────────────────────────────
-        el.querySelectorAll(".wiki-toolbar-btn[data-cmd]").forEach(btn => {
-          btn.addEventListener("mousedown", (e) => {
-            e.preventDefault();
-            const cmd   = btn.dataset.cmd;
-            const value = btn.dataset.value ?? null;
-            if (cmd === "formatBlock" && value && value !== "p") {
-              const cur = document.queryCommandValue("formatBlock").toLowerCase().replace(/[<>]/g, "");
-              if (cur === value.toLowerCase()) {
-                document.execCommand("formatBlock", false, "p");
-                editorDiv.focus();
-                return;
-              }
-            }
-            document.execCommand(cmd, false, value);
-            editorDiv.focus();
-          });
-        });
+    const _click = async (e) => {
+      if (!inApp(e)) return;
 
-        // ── [[Link]] button ───────────────────────────────────────────────
-        el.querySelector(".wiki-toolbar-btn-link")?.addEventListener("mousedown", (e) => {
-          e.preventDefault();
-          const sel = window.getSelection();
-          if (!sel?.rangeCount) { editorDiv.focus(); return; }
-
-          const range    = sel.getRangeAt(0);
-          const selected = range.toString();
-          const label    = selected || "Entry Title";
-
-          range.deleteContents();
-          const node = document.createTextNode(`[[${label}]]`);
-          range.insertNode(node);
-
-          const start = 2;
-          range.setStart(node, start);
-          range.setEnd(node, start + label.length);
-          sel.removeAllRanges();
-          sel.addRange(range);
-          editorDiv.focus();
+      // ── Delete category button ───────
+      const deleteBtn = e.target.closest(".wiki-cat-delete-btn:not([disabled])");
+      if (deleteBtn) {
+        const catId = deleteBtn.dataset.catId;
+        const row   = this.element.querySelector(`.wiki-cat-row[data-id="${catId}"]`);
+        const label = row?.querySelector(".wiki-cat-label-input")?.value?.trim() ?? catId;
+        const ok    = await foundry.applications.api.DialogV2.confirm({
+          window:  { title: "Delete Category" },
+          content: `<p>Remove the category "<strong>${label}</strong>"? This cannot be undone.</p>`,
         });
+        if (!ok) return;
+        this._syncFromDOM();
+        this._working = this._working.filter(c => c.id !== catId);
+        this.render({ force: true });
+        return;
+      }
 
-        // ── Image upload button ───────────────────────────────────────────
-        // Uses mousedown + preventDefault to keep editor focus, saves the
-        // cursor range before FilePicker opens, then restores it in callback.
-        el.querySelector(".wiki-toolbar-btn-image")?.addEventListener("mousedown", (e) => {
-          e.preventDefault();
-          if (!game.user.can("FILES_UPLOAD")) {
-            ui.notifications.warn(
-              "Adventurer Wiki: You need file upload permissions to insert images. " +
-              "Ask your GM to enable this in world settings."
-            );
-            return;
-          }
+      // ── Move up button ───────────────
+      const upBtn = e.target.closest(".wiki-cat-move-up");
+      if (upBtn) {
+        this._syncFromDOM();
+        const catId = upBtn.dataset.catId;
+        const idx   = this._working.findIndex(c => c.id === catId);
+        if (idx > 0) {
+          [this._working[idx - 1], this._working[idx]] = [this._working[idx], this._working[idx - 1]];
+          this.render({ force: true });
+        }
+        return;
+      }
 
-          // Resolve FilePicker — global deprecated in v13, removed in v15
-          const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
-
-          // Capture the current selection range before focus leaves the editor
-          const sel = window.getSelection();
-          let savedRange = null;
-          if (sel?.rangeCount) savedRange = sel.getRangeAt(0).cloneRange();
-
-          new FP({
-            type: "image",
-            callback: (path) => {
-              // Restore caret position in the editor
-              editorDiv.focus();
-              if (savedRange) {
-                const newSel = window.getSelection();
-                newSel.removeAllRanges();
-                newSel.addRange(savedRange);
-              }
-              const imgHtml = `<img src="${path}" class="wiki-inserted-image" alt="">`;
-              document.execCommand("insertHTML", false, imgHtml);
-              editorDiv.focus();
-            },
-          }).render(true);
-        });
+      // ── Move down button ─────────────
+      const downBtn = e.target.closest(".wiki-cat-move-down");
+      if (downBtn) {
+        this._syncFromDOM();
+        const catId = downBtn.dataset.catId;
+        const idx   = this._working.findIndex(c => c.id === catId);
+        if (idx < this._working.length - 1) {
+          [this._working[idx], this._working[idx + 1]] = [this._working[idx + 1], this._working[idx]];
+          this.render({ force: true });
+        }
+        return;
+      }
 
-        // ── Doodle button ─────────────────────────────────────────────────
-        el.querySelector(".wiki-toolbar-btn-doodle")?.addEventListener("mousedown", (e) => {
-          e.preventDefault();
-          if (!game.user.can("FILES_UPLOAD")) {
-            ui.notifications.warn(
-              "Adventurer Wiki: You need file upload permissions to insert doodles. " +
-              "Ask your GM to enable this in world settings."
-            );
-            return;
-          }
-          new WikiDoodleEditor(editorDiv).render(true);
-        });
+      // ── Add new category button ──────
+      if (e.target.closest(".wiki-cat-add-btn")) {
+        const labelInput = this.element.querySelector(".wiki-cat-new-label");
+        const iconInput  = this.element.querySelector(".wiki-cat-new-icon");
+        const label      = labelInput?.value?.trim();
+        const icon       = iconInput?.value?.trim() || "fa-tag";
 
-        // ── Ctrl+Enter to save ────────────────────────────────────────────
-        editorDiv.addEventListener("keydown", (e) => {
-          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
-            e.preventDefault();
-            this._handleSave(el.querySelector("form"));
-          }
-        });
-      }
+        if (!label) {
+          ui.notifications.warn("Adventurer Wiki: Please enter a category name.");
+          return;
+        }
 
-      // ── GM-only fields ───────────────
-      if (game.user.isGM) {
-        const gmNotesEl = el.querySelector(".wiki-gm-notes-input");
-        if (gmNotesEl && !this._gmNotesReady) {
-          this._gmNotesReady = true;
-          gmNotesEl.value = this._entry?.gmNotes ?? "";
+        const id = categoryIdFor(label);
+
+        if (this._working.find(c => c.id === id)) {
+          ui.notifications.warn(`Adventurer Wiki: A category named "${label}" already exists.`);
+          return;
         }
 
-        const hiddenEl = el.querySelector(".wiki-hidden-checkbox");
-        if (hiddenEl) hiddenEl.checked = this._entry?.hidden ?? false;
+        this._syncFromDOM();
+        this._working.push({ id, label, icon });
+        if (labelInput) labelInput.value = "";
+        if (iconInput)  iconInput.value  = "";
+        this.render({ force: true });
+        return;
       }
-    }
 
-    // ── Form submission wiring ───────
-    el.querySelector("form")?.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      await this._handleSave(el.querySelector("form"));
-    });
+      // ── Field schema buttons ─────────
+      const fieldsBtn = e.target.closest(".wiki-cat-fields-btn");
+      if (fieldsBtn) {
+        this._syncFromDOM();
+        this._fieldsFor = this._fieldsFor === fieldsBtn.dataset.catId ? null : fieldsBtn.dataset.catId;
+        this.render({ force: true });
+        return;
+      }
 
-    el.querySelector(".wiki-btn-save")?.addEventListener("click", async (e) => {
-      e.preventDefault();
-      await this._handleSave(el.querySelector("form"));
-    });
+      const addFieldBtn = e.target.closest(".wiki-field-add-btn");
+      if (addFieldBtn) { this._addField(addFieldBtn.dataset.catId); return; }
+
+      const fieldBtn = e.target.closest(".wiki-field-remove, .wiki-field-move-up, .wiki-field-move-down");
+      if (fieldBtn) {
+        this._syncFromDOM();
+        const cat    = this._working.find(c => c.id === fieldBtn.closest(".wiki-field-schema")?.dataset.catId);
+        const fields = cat?.fields ?? [];
+        const idx    = fields.findIndex(f => f.id === fieldBtn.dataset.fieldId);
+        if (idx < 0) return;
+        if (fieldBtn.matches(".wiki-field-remove")) fields.splice(idx, 1);
+        else {
+          const to = idx + (fieldBtn.matches(".wiki-field-move-up") ? -1 : 1);
+          if (to < 0 || to >= fields.length) return;
+          [fields[idx], fields[to]] = [fields[to], fields[idx]];
+        }
+        this.render({ force: true });
+        return;
+      }
+
+      // ── Rename / merge tag button ────
+      const renameTagBtn = e.target.closest(".wiki-tag-rename-btn");
+      if (renameTagBtn) { await this._renameTag(renameTagBtn); return; }
+
+      if (e.target.closest(".wiki-cat-save-btn")) { await this._save(); return; }
+
+      if (e.target.closest(".wiki-cat-cancel-btn")) { this.close(); return; }
+    };
+
+    const _input = (e) => {
+      if (!inApp(e)) return;
+      // A field's type decides whether it shows a choices input.
+      if (e.target.matches(".wiki-field-type")) {
+        this._syncFromDOM();
+        this.render({ force: true });
+        return;
+      }
+      if (e.target.matches(".wiki-cat-icon-input")) {
+        const row    = e.target.closest(".wiki-cat-row");
+        const iconEl = row?.querySelector(".wiki-cat-preview-icon");
+        if (iconEl) iconEl.className = `fas ${e.target.value.trim() || "fa-tag"} wiki-cat-preview-icon`;
+      }
+    };
+
+    document.addEventListener("click", _click, { capture: true });
+    document.addEventListener("input", _input, { capture: true });
+    this._docListeners = { _click, _input };
   }
 
-  // ── Save logic ───────────────────────────────────────────────────────────
+  // ── DOM sync ─────────────────────────────────────────────────────────────
 
-  async _handleSave(form) {
-    const fd       = new FormData(form);
-    const title    = fd.get("title")?.trim();
-    const category = fd.get("category");
+  _syncFromDOM() {
+    const rows = this.element?.querySelectorAll(".wiki-cat-row") ?? [];
+    for (const row of rows) {
+      const catId = row.dataset.id;
+      const cat   = this._working.find(c => c.id === catId);
+      if (!cat) continue;
 
-    const editorDiv = this.element?.querySelector(".wiki-rich-editor");
-    const content   = editorDiv ? editorDiv.innerHTML : (fd.get("content") ?? "");
+      const label = row.querySelector(".wiki-cat-label-input")?.value?.trim();
+      const icon  = row.querySelector(".wiki-cat-icon-input")?.value?.trim();
 
-    if (!title) {
-      ui.notifications.warn("Please enter a title for the entry.");
-      return;
+      if (label) cat.label = label;
+      if (icon)  cat.icon  = icon;
     }
 
-    const gmNotesEl = this.element?.querySelector(".wiki-gm-notes-input");
-    const hiddenEl  = this.element?.querySelector(".wiki-hidden-checkbox");
-    const gmNotes   = game.user.isGM ? (gmNotesEl?.value ?? this._entry?.gmNotes ?? "") : undefined;
-    const hidden    = game.user.isGM ? (hiddenEl?.checked ?? false) : undefined;
+    for (const schema of this.element?.querySelectorAll(".wiki-field-schema") ?? []) {
+      const cat = this._working.find(c => c.id === schema.dataset.catId);
+      for (const row of schema.querySelectorAll(".wiki-field-row")) {
+        const field = cat?.fields?.find(f => f.id === row.dataset.fieldId);
+        if (!field) continue;
 
-    const entries = getEntries();
-    const now     = Date.now();
+        const label   = row.querySelector(".wiki-field-label")?.value?.trim();
+        const type    = row.querySelector(".wiki-field-type")?.value;
+        const options = row.querySelector(".wiki-field-options")?.value;
 
-    if (this._entry?.id) {
-      // ── Update existing entry ────────
-      const idx = entries.findIndex(e => e.id === this._entry.id);
-      if (idx !== -1) {
-        entries[idx] = {
-          ...entries[idx],
-          title,
-          category,
-          content,
-          updatedAt:     now,
-          updatedBy:     game.user.name,
-          pendingDelete: false,
-          comments:      entries[idx].comments ?? [],
-          ...(game.user.isGM ? { gmNotes, hidden } : {}),
-        };
+        if (label) field.label = label;
+        if (type in FIELD_TYPES) field.type = type;
+        if (field.type !== "select") delete field.options;
+        else if (options !== undefined) field.options = [...new Set(options.split(",").map(o => o.trim()).filter(Boolean))];
       }
-    } else {
-      // ── Create new entry ─────────────
-      entries.push({
-        id:            generateId(),
-        title,
-        category,
-        content,
-        createdAt:     now,
-        updatedAt:     now,
-        createdBy:     game.user.name,
-        updatedBy:     game.user.name,
-        pendingDelete: false,
-        hidden:        hidden ?? false,
-        comments:      [],
-        ...(game.user.isGM ? { gmNotes } : {}),
+    }
+  }
+
+  // ── Field schemas ────────────────────────────────────────────────────────
+
+  /** Add a field to a category's schema from its "new field" row. */
+  _addField(catId) {
+    const schema = this.element.querySelector(`.wiki-field-schema[data-cat-id="${catId}"]`);
+    const label  = schema?.querySelector(".wiki-field-new-label")?.value?.trim();
+    const type   = schema?.querySelector(".wiki-field-new-type")?.value ?? "text";
+    if (!label) {
+      ui.notifications.warn("Adventurer Wiki: Please enter a field name.");
+      return;
+    }
+
+    this._syncFromDOM();
+    const cat = this._working.find(c => c.id === catId);
+    if (!cat) return;
+    cat.fields ??= [];
+    cat.fields.push({ id: fieldIdFor(label, cat.fields), label, type, ...(type === "select" ? { options: [] } : {}) });
+    this.render({ force: true });
+  }
+
+  // ── Tags ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Rename a tag on every entry, straight away (not part of Save Changes).
+   * A new name matching another tag merges the two, after confirmation.
+   * @param {HTMLElement} btn  The row's rename button.
+   */
+  async _renameTag(btn) {
+    const from  = btn.dataset.tag;
+    const input = btn.closest(".wiki-tag-admin-row")?.querySelector(".wiki-tag-rename-input");
+    const to    = normalizeTag(input?.value);
+    if (!to) {
+      ui.notifications.warn("Adventurer Wiki: Please enter a tag name.");
+      return;
+    }
+    if (to === from) return;
+
+    const target = collectTags(getEntries()).find(t => t.key === to.toLowerCase() && t.key !== from.toLowerCase());
+    if (target) {
+      const { escapeHTML } = foundry.utils;
+      const ok = await foundry.applications.api.DialogV2.confirm({
+        window:  { title: "Merge Tags" },
+        content: `<p>Merge "<strong>${escapeHTML(from)}</strong>" into the existing tag ` +
+                 `"<strong>${escapeHTML(target.tag)}</strong>"? This cannot be undone.</p>`,
       });
+      if (!ok) return;
+    }
+
+    this._syncFromDOM();
+    const { updated, conflicts } = await renameTag(from, target?.tag ?? to);
+    ui.notifications.info(`Adventurer Wiki: ${target ? "Merged" : "Renamed"} the tag on ${updated} entr${updated === 1 ? "y" : "ies"}.`);
+    if (conflicts) {
+      ui.notifications.warn(`Adventurer Wiki: ${conflicts} entr${conflicts === 1 ? "y was" : "ies were"} being changed and kept the old tag — try again.`);
+    }
+    this.render({ force: true });
+  }
+
+  // ── Save ─────────────────────────────────────────────────────────────────
+
+  async _save() {
+    this._syncFromDOM();
+
+    if (this._working.length === 0) {
+      ui.notifications.warn("Adventurer Wiki: You must keep at least one category.");
+      return;
     }
 
-    const saved = await saveEntries(entries);
-    if (saved === false) return;
+    for (const cat of this._working) {
+      if (!cat.label?.trim()) {
+        ui.notifications.warn("Adventurer Wiki: All categories must have a name.");
+        return;
+      }
+      const emptySelect = (cat.fields ?? []).find(f => f.type === "select" && !f.options?.length);
+      if (emptySelect) {
+        ui.notifications.warn(`Adventurer Wiki: The dropdown field "${emptySelect.label}" in ${cat.label} needs at least one choice.`);
+        return;
+      }
+    }
 
-    this._wikiApp.render();
+    await game.settings.set(MODULE_ID, CATS_SETTING_KEY, this._working);
+    game.socket.emit(SOCKET_EVENT, { action: "categoriesChanged" });
+    refreshAllWikiApps();
+    ui.notifications.info("Adventurer Wiki: Categories saved.");
     this.close();
   }
 
-  // ── Editing broadcast ────────────────────────────────────────────────────
-
-  _broadcastEditingStop() {
-    if (this._broadcastedStart && this._entry?.id) {
-      this._broadcastedStart = false;
-      activeEditors.delete(this._entry.id);
-      game.socket.emit(SOCKET_EVENT, {
-        action:  "editingStop",
-        entryId: this._entry.id,
-        userId:  game.user.id,
-      });
-      refreshAllWikiApps();
-    }
-  }
+  // ── Close ────────────────────────────────────────────────────────────────
 
   async close(options) {
-    this._broadcastEditingStop();
-    this._editorReady = false;
-    if (activeEditorApp === this) activeEditorApp = null;
+    if (this._docListeners) {
+      const { _click, _input } = this._docListeners;
+      document.removeEventListener("click", _click, { capture: true });
+      document.removeEventListener("input", _input, { capture: true });
+      this._docListeners   = null;
+      this._listenersReady = false;
+    }
     return super.close(options);
   }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// WikiDoodleEditor — canvas-based hand-drawn image editor
-// Saves doodle as PNG to worlds/{worldId}/adventurer-wiki/images/ via
-// Foundry's FilePicker.upload(), then inserts an <img> tag at the editor cursor.
+// WikiEntryPermissions — per-entry access levels for each player
 // ─────────────────────────────────────────────────────────────────────────────
 
-class WikiDoodleEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+class WikiEntryPermissions extends HandlebarsApplicationMixin(ApplicationV2) {
   static DEFAULT_OPTIONS = {
-    id:       "party-wiki-doodle",
-    classes:  ["party-wiki", "party-wiki-doodle"],
-    window:   { title: "Adventurer Wiki – Doodle", resizable: true },
-    position: { width: 860, height: 560 },
+    id:       "party-wiki-permissions",
+    classes:  ["party-wiki", "party-wiki-settings"],
+    window:   { title: "Adventurer Wiki – Entry Permissions", resizable: false },
+    position: { width: 440, height: "auto" },
   };
 
-  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/doodle-editor.html` } };
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/entry-permissions.html` } };
 
-  /**
-   * @param {HTMLElement} editorDiv  The .wiki-rich-editor contenteditable element
-   *                                  from the parent WikiEntryEditor. The doodle
-   *                                  will be inserted here when the user clicks Insert.
-   */
-  constructor(editorDiv, options = {}) {
+  static LEVELS = [
+    { value: ENTRY_PERMISSIONS.NONE,    label: "None" },
+    { value: ENTRY_PERMISSIONS.VIEW,    label: "View" },
+    { value: ENTRY_PERMISSIONS.COMMENT, label: "Comment" },
+    { value: ENTRY_PERMISSIONS.EDIT,    label: "Edit" },
+  ];
+
+  constructor(entry, options = {}) {
     super(options);
-    this._editorDiv  = editorDiv;
-    this._isDrawing  = false;
-    this._tool       = "pen";     // "pen" | "eraser"
-    this._color      = "#1a1a1a";
-    this._strokeSize = 4;
-    this._lastX      = 0;
-    this._lastY      = 0;
-    this._canvas     = null;
-    this._ctx        = null;
+    this._entry = entry;
   }
 
-  async _prepareContext() { return {}; }
+  // ── Context ──────────────────────────────────────────────────────────────
 
-  // ── Render lifecycle ─────────────────────────────────────────────────────
+  async _prepareContext() {
+    const ownership = this._entry.ownership ?? {};
+    const users     = game.users
+      .filter(u => !u.isGM && !isEntryAuthor(this._entry, u))
+      .map(u => ({
+        id:        u.id,
+        name:      u.name,
+        color:     u.color?.css ?? u.color,
+        level:     ownership[u.id],
+        isDefault: ownership[u.id] === undefined,
+      }));
 
-  async _onRender(_context, _options) {
-    const el     = this.element;
-    const canvas = el.querySelector(".wiki-doodle-canvas");
-    if (!canvas) return;
+    return {
+      entry:        this._entry,
+      authorName:   this._entry.createdBy ?? null,
+      defaultLevel: ownership.default ?? ENTRY_PERMISSIONS.EDIT,
+      levels:       WikiEntryPermissions.LEVELS,
+      users,
+    };
+  }
 
-    const ctx = canvas.getContext("2d");
-    this._canvas = canvas;
-    this._ctx    = ctx;
+  // ── Render lifecycle ─────────────────────────────────────────────────────
 
-    // Paint a white background so the canvas isn't transparent
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  _onRender(_context, _options) { this._attachListeners(); }
 
-    // ── Tool buttons ──────────────────────────────────────────────────────
-    const penBtn    = el.querySelector(".wiki-doodle-pen");
-    const eraserBtn = el.querySelector(".wiki-doodle-eraser");
+  // ── Listener setup ───────────────────────────────────────────────────────
 
-    penBtn?.addEventListener("click", () => {
-      this._tool = "pen";
-      penBtn.classList.add("active");
-      eraserBtn?.classList.remove("active");
-    });
+  _attachListeners() {
+    if (this._listenersReady) return;
+    this._listenersReady = true;
 
-    eraserBtn?.addEventListener("click", () => {
-      this._tool = "eraser";
-      eraserBtn.classList.add("active");
-      penBtn?.classList.remove("active");
-    });
+    const inApp = (e) => !!(this.element?.contains(e.target));
 
-    // ── Color picker ──────────────────────────────────────────────────────
-    el.querySelector(".wiki-doodle-color")?.addEventListener("input", (e) => {
-      this._color = e.target.value;
-    });
+    const _click = async (e) => {
+      if (!inApp(e)) return;
+      if (e.target.closest(".wiki-perm-save-btn"))   { await this._save(); return; }
+      if (e.target.closest(".wiki-perm-cancel-btn")) { this.close(); return; }
+    };
 
-    // ── Stroke size slider ────────────────────────────────────────────────
-    el.querySelector(".wiki-doodle-size")?.addEventListener("input", (e) => {
-      this._strokeSize = parseInt(e.target.value, 10);
-    });
+    document.addEventListener("click", _click, { capture: true });
+    this._docListeners = { _click };
+  }
 
-    // ── Clear button ──────────────────────────────────────────────────────
-    el.querySelector(".wiki-doodle-clear")?.addEventListener("click", () => {
-      ctx.fillStyle = "#ffffff";
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-    });
+  // ── Save ─────────────────────────────────────────────────────────────────
 
-    // ── Insert button ─────────────────────────────────────────────────────
-    el.querySelector(".wiki-doodle-insert")?.addEventListener("click", () => {
-      this._insertDoodle();
-    });
+  async _save() {
+    const ownership = {};
+    for (const select of this.element?.querySelectorAll(".wiki-perm-select") ?? []) {
+      if (select.value === "") continue;
+      ownership[select.dataset.userId] = Number(select.value);
+    }
 
-    // ── Cancel button ─────────────────────────────────────────────────────
-    el.querySelector(".wiki-doodle-cancel")?.addEventListener("click", () => {
-      this.close();
-    });
+    const { ok } = await updateEntry(this._entry.id, { ownership });
+    if (!ok) return;
+    ui.notifications.info(`Adventurer Wiki: Permissions saved for "${this._entry.title}".`);
+    this.close();
+  }
 
-    // ── Mouse drawing ─────────────────────────────────────────────────────
-    canvas.addEventListener("mousedown",  (e) => this._startDrawing(e));
-    canvas.addEventListener("mousemove",  (e) => this._continueDrawing(e));
-    canvas.addEventListener("mouseup",    ()  => { this._isDrawing = false; });
-    canvas.addEventListener("mouseleave", ()  => { this._isDrawing = false; });
+  // ── Close ────────────────────────────────────────────────────────────────
 
-    // ── Touch drawing (tablets / touch screens) ───────────────────────────
-    canvas.addEventListener("touchstart", (e) => { e.preventDefault(); this._startDrawing(e.touches[0]); },  { passive: false });
-    canvas.addEventListener("touchmove",  (e) => { e.preventDefault(); this._continueDrawing(e.touches[0]); }, { passive: false });
-    canvas.addEventListener("touchend",   ()  => { this._isDrawing = false; });
+  async close(options) {
+    if (this._docListeners) {
+      document.removeEventListener("click", this._docListeners._click, { capture: true });
+      this._docListeners   = null;
+      this._listenersReady = false;
+    }
+    return super.close(options);
   }
+}
 
-  // ── Drawing helpers ──────────────────────────────────────────────────────
+// ─────────────────────────────────────────────────────────────────────────────
+// WikiTransfer — GM export & import window
+// ─────────────────────────────────────────────────────────────────────────────
 
-  /** Convert a pointer/touch event into canvas-space coordinates. */
-  _getCanvasPos(e) {
-    const rect   = this._canvas.getBoundingClientRect();
-    const scaleX = this._canvas.width  / rect.width;
-    const scaleY = this._canvas.height / rect.height;
-    return {
-      x: (e.clientX - rect.left) * scaleX,
-      y: (e.clientY - rect.top)  * scaleY,
-    };
-  }
+class WikiTransfer extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id:       "party-wiki-transfer",
+    classes:  ["party-wiki", "party-wiki-settings"],
+    window:   { title: "Adventurer Wiki – Export & Import", resizable: true },
+    position: { width: 500, height: "auto" },
+  };
 
-  _startDrawing(e) {
-    this._isDrawing = true;
-    const pos = this._getCanvasPos(e);
-    this._lastX = pos.x;
-    this._lastY = pos.y;
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/transfer.html` } };
 
-    // Draw a dot at the click position so single clicks leave a mark
-    const ctx    = this._ctx;
-    const radius = this._tool === "eraser"
-      ? this._strokeSize * 1.5
-      : this._strokeSize / 2;
+  static CHOICES = [
+    { value: "skip",      label: "Keep existing" },
+    { value: "overwrite", label: "Overwrite" },
+    { value: "copy",      label: "Import as copy" },
+  ];
 
-    ctx.save();
-    if (this._tool === "eraser") {
-      ctx.globalCompositeOperation = "destination-out";
-      ctx.fillStyle = "rgba(0,0,0,1)";
-    } else {
-      ctx.globalCompositeOperation = "source-over";
-      ctx.fillStyle = this._color;
-    }
-    ctx.beginPath();
-    ctx.arc(pos.x, pos.y, Math.max(radius, 0.5), 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-  }
+  _bundle      = null;        // parsed import file
+  _plan        = null;        // planImport() result
+  _resolutions = new Map();   // incoming entry id → choice
+  _busy        = false;
 
-  _continueDrawing(e) {
-    if (!this._isDrawing) return;
-    const pos = this._getCanvasPos(e);
-    const ctx = this._ctx;
+  // ── Context ──────────────────────────────────────────────────────────────
 
-    ctx.save();
-    ctx.lineCap  = "round";
-    ctx.lineJoin = "round";
+  async _prepareContext() {
+    const conflicts = (this._plan ?? []).filter(p => p.match).map(p => ({
+      id:         p.entry.id,
+      title:      p.entry.title,
+      matchBy:    p.matchBy,
+      matchTitle: p.match.title,
+      choice:     this._resolutions.get(p.entry.id) ?? "skip",
+    }));
+    return {
+      entryCount: getEntries().length,
+      exportRoot: `worlds/${game.world.id}/adventurer-wiki/exports/`,
+      bundle:     this._bundle && {
+        title:      this._bundle.world?.title ?? "Unknown world",
+        exportedAt: this._bundle.exportedAt ? formatTimestamp(this._bundle.exportedAt) : null,
+        newCount:   this._plan.length - conflicts.length,
+      },
+      conflicts,
+      choices:    WikiTransfer.CHOICES,
+      busy:       this._busy,
+    };
+  }
 
-    if (this._tool === "eraser") {
-      ctx.globalCompositeOperation = "destination-out";
-      ctx.strokeStyle = "rgba(0,0,0,1)";
-      ctx.lineWidth   = this._strokeSize * 3;
-    } else {
-      ctx.globalCompositeOperation = "source-over";
-      ctx.strokeStyle = this._color;
-      ctx.lineWidth   = this._strokeSize;
-    }
+  // ── Render lifecycle ─────────────────────────────────────────────────────
 
-    ctx.beginPath();
-    ctx.moveTo(this._lastX, this._lastY);
-    ctx.lineTo(pos.x, pos.y);
-    ctx.stroke();
-    ctx.restore();
+  _onRender(_context, _options) { this._attachListeners(); }
 
-    this._lastX = pos.x;
-    this._lastY = pos.y;
-  }
+  // ── Listener setup ───────────────────────────────────────────────────────
 
-  /**
-   * Export the canvas as PNG, upload to Foundry data folder, then insert an
-   * <img> tag at the current cursor position in the parent editor div.
-   */
-  async _insertDoodle() {
-    if (!game.user.can("FILES_UPLOAD")) {
-      ui.notifications.warn(
-        "Adventurer Wiki: You need file upload permissions to save doodles. " +
-        "Ask your GM to enable this in world settings."
-      );
-      return;
-    }
+  _attachListeners() {
+    if (this._listenersReady) return;
+    this._listenersReady = true;
 
-    // Resolve FilePicker — global deprecated in v13, removed in v15
-    const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+    const inApp = (e) => !!(this.element?.contains(e.target));
 
-    const parentPath = `worlds/${game.world.id}/adventurer-wiki`;
-    const folderPath = `worlds/${game.world.id}/adventurer-wiki/images`;
+    const _click = async (e) => {
+      if (!inApp(e)) return;
+      if (e.target.closest(".wiki-export-btn")) { await this._export(); return; }
+      if (e.target.closest(".wiki-import-btn")) { await this._import(); return; }
+      if (e.target.closest(".wiki-journal-import-btn")) { new WikiJournalImport().render(true); return; }
+    };
 
-    // Ensure the directory hierarchy exists. Foundry returns an error if a
-    // directory already exists, so we catch those silently. We create the
-    // parent first, then the images subfolder.
-    try {
-      await FP.createDirectory("data", parentPath);
-    } catch (e) {
-      if (!e?.message?.toLowerCase().includes("already")) {
-        console.warn("Adventurer Wiki | Could not create parent dir:", e);
+    const _change = async (e) => {
+      if (!inApp(e)) return;
+      if (e.target.matches(".wiki-import-file")) { await this._readImportFile(e.target.files?.[0]); return; }
+      if (e.target.matches(".wiki-import-choice")) {
+        this._resolutions.set(e.target.dataset.id, e.target.value);
+        return;
       }
-    }
-    try {
-      await FP.createDirectory("data", folderPath);
-    } catch (e) {
-      if (!e?.message?.toLowerCase().includes("already")) {
-        console.warn("Adventurer Wiki | Could not create images dir:", e);
+      if (e.target.matches(".wiki-import-all") && e.target.value) {
+        for (const p of this._plan ?? []) if (p.match) this._resolutions.set(p.entry.id, e.target.value);
+        this.render();
       }
-    }
+    };
 
-    // Composite onto a white background before exporting so eraser strokes
-    // appear white rather than transparent in the final PNG.
-    const exportCanvas = document.createElement("canvas");
-    exportCanvas.width  = this._canvas.width;
-    exportCanvas.height = this._canvas.height;
+    document.addEventListener("click",  _click,  { capture: true });
+    document.addEventListener("change", _change, { capture: true });
+    this._docListeners = { _click, _change };
+  }
+
+  // ── Export ───────────────────────────────────────────────────────────────
 
-    const exportCtx = exportCanvas.getContext("2d");
-    exportCtx.fillStyle = "#ffffff";
-    exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
-    exportCtx.drawImage(this._canvas, 0, 0);
+  async _export() {
+    const el      = this.element;
+    const format  = el.querySelector('input[name="wiki-export-format"]:checked')?.value ?? "json";
+    const options = {
+      gmContent: el.querySelector(".wiki-export-gm")?.checked ?? false,
+      hidden:    el.querySelector(".wiki-export-hidden")?.checked ?? true,
+      images:    el.querySelector(".wiki-export-images")?.checked ?? true,
+    };
 
-    exportCanvas.toBlob(async (blob) => {
-      if (!blob) {
-        ui.notifications.error("Adventurer Wiki: Failed to create doodle image.");
+    this._setBusy(true);
+    try {
+      const bundle = await buildExportBundle(options);
+      const stamp  = new Date().toISOString().slice(0, 16).replace(/[T:]/g, "-");
+      if (format === "json") {
+        foundry.utils.saveDataToFile(JSON.stringify(bundle, null, 2), "application/json", `adventurer-wiki-${game.world.id}-${stamp}.json`);
         return;
       }
+      const files = format === "markdown" ? await buildMarkdownExport(bundle) : await buildSiteExport(bundle);
+      const root  = `worlds/${game.world.id}/adventurer-wiki/exports/${stamp}-${format}`;
+      await writeExportFiles(root, files);
+      ui.notifications.info(`Adventurer Wiki: Exported ${bundle.entries.length} entries to ${root}.`);
+    } catch (err) {
+      console.error("Adventurer Wiki | Export failed:", err);
+      ui.notifications.error("Adventurer Wiki: Export failed. Check your file permissions and the console.");
+    } finally {
+      this._setBusy(false);
+    }
+  }
 
-      const filename = `doodle_${Date.now()}_${Math.random().toString(36).slice(2, 7)}.png`;
-      const file     = new File([blob], filename, { type: "image/png" });
+  // ── Import ───────────────────────────────────────────────────────────────
 
+  async _readImportFile(file) {
+    this._bundle = this._plan = null;
+    this._resolutions.clear();
+    if (file) {
       try {
-        const result = await FP.upload("data", folderPath, file, {});
+        this._bundle = parseImportBundle(await foundry.utils.readTextFromFile(file));
+        this._plan   = planImport(this._bundle, getEntries());
+      } catch (err) {
+        this._bundle = null;
+        ui.notifications.error(`Adventurer Wiki: ${err.message}`);
+      }
+    }
+    this.render();
+  }
 
-        if (!result?.path) throw new Error("Upload returned no path");
+  async _import() {
+    if (!this._bundle) return;
+    this._setBusy(true);
+    try {
+      const counts = await applyImport(this._bundle, this._plan, this._resolutions);
+      ui.notifications.info(
+        `Adventurer Wiki: Imported ${counts.created} new, overwrote ${counts.overwritten}, kept ${counts.skipped} existing` +
+        (counts.categories ? `, added ${counts.categories} categor${counts.categories === 1 ? "y" : "ies"}.` : ".")
+      );
+      this.close();
+    } catch (err) {
+      console.error("Adventurer Wiki | Import failed:", err);
+      ui.notifications.error(`Adventurer Wiki: Import failed — ${err.message}`);
+      this._setBusy(false);
+    }
+  }
 
-        const imgHtml = `<img src="${result.path}" class="wiki-inserted-image" alt="doodle">`;
+  /** Disable the action buttons while a long export or import runs. */
+  _setBusy(busy) {
+    this._busy = busy;
+    for (const btn of this.element?.querySelectorAll(".wiki-export-btn, .wiki-import-btn") ?? []) btn.disabled = busy;
+  }
 
-        // Restore focus to the entry editor and insert the image at the cursor
-        if (this._editorDiv) {
-          this._editorDiv.focus();
-          document.execCommand("insertHTML", false, imgHtml);
-        }
+  // ── Close ────────────────────────────────────────────────────────────────
 
-        ui.notifications.info("Adventurer Wiki: Doodle inserted!");
-        this.close();
-      } catch (err) {
-        console.error("Adventurer Wiki | Doodle upload failed:", err);
-        ui.notifications.error(
-          "Adventurer Wiki: Failed to upload doodle. Check your file permissions and try again."
-        );
-      }
-    }, "image/png");
+  async close(options) {
+    if (this._docListeners) {
+      document.removeEventListener("click",  this._docListeners._click,  { capture: true });
+      document.removeEventListener("change", this._docListeners._change, { capture: true });
+      this._docListeners   = null;
+      this._listenersReady = false;
+    }
+    return super.close(options);
   }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// WikiCategorySettings — manage custom categories
+// WikiJournalImport — GM wizard: pick journals, map folders to categories,
+// preview (dry run), import
 // ─────────────────────────────────────────────────────────────────────────────
 
-class WikiCategorySettings extends HandlebarsApplicationMixin(ApplicationV2) {
+class WikiJournalImport extends HandlebarsApplicationMixin(ApplicationV2) {
   static DEFAULT_OPTIONS = {
-    id:       "party-wiki-cat-settings",
+    id:       "party-wiki-journal-import",
     classes:  ["party-wiki", "party-wiki-settings"],
-    window:   { title: "Adventurer Wiki – Category Settings", resizable: false },
-    position: { width: 540, height: 520 },
+    window:   { title: "Adventurer Wiki – Import Journals", resizable: true },
+    position: { width: 520, height: "auto" },
   };
 
-  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/category-settings.html` } };
+  static PARTS = { main: { template: `modules/${MODULE_ID}/templates/journal-import.html` } };
 
-  constructor(options = {}) {
-    super(options);
-    this._working = foundry.utils.deepClone(getCategories());
-  }
+  _step         = "select";   // "select" | "map" | "preview"
+  _selected     = new Set();  // journal ids
+  _mapping      = new Map();  // folder id ("" for none) → category id or "new:<label>"
+  _pages        = "subpages";
+  _skipExisting = true;
+  _plan         = null;
 
   // ── Context ──────────────────────────────────────────────────────────────
 
   async _prepareContext() {
-    const entries    = getEntries();
-    const categories = this._working.map((cat, idx) => ({
-      ...cat,
-      count:   entries.filter(e => e.category === cat.id).length,
-      isFirst: idx === 0,
-      isLast:  idx === this._working.length - 1,
-    }));
-    return { categories };
+    const context = { step: this._step, pages: this._pages, skipExisting: this._skipExisting };
+    if (this._step === "select") context.journalRows = this._journalRows();
+    if (this._step === "map")    context.mappingRows = this._mappingRows();
+    if (this._step === "preview") {
+      const cats = this._plan.categories;
+      context.preview = {
+        rows: this._plan.rows.map(({ entry, depth, skip }) => ({
+          title:    entry.title,
+          depth,
+          skip:     skip ?? null,
+          hidden:   entry.hidden,
+          category: cats.find(c => c.id === entry.category)?.label ?? entry.category,
+        })),
+        createCount:   this._plan.rows.filter(r => !r.skip).length,
+        skipCount:     this._plan.rows.filter(r => r.skip).length,
+        newCategories: this._plan.newCategories,
+        skippedPages:  this._plan.skippedPages,
+        links:         this._plan.links,
+      };
+    }
+    return context;
+  }
+
+  /**
+   * Folders and journals as indented rows, folders first at each level.
+   * `path` is the chain of folder ids, so a folder's box can tick every
+   * journal below it. Folders with no journals anywhere inside are left out.
+   */
+  _journalRows() {
+    const journals = getImportableJournals();
+    const folders  = game.folders.filter(f => f.type === "JournalEntry");
+    const bySort   = (a, b) => (a.sort ?? 0) - (b.sort ?? 0) || a.name.localeCompare(b.name);
+    const rows     = [];
+
+    const walk = (parentId, path, depth) => {
+      for (const folder of folders.filter(f => (f.folder?.id ?? null) === parentId).sort(bySort)) {
+        const own  = [...path, folder.id].join("/");
+        const row  = { folder: true, id: folder.id, name: folder.name, depth, path: own };
+        const from = rows.push(row);
+        walk(folder.id, [...path, folder.id], depth + 1);
+        const inside = rows.slice(from).filter(r => !r.folder);
+        if (!inside.length) rows.splice(from - 1);
+        else row.checked = inside.every(r => r.checked);
+      }
+      for (const journal of journals.filter(j => (j.folder?.id ?? null) === parentId).sort(bySort)) {
+        rows.push({
+          folder:  false,
+          id:      journal.id,
+          name:    journal.name,
+          depth,
+          path:    path.join("/"),
+          pages:   journal.pages.size,
+          checked: this._selected.has(journal.id),
+        });
+      }
+    };
+    walk(null, [], 0);
+    return rows;
+  }
+
+  /** One row per folder the selected journals sit in, with its category choice. */
+  _mappingRows() {
+    const cats    = getCategories();
+    const folders = new Map();
+    for (const id of this._selected) {
+      const folder = game.journal.get(id)?.folder ?? null;
+      folders.set(folder?.id ?? "", folder);
+    }
+
+    return [...folders].map(([key, folder]) => {
+      const label = folder
+        ? [...(folder.ancestors ?? []).toReversed(), folder].map(f => f.name).join(" / ")
+        : "(No folder)";
+      const newValue = `new:${folder?.name ?? "Imported"}`;
+      if (!this._mapping.has(key)) {
+        const byName = folder && cats.find(c => c.label.toLowerCase() === folder.name.toLowerCase());
+        this._mapping.set(key, byName?.id ?? (folder ? newValue : cats[0]?.id ?? "lore"));
+      }
+      return {
+        key,
+        label,
+        value:   this._mapping.get(key),
+        options: [
+          ...cats.map(c => ({ value: c.id, label: c.label })),
+          { value: newValue, label: `New category: ${folder?.name ?? "Imported"}` },
+        ],
+      };
+    });
   }
 
   // ── Render lifecycle ─────────────────────────────────────────────────────
@@ -1191,154 +7999,320 @@ class WikiCategorySettings extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const _click = async (e) => {
       if (!inApp(e)) return;
+      const next = e.target.closest(".wiki-jimport-next");
+      if (next) { this._goTo(next.dataset.step); return; }
+      if (e.target.closest(".wiki-jimport-apply")) { await this._import(); return; }
+    };
 
-      // ── Delete category button ───────
-      const deleteBtn = e.target.closest(".wiki-cat-delete-btn:not([disabled])");
-      if (deleteBtn) {
-        const catId = deleteBtn.dataset.catId;
-        const row   = this.element.querySelector(`.wiki-cat-row[data-id="${catId}"]`);
-        const label = row?.querySelector(".wiki-cat-label-input")?.value?.trim() ?? catId;
-        const ok    = await foundry.applications.api.DialogV2.confirm({
-          window:  { title: "Delete Category" },
-          content: `<p>Remove the category "<strong>${label}</strong>"? This cannot be undone.</p>`,
-        });
-        if (!ok) return;
-        this._syncFromDOM();
-        this._working = this._working.filter(c => c.id !== catId);
-        this.render({ force: true });
-        return;
-      }
-
-      // ── Move up button ───────────────
-      const upBtn = e.target.closest(".wiki-cat-move-up");
-      if (upBtn) {
-        this._syncFromDOM();
-        const catId = upBtn.dataset.catId;
-        const idx   = this._working.findIndex(c => c.id === catId);
-        if (idx > 0) {
-          [this._working[idx - 1], this._working[idx]] = [this._working[idx], this._working[idx - 1]];
-          this.render({ force: true });
+    const _change = (e) => {
+      if (!inApp(e)) return;
+      const t = e.target;
+      if (t.matches(".wiki-journal-pick")) {
+        if (t.checked) this._selected.add(t.dataset.id);
+        else this._selected.delete(t.dataset.id);
+      } else if (t.matches(".wiki-journal-folder")) {
+        const path = t.dataset.path;
+        for (const box of this.element.querySelectorAll(".wiki-journal-pick, .wiki-journal-folder")) {
+          const p = box.dataset.path;
+          if (p !== path && !p.startsWith(`${path}/`)) continue;
+          box.checked = t.checked;
+          if (box.matches(".wiki-journal-pick")) {
+            if (t.checked) this._selected.add(box.dataset.id);
+            else this._selected.delete(box.dataset.id);
+          }
         }
-        return;
+      } else if (t.matches(".wiki-jimport-cat")) {
+        this._mapping.set(t.dataset.folder, t.value);
+      } else if (t.matches('input[name="wiki-jimport-pages"]')) {
+        this._pages = t.value;
+      } else if (t.matches(".wiki-jimport-skip")) {
+        this._skipExisting = t.checked;
       }
+    };
 
-      // ── Move down button ─────────────
-      const downBtn = e.target.closest(".wiki-cat-move-down");
-      if (downBtn) {
-        this._syncFromDOM();
-        const catId = downBtn.dataset.catId;
-        const idx   = this._working.findIndex(c => c.id === catId);
-        if (idx < this._working.length - 1) {
-          [this._working[idx], this._working[idx + 1]] = [this._working[idx + 1], this._working[idx]];
-          this.render({ force: true });
-        }
-        return;
-      }
+    document.addEventListener("click",  _click,  { capture: true });
+    document.addEventListener("change", _change, { capture: true });
+    this._docListeners = { _click, _change };
+  }
 
-      // ── Add new category button ──────
-      if (e.target.closest(".wiki-cat-add-btn")) {
-        const labelInput = this.element.querySelector(".wiki-cat-new-label");
-        const iconInput  = this.element.querySelector(".wiki-cat-new-icon");
-        const label      = labelInput?.value?.trim();
-        const icon       = iconInput?.value?.trim() || "fa-tag";
+  // ── Steps ────────────────────────────────────────────────────────────────
 
-        if (!label) {
-          ui.notifications.warn("Adventurer Wiki: Please enter a category name.");
-          return;
-        }
+  _goTo(step) {
+    if (step !== "select" && !this._selected.size) {
+      ui.notifications.warn("Adventurer Wiki: Pick at least one journal to import.");
+      return;
+    }
+    if (step === "preview") {
+      const journals = getImportableJournals().filter(j => this._selected.has(j.id));
+      this._plan = planJournalImport(journals, {
+        categoryFor:  this._mapping,
+        pages:        this._pages,
+        skipExisting: this._skipExisting,
+      });
+    }
+    this._step = step;
+    this.render();
+  }
 
-        const id = label
-          .toLowerCase()
-          .replace(/\s+/g, "-")
-          .replace(/[^a-z0-9-]/g, "")
-          .replace(/-+/g, "-")
-          .replace(/^-|-$/g, "") || `cat-${Date.now()}`;
+  async _import() {
+    if (!this._plan) return;
+    const button = this.element?.querySelector(".wiki-jimport-apply");
+    if (button) button.disabled = true;
+    try {
+      const created = await applyJournalImport(this._plan);
+      ui.notifications.info(`Adventurer Wiki: Imported ${created} entr${created === 1 ? "y" : "ies"} from journals.`);
+      this.close();
+    } catch (err) {
+      console.error("Adventurer Wiki | Journal import failed:", err);
+      ui.notifications.error(`Adventurer Wiki: Journal import failed — ${err.message}`);
+      if (button) button.disabled = false;
+    }
+  }
 
-        if (this._working.find(c => c.id === id)) {
-          ui.notifications.warn(`Adventurer Wiki: A category named "${label}" already exists.`);
-          return;
-        }
+  // ── Close ────────────────────────────────────────────────────────────────
 
-        this._syncFromDOM();
-        this._working.push({ id, label, icon });
-        if (labelInput) labelInput.value = "";
-        if (iconInput)  iconInput.value  = "";
-        this.render({ force: true });
-        return;
-      }
+  async close(options) {
+    if (this._docListeners) {
+      document.removeEventListener("click",  this._docListeners._click,  { capture: true });
+      document.removeEventListener("change", this._docListeners._change, { capture: true });
+      this._docListeners   = null;
+      this._listenersReady = false;
+    }
+    return super.close(options);
+  }
+}
 
-      if (e.target.closest(".wiki-cat-save-btn")) { await this._save(); return; }
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API — game.modules.get("adventurer-wiki").api
+// Every call runs as the current user: reads return only entries the user can
+// view (redacted for players), and writes go through commitEntryOps(), so the
+// GM relay enforces the same permissions as the UI. Failed writes throw.
+// ─────────────────────────────────────────────────────────────────────────────
 
-      if (e.target.closest(".wiki-cat-cancel-btn")) { this.close(); return; }
-    };
+/** Entry fields the API lets callers set; the rest are bookkeeping. */
+const API_FIELDS = [
+  "title", "aliases", "category", "tags", "fields", "linkedDocument", "session", "quest",
+  "parentId", "sort", "content", "gmNotes", "hidden", "ownership",
+];
 
-    const _input = (e) => {
-      if (!inApp(e)) return;
-      if (e.target.matches(".wiki-cat-icon-input")) {
-        const row    = e.target.closest(".wiki-cat-row");
-        const iconEl = row?.querySelector(".wiki-cat-preview-icon");
-        if (iconEl) iconEl.className = `fas ${e.target.value.trim() || "fa-tag"} wiki-cat-preview-icon`;
-      }
-    };
+function apiVisibleEntries() {
+  return getEntries().filter(e => canAccessEntry(e, ENTRY_PERMISSIONS.VIEW));
+}
 
-    document.addEventListener("click", _click, { capture: true });
-    document.addEventListener("input", _input, { capture: true });
-    this._docListeners = { _click, _input };
+/** An entry the user can view, by id, or throw. */
+function apiRequireEntry(id) {
+  const entry = getEntry(id);
+  if (!entry || !canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW)) {
+    throw new Error(`Adventurer Wiki | No entry "${id}" visible to ${game.user.name}.`);
   }
+  return entry;
+}
 
-  // ── DOM sync ─────────────────────────────────────────────────────────────
+/**
+ * Check and normalise caller-supplied fields the way the editor does.
+ * @param {object} data
+ * @param {string} title  The entry's title after this change (aliases drop it).
+ */
+function apiNormalizeFields(data, title) {
+  const unknown = Object.keys(data).filter(k => !API_FIELDS.includes(k));
+  if (unknown.length) throw new Error(`Adventurer Wiki | Unknown entry field(s): ${unknown.join(", ")}.`);
+  if (!game.user.isGM && GM_ONLY_FIELDS.some(k => k in data)) {
+    throw new Error(`Adventurer Wiki | Only a GM may set ${GM_ONLY_FIELDS.join(" or ")}.`);
+  }
 
-  _syncFromDOM() {
-    const rows = this.element?.querySelectorAll(".wiki-cat-row") ?? [];
-    for (const row of rows) {
-      const catId = row.dataset.id;
-      const cat   = this._working.find(c => c.id === catId);
-      if (!cat) continue;
+  const out = { ...data };
+  if ("title" in out) {
+    out.title = String(out.title ?? "").trim();
+    if (!out.title) throw new Error("Adventurer Wiki | An entry needs a title.");
+  }
+  if ("category" in out && !getCategories().some(c => c.id === out.category)) {
+    throw new Error(`Adventurer Wiki | Unknown category "${out.category}".`);
+  }
+  if ("aliases" in out) {
+    out.aliases = parseAliases(Array.isArray(out.aliases) ? out.aliases.join(",") : out.aliases, title);
+  }
+  if ("tags" in out) out.tags = parseTags(Array.isArray(out.tags) ? out.tags.join(",") : out.tags);
+  return out;
+}
 
-      const label = row.querySelector(".wiki-cat-label-input")?.value?.trim();
-      const icon  = row.querySelector(".wiki-cat-icon-input")?.value?.trim();
+/** Turn a refused commitEntryOps() result into an error. */
+function apiCheckResult(result, what) {
+  if (result.ok) return;
+  const why = result.conflicts.length ? "it was changed by someone else" : "permission denied";
+  throw new Error(`Adventurer Wiki | Could not ${what}: ${why}.`);
+}
 
-      if (label) cat.label = label;
-      if (icon)  cat.icon  = icon;
-    }
-  }
+const api = {
+  /** Every entry the current user can view, in sidebar order. */
+  getEntries() {
+    return apiVisibleEntries();
+  },
 
-  // ── Save ─────────────────────────────────────────────────────────────────
+  /** @returns {object|null} */
+  getEntry(id) {
+    const entry = getEntry(id);
+    return entry && canAccessEntry(entry, ENTRY_PERMISSIONS.VIEW) ? entry : null;
+  },
 
-  async _save() {
-    this._syncFromDOM();
+  /**
+   * Look an entry up the way `[[links]]` do: exact title first, then aliases,
+   * case-insensitive.
+   * @param {string} title
+   * @returns {object|null}  The first match; see findAllByTitle() for the rest.
+   */
+  findByTitle(title) {
+    return resolveEntryLinks(title ?? "", apiVisibleEntries())[0] ?? null;
+  },
 
-    if (this._working.length === 0) {
-      ui.notifications.warn("Adventurer Wiki: You must keep at least one category.");
-      return;
+  /** @returns {object[]} */
+  findAllByTitle(title) {
+    return resolveEntryLinks(title ?? "", apiVisibleEntries());
+  },
+
+  /**
+   * Ranked search with the sidebar's syntax (phrases, `cat:`, `tag:`, field filters…).
+   * @param {string} query
+   * @returns {{entry: object, score: number}[]}
+   */
+  search(query) {
+    return searchEntries(apiVisibleEntries(), query ?? "").map(({ entry, score }) => ({ entry, score }));
+  },
+
+  /**
+   * Create an entry.
+   * @param {object} data  `title` is required; `category` defaults to the first category.
+   * @returns {Promise<object>}  The new entry (as queued, when no GM is online).
+   */
+  async create(data = {}) {
+    const fields = apiNormalizeFields(data, data.title ?? "");
+    if (!fields.title) throw new Error("Adventurer Wiki | An entry needs a title.");
+    const now   = Date.now();
+    const entry = {
+      aliases:        [],
+      category:       getCategories()[0]?.id ?? "lore",
+      tags:           [],
+      fields:         {},
+      linkedDocument: null,
+      content:        "",
+      parentId:       null,
+      hidden:         false,
+      ...fields,
+      id:             generateId(),
+      createdAt:      now,
+      updatedAt:      now,
+      createdBy:      game.user.name,
+      updatedBy:      game.user.name,
+      createdById:    game.user.id,
+      pendingDelete:  false,
+      comments:       [],
+    };
+    apiCheckResult(await createEntry(entry), `create "${entry.title}"`);
+    return getEntry(entry.id) ?? entry;
+  },
+
+  /**
+   * Change some of an entry's fields.
+   * @param {string} id
+   * @param {object} changes
+   * @returns {Promise<object>}  The updated entry.
+   */
+  async update(id, changes = {}) {
+    const entry = apiRequireEntry(id);
+    if (!canAccessEntry(entry, ENTRY_PERMISSIONS.EDIT)) {
+      throw new Error(`Adventurer Wiki | ${game.user.name} can't edit "${entry.title}".`);
     }
+    const fields = apiNormalizeFields(changes, changes.title ?? entry.title);
+    const result = await updateEntry(id, {
+      ...fields,
+      updatedAt: Date.now(),
+      updatedBy: game.user.name,
+    });
+    apiCheckResult(result, `update "${entry.title}"`);
+    return getEntry(id);
+  },
 
-    for (const cat of this._working) {
-      if (!cat.label?.trim()) {
-        ui.notifications.warn("Adventurer Wiki: All categories must have a name.");
-        return;
-      }
+  /**
+   * Delete an entry. GM only — players flag entries with requestDelete().
+   * @param {string} id
+   * @param {object} [options]
+   * @param {"promote"|"delete"} [options.subpages="promote"]  Move sub-pages up a level, or delete them too.
+   */
+  async delete(id, { subpages = "promote" } = {}) {
+    if (!game.user.isGM) throw new Error("Adventurer Wiki | Only a GM can delete entries; use requestDelete().");
+    const entry   = apiRequireEntry(id);
+    const entries = getEntries();
+    const ops     = [{ type: "delete", id }];
+    if (subpages === "delete") {
+      ops.push(...getEntryDescendants(entry, entries).map(e => ({ type: "delete", id: e.id })));
+    } else {
+      const parentId = getTreeParent(entry, new Map(entries.map(e => [e.id, e])))?.id ?? null;
+      ops.push(...getEntryChildren(entry, entries).map(e => ({ type: "update", id: e.id, changes: { parentId } })));
     }
+    apiCheckResult(await commitEntryOps(ops), `delete "${entry.title}"`);
+  },
 
-    await game.settings.set(MODULE_ID, CATS_SETTING_KEY, this._working);
-    game.socket.emit(SOCKET_EVENT, { action: "categoriesChanged" });
-    refreshAllWikiApps();
-    ui.notifications.info("Adventurer Wiki: Categories saved.");
-    this.close();
-  }
+  /** Flag an entry for the GM to delete, as the viewer's button does. */
+  async requestDelete(id) {
+    const entry = apiRequireEntry(id);
+    apiCheckResult(await updateEntry(id, { pendingDelete: true }), `flag "${entry.title}" for deletion`);
+  },
 
-  // ── Close ────────────────────────────────────────────────────────────────
+  /**
+   * Post a comment as the current user.
+   * @param {string}  id
+   * @param {string}  text
+   * @param {object}  [options]
+   * @param {string}  [options.replyTo]  A comment id; the comment joins its thread.
+   * @param {boolean} [options.gmOnly]   Start a thread only GMs can see (GM only).
+   * @returns {Promise<object>}  The comment.
+   */
+  async addComment(id, text, { replyTo, gmOnly } = {}) {
+    const entry = apiRequireEntry(id);
+    text = String(text ?? "").trim();
+    if (!text) throw new Error("Adventurer Wiki | A comment needs text.");
+    if (text.length > COMMENT_MAX_LENGTH) throw new Error(`Adventurer Wiki | Comments are limited to ${COMMENT_MAX_LENGTH} characters.`);
+    const comment = {
+      id: generateId(), authorName: game.user.name, userId: game.user.id, text, createdAt: Date.now(),
+      ...(replyTo ? { parentId: replyTo } : {}),
+      ...(gmOnly && !replyTo ? { gmOnly: true } : {}),
+    };
+    apiCheckResult(await commitEntryOps([{ type: "addComment", id, comment }]), `comment on "${entry.title}"`);
+    return comment;
+  },
 
-  async close(options) {
-    if (this._docListeners) {
-      const { _click, _input } = this._docListeners;
-      document.removeEventListener("click", _click, { capture: true });
-      document.removeEventListener("input", _input, { capture: true });
-      this._docListeners   = null;
-      this._listenersReady = false;
+  /**
+   * Open the wiki on an entry.
+   * @param {string} [entryIdOrTitle]  Omit to just open the wiki.
+   * @returns {PartyWikiApp|null}
+   */
+  open(entryIdOrTitle) {
+    if (!entryIdOrTitle) {
+      const app = openWikiApps.values().next().value ?? new PartyWikiApp();
+      app.render({ force: true });
+      return app;
     }
-    return super.close(options);
-  }
+    const entry = api.getEntry(entryIdOrTitle) ?? api.findByTitle(entryIdOrTitle);
+    if (!entry) {
+      ui.notifications.warn(`Adventurer Wiki: No entry called "${entryIdOrTitle}".`);
+      return null;
+    }
+    return openWikiEntry(entry.id);
+  },
+
+  PartyWikiApp,
+};
+
+/**
+ * Fire `adventurerWiki.<event>` for an entry page created, updated or deleted
+ * on any client, when the current user can view the entry. `userId` is the
+ * user whose client wrote the page — the GM, for relayed player saves;
+ * `entry.updatedBy` names the author.
+ */
+function callEntryHook(event, page, userId) {
+  const stored = isStoragePage(page) ? page.flags[MODULE_ID]?.entry : null;
+  if (!stored || !canAccessEntry(stored, ENTRY_PERMISSIONS.VIEW)) return;
+  const entry = foundry.utils.deepClone(stored);
+  Hooks.callAll(`adventurerWiki.${event}`, game.user.isGM ? entry : redactEntry(entry), { userId });
 }
 
 globalThis.AdventurerWikiApp = PartyWikiApp;